@@ -459,12 +459,12 @@ class AIContentOptimizer {
         } : (analysis.headings || {});
         const content = realPageContent ? {
             wordCount: realPageContent.wordCount || 0,
-            keywordDensity: realPageContent.keywordDensity || {}
+            keyphrases: realPageContent.keyphrases || []
         } : (analysis.content || {});
         
         // 获取关键词：优先使用meta keywords，否则从内容中提取
         const metaKeywords = realPageContent?.keywordsArray || [];
-        const extractedKeywords = this.extractTopKeywords(content.keywordDensity || {});
+        const extractedKeywords = this.extractTopKeywords(content.keyphrases || []);
         const mainKeywords = metaKeywords.length > 0 ? metaKeywords : extractedKeywords;
 
         console.log('[AI Optimizer] Title optimization - Using real page content:', !!realPageContent);
@@ -590,12 +590,12 @@ Please respond in JSON format:
         const title = realPageContent?.title || analysis.metaTags?.title || '';
         const content = realPageContent ? {
             wordCount: realPageContent.wordCount || 0,
-            keywordDensity: realPageContent.keywordDensity || {}
+            keyphrases: realPageContent.keyphrases || []
         } : (analysis.content || {});
         
         // 获取关键词：优先使用meta keywords，否则从内容中提取
         const metaKeywords = realPageContent?.keywordsArray || [];
-        const extractedKeywords = this.extractTopKeywords(content.keywordDensity || {});
+        const extractedKeywords = this.extractTopKeywords(content.keyphrases || []);
         const mainKeywords = metaKeywords.length > 0 ? metaKeywords : extractedKeywords;
 
         console.log('[AI Optimizer] Meta description optimization - Using real page content:', !!realPageContent);
@@ -705,7 +705,7 @@ Please respond in JSON format:
         // 使用真实内容或回退到分析数据
         const content = realPageContent ? {
             wordCount: realPageContent.wordCount || 0,
-            keywordDensity: realPageContent.keywordDensity || {}
+            keyphrases: realPageContent.keyphrases || []
         } : (analysis.content || {});
         const headings = realPageContent ? {
             h1: realPageContent.h1 || [],
@@ -715,7 +715,7 @@ Please respond in JSON format:
         
         // 获取关键词：优先使用meta keywords，否则从内容中提取
         const metaKeywords = realPageContent?.keywordsArray || [];
-        const extractedKeywords = this.extractTopKeywords(content.keywordDensity || {});
+        const extractedKeywords = this.extractTopKeywords(content.keyphrases || []);
         const mainKeywords = metaKeywords.length > 0 ? metaKeywords : extractedKeywords;
 
         console.log('[AI Optimizer] Content improvements - Using real page content:', !!realPageContent);
@@ -729,7 +729,7 @@ Detected Issues: ${issueDescriptions}
 
 Content Statistics:
 - Word Count: ${content.wordCount || 0}
-- Readability Score: ${content.readabilityScore || 0}/100
+- Readability Score: ${content.readabilityScore || 0}/100${content.readability ? ` (${content.readability.formula}, grade ${content.readability.grade})` : ''}
 - H1 Count: ${headings.h1?.length || 0}
 - H2 Count: ${headings.h2?.length || 0}
 - Main Keywords: ${mainKeywords.slice(0, 5).join(', ')}
@@ -777,12 +777,12 @@ Please respond in JSON format:
         } : (analysis.headings || {});
         const content = realPageContent ? {
             wordCount: realPageContent.wordCount || 0,
-            keywordDensity: realPageContent.keywordDensity || {}
+            keyphrases: realPageContent.keyphrases || []
         } : (analysis.content || {});
         
         // 获取关键词：优先使用meta keywords，否则从内容中提取
         const metaKeywords = realPageContent?.keywordsArray || [];
-        const extractedKeywords = this.extractTopKeywords(content.keywordDensity || {});
+        const extractedKeywords = this.extractTopKeywords(content.keyphrases || []);
         const existingKeywords = metaKeywords.length > 0 ? metaKeywords : extractedKeywords;
         const h1Array = headings.h1 || [];
         const h1Info = h1Array.length === 0 ? 'No H1 tags found' :
@@ -946,11 +946,11 @@ Please respond in JSON format:
         }
     }
 
-    extractTopKeywords(keywordDensity) {
-        return Object.entries(keywordDensity)
-            .sort(([, a], [, b]) => b - a)
+    // Keyphrases arrive ranked by KeyphraseExtractor
+    extractTopKeywords(keyphrases) {
+        return keyphrases
             .slice(0, 10)
-            .map(([keyword]) => keyword);
+            .map(keyphrase => keyphrase.phrase);
     }
 
     // 辅助方法：计算需要生成的建议总数
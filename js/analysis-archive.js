@@ -0,0 +1,83 @@
+// Analysis Archive
+// Stores the complete analyzer output per report, gzip-compressed and trimmed to a size cap
+
+class AnalysisArchive {
+  static getDefaultLimits() {
+    return {
+      maxBytes: 256 * 1024
+    };
+  }
+
+  // Applied one at a time, least useful data first, until the archive fits
+  static getTrimSteps() {
+    return [
+      { path: 'links.inventory', apply: analysis => { if (analysis.links) delete analysis.links.inventory; } },
+      { path: 'links.checked', apply: analysis => { if (analysis.links?.checked) analysis.links.checked = analysis.links.checked.filter(link => link.error || link.status >= 300); } },
+      { path: 'performance.resources.largest', apply: analysis => { if (analysis.performance?.resources) analysis.performance.resources.largest = []; } },
+      { path: 'images.audit', apply: analysis => { if (analysis.images?.audit) analysis.images.audit = analysis.images.audit.slice(0, 20); } },
+      { path: 'headings.outline', apply: analysis => { if (analysis.headings?.outline) analysis.headings.outline = analysis.headings.outline.slice(0, 100); } },
+      { path: 'content.keyphrases', apply: analysis => { if (analysis.content?.keyphrases) analysis.content.keyphrases = analysis.content.keyphrases.slice(0, 10); } }
+    ];
+  }
+
+  /**
+   * Compress an analysis for storage
+   * @param {Object} analysis - EnhancedContentAnalyzer output after enrichAnalysis
+   * @param {Object} [limits] - { maxBytes } of the stored data
+   * @returns {Promise<Object>} - { format: 'gzip'|'json', data, bytes, rawBytes, truncated: [path] }
+   */
+  static async pack(analysis, limits = AnalysisArchive.getDefaultLimits()) {
+    const copy = JSON.parse(JSON.stringify(analysis));
+    const truncated = [];
+    const steps = AnalysisArchive.getTrimSteps();
+
+    let json = JSON.stringify(copy);
+    let archive = await AnalysisArchive.encode(json);
+    while (archive.data.length > limits.maxBytes && steps.length > 0) {
+      const step = steps.shift();
+      step.apply(copy);
+      truncated.push(step.path);
+      json = JSON.stringify(copy);
+      archive = await AnalysisArchive.encode(json);
+    }
+
+    if (archive.data.length > limits.maxBytes) {
+      throw new Error(`Analysis is ${archive.data.length} bytes after trimming, over the ${limits.maxBytes} byte cap`);
+    }
+
+    return { ...archive, bytes: archive.data.length, rawBytes: json.length, truncated: truncated };
+  }
+
+  static async unpack(archive) {
+    if (!archive) return null;
+    if (archive.format === 'json') return JSON.parse(archive.data);
+
+    const bytes = Uint8Array.from(atob(archive.data), character => character.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+  }
+
+  // Base64 gzip where CompressionStream exists, plain JSON otherwise
+  static async encode(json) {
+    if (typeof CompressionStream === 'undefined') {
+      return { format: 'json', data: json };
+    }
+
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    // String.fromCharCode takes the bytes as arguments, chunk to stay under the argument limit
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+    }
+    return { format: 'gzip', data: btoa(binary) };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisArchive;
+} else if (typeof window !== 'undefined') {
+  window.AnalysisArchive = AnalysisArchive;
+}
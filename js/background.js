@@ -1,42 +1,53 @@
 // SEO Checker Background Service Worker
 
 // Import enhanced rules engine and AI optimizer
+importScripts('seo-rule-registry.js');
 importScripts('enhanced-seo-rules.js');
+importScripts('seo-settings.js');
+importScripts('seo-profiles.js');
+importScripts('robots-txt.js');
+importScripts('sitemap-checker.js');
+importScripts('canonical-checker.js');
+importScripts('duplicate-checker.js');
+importScripts('hreflang-validator.js');
+importScripts('link-checker.js');
+importScripts('http-inspector.js');
+importScripts('analysis-archive.js');
+importScripts('report-store.js');
+importScripts('site-crawler.js');
 importScripts('ai-content-optimizer.js');
 
-// Simple storage manager
+// Simple storage manager, reports live in ReportStore
 class SimpleStorageManager {
-  async saveReport(report) {
+  async saveFocusKeyword(url, keyword) {
     try {
-      const reports = await this.getAllReports();
-      const filteredReports = reports.filter(r => r.url !== report.url);
-      filteredReports.unshift(report);
-      const trimmedReports = filteredReports.slice(0, 100);
-      
+      const keywords = await this.getFocusKeywords();
+      if (keyword) {
+        keywords[url] = keyword;
+      } else {
+        delete keywords[url];
+      }
+
       await chrome.storage.local.set({
-        'seo_reports': trimmedReports
+        'seo_focus_keywords': keywords
       });
     } catch (error) {
       // Silent fail for storage errors
     }
   }
 
-  async getAllReports() {
+  async getFocusKeywords() {
     try {
-      const result = await chrome.storage.local.get('seo_reports');
-      return result['seo_reports'] || [];
+      const result = await chrome.storage.local.get('seo_focus_keywords');
+      return result['seo_focus_keywords'] || {};
     } catch (error) {
-      return [];
+      return {};
     }
   }
 
-  async getReportByUrl(url) {
-    try {
-      const reports = await this.getAllReports();
-      return reports.find(report => report.url === url) || null;
-    } catch (error) {
-      return null;
-    }
+  async getFocusKeyword(url) {
+    const keywords = await this.getFocusKeywords();
+    return keywords[url] || '';
   }
 }
 
@@ -44,8 +55,18 @@ class SimpleStorageManager {
 class SimpleBackgroundService {
   constructor() {
     this.storageManager = new SimpleStorageManager();
+    this.reportStore = new ReportStore();
     this.analysisStatus = new Map();
+    this.robotsTxtCache = new Map();
+    this.sitemapCache = new Map();
+    this.linkChecker = new LinkChecker();
+    this.httpInspector = new HttpInspector();
     this.aiOptimizer = new AIContentOptimizer();
+    this.crawler = null;
+    this.crawl = null;
+    this.crawlDuplicateUrls = new Set();
+    this.rescoreRun = 0;
+    this.offscreenReady = null;
     this.initializeMessageHandlers();
   }
 
@@ -93,6 +114,10 @@ class SimpleBackgroundService {
           await this.handleAnalyzeCurrentPage(message, sendResponse);
           break;
         
+        case 'setFocusKeyword':
+          await this.handleSetFocusKeyword(message, sendResponse);
+          break;
+        
         case 'getAnalysisStatus':
           await this.handleGetAnalysisStatus(message, sendResponse);
           break;
@@ -112,6 +137,30 @@ class SimpleBackgroundService {
         case 'getAIProgress':
           await this.handleGetAIProgress(message, sendResponse);
           break;
+
+        case 'rescoreReports':
+          await this.handleRescoreReports(message, sendResponse);
+          break;
+
+        case 'getReportHistory':
+          await this.handleGetReportHistory(message, sendResponse);
+          break;
+
+        case 'getDuplicates':
+          await this.handleGetDuplicates(message, sendResponse);
+          break;
+
+        case 'startCrawl':
+          await this.handleStartCrawl(message, sendResponse);
+          break;
+
+        case 'stopCrawl':
+          await this.handleStopCrawl(message, sendResponse);
+          break;
+
+        case 'getCrawlStatus':
+          await this.handleGetCrawlStatus(message, sendResponse);
+          break;
         
         default:
           sendResponse({ error: 'Unknown action' });
@@ -134,7 +183,7 @@ class SimpleBackgroundService {
         throw new Error('Cannot get page URL');
       }
 
-      const report = await this.storageManager.getReportByUrl(tab.url);
+      const report = await this.reportStore.getLatestReport(tab.url);
       sendResponse({ report: report });
     } catch (error) {
       sendResponse({
@@ -152,8 +201,9 @@ class SimpleBackgroundService {
       }
 
       // Check if tab exists and is valid
+      let tab;
       try {
-        const tab = await chrome.tabs.get(tabId);
+        tab = await chrome.tabs.get(tabId);
         
         if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
           throw new Error('Current page is not a valid webpage, SEO analysis only supports HTTP/HTTPS pages');
@@ -162,6 +212,8 @@ class SimpleBackgroundService {
         throw new Error('Cannot access current tab');
       }
 
+      const focusKeyword = await this.storageManager.getFocusKeyword(tab.url);
+
       // Set analysis status to running
       this.analysisStatus.set(tabId, {
         status: 'running',
@@ -170,7 +222,7 @@ class SimpleBackgroundService {
 
       try {
         // Trigger content script analysis
-        await chrome.tabs.sendMessage(tabId, { type: 'START_ANALYSIS' });
+        await chrome.tabs.sendMessage(tabId, { type: 'START_ANALYSIS', focusKeyword: focusKeyword });
       } catch (contentError) {
         this.analysisStatus.set(tabId, {
           status: 'failed',
@@ -194,6 +246,28 @@ class SimpleBackgroundService {
     }
   }
 
+  async handleSetFocusKeyword(message, sendResponse) {
+    try {
+      const { tabId, keyword = '' } = message;
+      
+      if (!tabId) {
+        throw new Error('Missing tab ID');
+      }
+
+      const tab = await chrome.tabs.get(tabId);
+      if (!tab.url) {
+        throw new Error('Cannot get page URL');
+      }
+
+      await this.storageManager.saveFocusKeyword(tab.url, keyword.trim());
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to save focus keyphrase'
+      });
+    }
+  }
+
   async handleGetAnalysisStatus(message, sendResponse) {
     try {
       const { tabId } = message;
@@ -226,7 +300,7 @@ class SimpleBackgroundService {
           });
           return;
         } else if (currentStatus.status === 'completed') {
-          const report = await this.storageManager.getReportByUrl(tab.url);
+          const report = await this.reportStore.getLatestReport(tab.url);
           if (report) {
             sendResponse({
               completed: true,
@@ -237,7 +311,7 @@ class SimpleBackgroundService {
         }
       }
 
-      const report = await this.storageManager.getReportByUrl(tab.url);
+      const report = await this.reportStore.getLatestReport(tab.url);
       
       // Check if analysis was completed recently (within last 5 minutes)
       const isRecent = report && (Date.now() - new Date(report.timestamp).getTime()) < 5 * 60 * 1000;
@@ -270,20 +344,38 @@ class SimpleBackgroundService {
       const tabId = sender.tab?.id;
 
       if (tabId) {
-        // Update status to completed
+        // Still running until the report is saved, otherwise the popup reads the previous run as the result
+        this.analysisStatus.set(tabId, {
+          status: 'running',
+          startTime: Date.now(),
+          progress: this.analysisStatus.get(tabId)?.progress
+        });
+      }
+
+      // Convert analysis to SEO report using the user's rule overrides
+      const settings = await SEOSettings.load();
+      await this.enrichAnalysis(analysis, settings, tabId);
+      const report = this.convertAnalysisToReport(analysis, settings);
+      // Only the report is flagged, re-scoring the archived analysis of an interrupted check shows it as not checked
+      const checkLinks = settings.checkLinks && analysis.links?.inventory?.length > 0;
+      report.technicalResults.internalLinks.checkPending = checkLinks;
+      const duplicateUrls = await this.saveRun(report, analysis, settings);
+
+      if (tabId) {
         this.analysisStatus.set(tabId, {
           status: 'completed',
           startTime: Date.now()
         });
       }
 
-      // Convert analysis to SEO report
-      const report = this.convertAnalysisToReport(analysis);
-      
-      // Save report to storage
-      await this.storageManager.saveReport(report);
+      await this.refreshDuplicates(duplicateUrls, new URL(report.url).origin, settings);
       
       sendResponse({ success: true });
+
+      // Checking up to 100 links takes longer than the popup waits, the saved run is updated afterwards
+      if (checkLinks) {
+        await this.checkRunLinks(report, analysis, settings);
+      }
     } catch (error) {
       const tabId = sender.tab?.id;
       if (tabId) {
@@ -296,6 +388,246 @@ class SimpleBackgroundService {
     }
   }
 
+  /**
+   * Store a report with its archived analysis
+   * @returns {Promise<Array<string>>} - Pages sharing a title, description or H1 with this run or the previous one
+   */
+  async saveRun(report, analysis, settings) {
+    const previous = await this.reportStore.getLatestReport(report.url);
+
+    // Keep the complete analysis for AI generation, re-scoring and diffs
+    try {
+      const archive = await AnalysisArchive.pack(analysis);
+      report.analysisArchive = { bytes: archive.bytes, rawBytes: archive.rawBytes, truncated: archive.truncated };
+      await this.reportStore.saveAnalysis(report.id, archive);
+    } catch (error) {
+      console.error('[Background] Failed to archive analysis:', error);
+    }
+
+    // Every run is kept, older runs of the page are pruned by the retention settings
+    await this.reportStore.saveReport(report);
+    try {
+      await this.reportStore.applyRetention(ReportStore.getRetention(settings), report.url);
+    } catch (error) {
+      console.error('[Background] Failed to apply report retention:', error);
+    }
+
+    return Array.from(new Set([
+      ...DuplicateChecker.getCollidingUrls(report.technicalResults.duplicates),
+      ...DuplicateChecker.getCollidingUrls(previous?.technicalResults?.duplicates)
+    ]));
+  }
+
+  // The other side of a duplicate lists the new page too, or no longer lists it after a change
+  async refreshDuplicates(urls, origin, settings) {
+    if (urls.length === 0) return;
+
+    try {
+      const wanted = new Set(urls);
+      const latestReports = await this.reportStore.getLatestReports({ origin: origin });
+      for (const latest of latestReports.filter(report => wanted.has(report.url))) {
+        const stored = await this.reportStore.getReport(latest.id);
+        if (stored) {
+          await this.rescoreStoredReport(stored, settings, latestReports);
+        }
+      }
+    } catch (error) {
+      console.error('[Background] Failed to update duplicate issues:', error);
+    }
+  }
+
+  /**
+   * Re-run the rules on a stored run's archived analysis, keeping its id, time and AI suggestions
+   * @param {Object} stored - Stored report
+   * @param {Object} settings - SEOSettings
+   * @param {Array} [latestReports] - ReportStore.getLatestReports(); when stored is one of them its duplicates are compared again
+   * @returns {Promise<boolean>} - false for reports saved before analyses were archived
+   */
+  async rescoreStoredReport(stored, settings, latestReports = []) {
+    const analysis = await this.reportStore.getAnalysis(stored.id);
+    if (!analysis) return false;
+
+    // Older runs keep the duplicates of their own time
+    if (latestReports.some(report => report.id === stored.id)) {
+      analysis.duplicates = DuplicateChecker.evaluate(analysis, latestReports, settings.duplicateSimilarity);
+    }
+
+    const report = this.convertAnalysisToReport(analysis, settings);
+    await this.reportStore.updateReport({
+      ...report,
+      id: stored.id,
+      timestamp: stored.timestamp,
+      crawlId: stored.crawlId,
+      suggestions: stored.suggestions,
+      aiGeneratedAt: stored.aiGeneratedAt,
+      analysisArchive: stored.analysisArchive,
+      rescoredAt: new Date().toISOString()
+    });
+    return true;
+  }
+
+  // Broken link check of a saved run, the detailed report reloads a run it shows once REPORT_UPDATED arrives
+  async checkRunLinks(report, analysis, settings) {
+    try {
+      const { checked, skipped } = await this.linkChecker.checkLinks(analysis.links.inventory);
+      analysis.links.checked = checked;
+      analysis.links.skipped = skipped;
+      analysis.links.brokenLinks = checked.filter(link => LinkChecker.isBroken(link)).length;
+    } catch (error) {
+      console.error('[Background] Link check failed:', error);
+    }
+
+    try {
+      // Retention may have pruned the run, and duplicates or AI suggestions may have changed it meanwhile
+      const stored = await this.reportStore.getReport(report.id);
+      if (!stored) return;
+      analysis.duplicates = stored.technicalResults?.duplicates || analysis.duplicates;
+
+      const archive = await AnalysisArchive.pack(analysis);
+      await this.reportStore.saveAnalysis(report.id, archive);
+      await this.reportStore.updateReport({
+        ...this.convertAnalysisToReport(analysis, settings),
+        id: stored.id,
+        timestamp: stored.timestamp,
+        suggestions: stored.suggestions,
+        aiGeneratedAt: stored.aiGeneratedAt,
+        analysisArchive: { bytes: archive.bytes, rawBytes: archive.rawBytes, truncated: archive.truncated }
+      });
+    } catch (error) {
+      console.error('[Background] Failed to store link check results:', error);
+      return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'REPORT_UPDATED', reportId: report.id }).catch(() => {
+      // Detailed report might not be open, ignore error
+    });
+  }
+
+  /**
+   * Add checks that need network access from the background worker
+   * Broken links are checked after the report is saved, see checkRunLinks
+   * @param {Object} analysis - EnhancedContentAnalyzer output
+   * @param {Object} [settings] - SEOSettings
+   * @param {number} [tabId] - Tab the analysis came from
+   * @param {Object} [httpRecord] - HttpInspector record of a response fetched elsewhere, e.g. by the site crawl
+   */
+  async enrichAnalysis(analysis, settings = {}, tabId = null, httpRecord = null) {
+    const origin = new URL(analysis.url).origin;
+    const robots = await this.getRobotsTxt(origin);
+    const reports = await this.reportStore.getLatestReports({ origin: origin });
+
+    // First, the sitemap and canonical checks depend on header-level noindex
+    try {
+      analysis.http = httpRecord ? HttpInspector.evaluate(httpRecord) : await this.httpInspector.inspect(analysis.url, tabId);
+    } catch (error) {
+      console.error('[Background] HTTP inspection failed:', error);
+    }
+
+    try {
+      const userAgents = Array.from(new Set([
+        ...RobotsTxt.getDefaultUserAgents(),
+        ...(settings.robotsUserAgent ? [settings.robotsUserAgent] : [])
+      ]));
+
+      analysis.robotsTxt = RobotsTxt.evaluate(robots, analysis.url, userAgents);
+      if (analysis.technical) {
+        analysis.technical.hasRobotsTxt = robots.found;
+      }
+    } catch (error) {
+      console.error('[Background] robots.txt check failed:', error);
+    }
+
+    try {
+      const index = await this.getSitemapIndex(origin, robots.parsed.sitemaps);
+      analysis.sitemap = SitemapChecker.evaluate(index, analysis, reports);
+      if (analysis.technical) {
+        analysis.technical.hasSitemap = analysis.sitemap.found;
+      }
+    } catch (error) {
+      console.error('[Background] Sitemap check failed:', error);
+    }
+
+    try {
+      const canonicalTarget = CanonicalChecker.getTargetUrl(analysis);
+      if (canonicalTarget) {
+        // A target on another host, e.g. www, is looked up by its URL
+        const targetReports = new URL(canonicalTarget).origin === origin
+          ? reports
+          : [await this.reportStore.getLatestReport(canonicalTarget)].filter(Boolean);
+        analysis.canonical.target = await CanonicalChecker.checkTarget(canonicalTarget, targetReports);
+      }
+    } catch (error) {
+      console.error('[Background] Canonical target check failed:', error);
+    }
+
+    try {
+      analysis.duplicates = DuplicateChecker.evaluate(analysis, reports, settings.duplicateSimilarity);
+    } catch (error) {
+      console.error('[Background] Duplicate check failed:', error);
+    }
+
+    if (settings.hreflangReturnLinks && analysis.hreflang?.alternates.length > 0) {
+      try {
+        analysis.hreflang.returnLinks = await HreflangValidator.checkReturnLinks(analysis.hreflang.alternates, analysis.url);
+      } catch (error) {
+        console.error('[Background] Hreflang return link check failed:', error);
+      }
+    }
+
+    return analysis;
+  }
+
+  // Cached in memory and in session storage, which outlives the worker's idle shutdowns
+  async getSitemapIndex(origin, robotsSitemaps) {
+    const ttl = 30 * 60 * 1000;
+    const cached = this.sitemapCache.get(origin);
+    if (cached && Date.now() - cached.timestamp < ttl) {
+      return cached.index;
+    }
+
+    const stored = await this.loadStoredSitemaps(ttl);
+    if (stored[origin]) {
+      const index = SitemapChecker.unpack(stored[origin].index);
+      this.sitemapCache.set(origin, { index: index, timestamp: stored[origin].timestamp });
+      return index;
+    }
+
+    const index = await SitemapChecker.crawl(SitemapChecker.discover(origin, robotsSitemaps));
+    const timestamp = Date.now();
+    this.sitemapCache.set(origin, { index: index, timestamp: timestamp });
+
+    // Expired origins are dropped on every write, so the cache stays within the session quota
+    try {
+      await chrome.storage.session.set({ 'seo_sitemaps': { ...stored, [origin]: { index: SitemapChecker.pack(index), timestamp: timestamp } } });
+    } catch (error) {
+      console.error('[Background] Failed to store sitemap index:', error);
+    }
+    return index;
+  }
+
+  // Unexpired sitemap indexes by origin, in SitemapChecker.pack form
+  async loadStoredSitemaps(ttl) {
+    try {
+      const result = await chrome.storage.session.get('seo_sitemaps');
+      return Object.fromEntries(Object.entries(result.seo_sitemaps || {})
+        .filter(([, cached]) => Date.now() - cached.timestamp < ttl));
+    } catch (error) {
+      console.error('[Background] Failed to read stored sitemap indexes:', error);
+      return {};
+    }
+  }
+
+  async getRobotsTxt(origin) {
+    const cached = this.robotsTxtCache.get(origin);
+    if (cached && Date.now() - cached.timestamp < 10 * 60 * 1000) {
+      return cached.robots;
+    }
+
+    const robots = await RobotsTxt.load(origin);
+    this.robotsTxtCache.set(origin, { robots: robots, timestamp: Date.now() });
+    return robots;
+  }
+
   async handleAnalysisProgress(message, sender, sendResponse) {
     try {
       // Store progress information
@@ -349,21 +681,29 @@ class SimpleBackgroundService {
 
   async handleGetLatestReport(message, sendResponse) {
     try {
+      // A run picked from the history
+      if (message.reportId) {
+        const report = await this.reportStore.getReport(message.reportId);
+        sendResponse(report ? { report: report } : { report: null, error: 'This run is no longer stored' });
+        return;
+      }
+
+
       // First try to get the URL from storage (set when opening detailed report)
       const result = await chrome.storage.local.get('current_report_url');
       const targetUrl = result.current_report_url;
       
       if (targetUrl) {
         // Get report for specific URL
-        const report = await this.storageManager.getReportByUrl(targetUrl);
+        const report = await this.reportStore.getLatestReport(targetUrl);
         if (report) {
           sendResponse({ report: report });
           return;
         }
       }
       
-      // Fallback: Get all reports and return the most recent one
-      const reports = await this.storageManager.getAllReports();
+      // Fallback: the most recent run of any page
+      const { reports } = await this.reportStore.queryReports({ limit: 1 });
       
       if (reports.length === 0) {
         sendResponse({
@@ -373,9 +713,7 @@ class SimpleBackgroundService {
         return;
       }
 
-      // Return the most recent report (first in array)
-      const latestReport = reports[0];
-      sendResponse({ report: latestReport });
+      sendResponse({ report: reports[0] });
     } catch (error) {
       sendResponse({
         error: error.message || 'Failed to get latest report'
@@ -398,7 +736,7 @@ class SimpleBackgroundService {
       }
 
       // Get existing report
-      const report = await this.storageManager.getReportByUrl(tab.url);
+      const report = await this.reportStore.getLatestReport(tab.url);
       if (!report) {
         throw new Error('Please run SEO analysis first, then generate AI suggestions');
       }
@@ -447,7 +785,7 @@ class SimpleBackgroundService {
       report.aiGeneratedAt = new Date().toISOString();
       
       // Save updated report
-      await this.storageManager.saveReport(report);
+      await this.reportStore.updateReport(report);
 
       sendResponse({
         success: true,
@@ -495,11 +833,349 @@ class SimpleBackgroundService {
     }
   }
 
+  /**
+   * Re-run the rules on the stored analyses, e.g. after rule settings changed
+   * Only the latest run of each page is re-scored, older runs keep the scores of their time
+   * Without a reportId the reply comes right away, RESCORE_PROGRESS follows every report
+   */
+  async handleRescoreReports(message, sendResponse) {
+    try {
+      const settings = await SEOSettings.load();
+      // Retention settings may have changed too
+      await this.reportStore.applyRetention(ReportStore.getRetention(settings));
+
+      if (message.reportId) {
+        const report = await this.reportStore.getReport(message.reportId);
+        const rescored = !!report && await this.rescoreStoredReport(report, settings, await this.reportStore.getLatestReports({ origin: report.origin }));
+        sendResponse({ success: true, rescored: rescored ? 1 : 0, skipped: rescored ? 0 : 1 });
+        return;
+      }
+
+      // The similarity threshold may have changed, latest runs compare their duplicates again
+      const latestReports = await this.reportStore.getLatestReports();
+      sendResponse({ success: true, total: latestReports.length });
+
+      // The re-scoring outlives this message
+      this.runRescore(latestReports, settings);
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to re-score reports'
+      });
+    }
+  }
+
+  // A newer save supersedes a re-scoring in progress, its settings are the ones that count
+  async runRescore(latestReports, settings) {
+    const run = ++this.rescoreRun;
+    const progress = { status: 'running', total: latestReports.length, done: 0, rescored: 0 };
+
+    for (const latest of latestReports) {
+      if (run !== this.rescoreRun) return;
+
+      try {
+        // One full run in memory at a time
+        const stored = await this.reportStore.getReport(latest.id);
+        if (stored && await this.rescoreStoredReport(stored, settings, latestReports)) {
+          progress.rescored++;
+        }
+      } catch (error) {
+        console.error('[Background] Failed to re-score report:', error);
+      }
+      progress.done++;
+      this.sendRescoreProgress(progress);
+    }
+
+    progress.status = 'completed';
+    this.sendRescoreProgress(progress);
+  }
+
+  sendRescoreProgress(progress) {
+    chrome.runtime.sendMessage({ type: 'RESCORE_PROGRESS', progress: { ...progress } }).catch(() => {
+      // Options page might be closed, ignore error
+    });
+  }
+
+  // Runs newest first, filtered by page, site or time range, one page at a time
+  async handleGetReportHistory(message, sendResponse) {
+    try {
+      const { url, origin, since, until, limit = 50, offset = 0, summary = false } = message;
+      const { reports, total } = await this.reportStore.queryReports({
+        url: url,
+        origin: origin,
+        since: since,
+        until: until,
+        limit: Math.min(limit, 200),
+        offset: offset
+      });
+
+      sendResponse({
+        success: true,
+        reports: summary ? reports.map(report => ReportStore.summarize(report)) : reports,
+        total: total
+      });
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to get report history'
+      });
+    }
+  }
+
+  /**
+   * Crawl a site from a page or from its sitemap, one crawl at a time
+   * Pages are fetched and analyzed in the offscreen document, every analyzed page gets a stored report
+   */
+  async handleStartCrawl(message, sendResponse) {
+    try {
+      if (this.crawler) {
+        throw new Error('A crawl is already running');
+      }
+
+      const startUrl = SiteCrawler.normalizeUrl(message.url);
+      if (!startUrl) {
+        throw new Error('Crawls only support HTTP/HTTPS pages');
+      }
+
+      const origin = new URL(startUrl).origin;
+      const source = message.source === 'sitemap' ? 'sitemap' : 'page';
+      const options = SiteCrawler.normalizeOptions(message);
+      const settings = await SEOSettings.load();
+      const robots = await this.getRobotsTxt(origin);
+      if (robots.unreachable) {
+        throw new Error(`robots.txt could not be loaded (${robots.error}), crawlers treat the site as disallowed`);
+      }
+
+      let seeds = [startUrl];
+      if (source === 'sitemap') {
+        const index = await this.getSitemapIndex(origin, robots.parsed.sitemaps);
+        seeds = Array.from(index.entries.keys()).filter(url => SiteCrawler.normalizeUrl(url) && new URL(url).origin === origin);
+        if (seeds.length === 0) {
+          throw new Error('The sitemap lists no URLs of this site');
+        }
+      }
+
+      // The crawl follows the rules for the configured crawler, Googlebot otherwise
+      const userAgent = settings.robotsUserAgent || RobotsTxt.getDefaultUserAgents()[0];
+
+      this.crawl = {
+        id: this.generateReportId(),
+        origin: origin,
+        startUrl: startUrl,
+        source: source,
+        options: options,
+        userAgent: userAgent,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null,
+        queued: seeds.length,
+        pages: []
+      };
+      this.crawlDuplicateUrls = new Set();
+      this.crawler = new SiteCrawler(origin, options, {
+        isAllowed: url => RobotsTxt.isAllowed(robots.parsed, userAgent, url).allowed,
+        analyzePage: url => this.crawlPage(url, settings),
+        onUpdate: (pages, queued) => {
+          this.crawl.pages = pages;
+          this.crawl.queued = queued;
+          this.saveCrawl();
+        }
+      });
+
+      await this.saveCrawl();
+      sendResponse({ success: true, crawl: this.crawl });
+
+      // The crawl outlives this message
+      this.runCrawl(seeds, settings);
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to start crawl'
+      });
+    }
+  }
+
+  async runCrawl(seeds, settings) {
+    const crawl = this.crawl;
+
+    try {
+      await this.crawler.crawl(seeds);
+      await this.refreshDuplicates(Array.from(this.crawlDuplicateUrls), crawl.origin, settings);
+      crawl.status = this.crawler.stopped ? 'stopped' : 'completed';
+    } catch (error) {
+      console.error('[Background] Crawl failed:', error);
+      crawl.status = 'failed';
+      crawl.error = error.message;
+    }
+
+    crawl.queued = this.crawler.queue.length;
+    crawl.finishedAt = new Date().toISOString();
+    this.crawler = null;
+    await this.saveCrawl();
+    await this.closeOffscreenDocument();
+  }
+
+  /**
+   * Fetch, analyze and store one crawled page
+   * @returns {Promise<Object>} - Page fields for SiteCrawler, with the same-origin links to follow
+   */
+  async crawlPage(url, settings) {
+    await this.ensureOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'CRAWL_ANALYZE',
+      url: url,
+      origin: this.crawl.origin,
+      focusKeyword: await this.storageManager.getFocusKeyword(url)
+    });
+    if (!result || result.error) {
+      throw new Error(result?.error || 'The offscreen document did not respond');
+    }
+
+    const page = {
+      status: result.http.status,
+      finalUrl: result.http.finalUrl,
+      retryAfter: result.retryAfter,
+      skipped: result.skipped
+    };
+
+    // A rate limit response is not the page, SiteCrawler retries it once
+    if (page.status === 429 || page.status === 503) {
+      return { ...page, skipped: `Rate limited (HTTP ${page.status})` };
+    }
+    // A redirect to another site (SSO login, apex to www) is that site's page, it is neither enriched nor stored
+    if (new URL(page.finalUrl || url).origin !== this.crawl.origin) {
+      return { ...page, skipped: 'Redirected off-origin' };
+    }
+    if (!result.analysis) {
+      return page;
+    }
+
+    const analysis = result.analysis;
+    // Link and hreflang return checks would multiply the requests per page
+    await this.enrichAnalysis(analysis, { ...settings, hreflangReturnLinks: false }, null, result.http);
+    const report = this.convertAnalysisToReport(analysis, settings);
+    report.crawlId = this.crawl.id;
+    const duplicateUrls = await this.saveRun(report, analysis, settings);
+    // Pages crawled earlier didn't see this one, duplicates are updated once the crawl ends
+    [report.url, ...duplicateUrls].forEach(duplicateUrl => this.crawlDuplicateUrls.add(duplicateUrl));
+
+    const nofollow = analysis.http?.xRobotsTag?.nofollow || /\b(nofollow|none)\b/i.test(analysis.metaTags?.robots || '');
+    return {
+      ...page,
+      reportId: report.id,
+      title: analysis.metaTags?.title || '',
+      score: report.score?.overall ?? null,
+      issueCount: report.issues.length,
+      criticalCount: report.issues.filter(issue => issue.severity === 'critical').length,
+      links: nofollow ? [] : (analysis.links?.inventory || []).filter(link => link.internal).map(link => link.url)
+    };
+  }
+
+  async handleStopCrawl(message, sendResponse) {
+    try {
+      if (this.crawler) {
+        this.crawler.stop();
+        this.crawl.status = 'stopping';
+        await this.saveCrawl();
+      }
+      sendResponse({ success: true, crawl: this.crawl });
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to stop crawl'
+      });
+    }
+  }
+
+  async handleGetCrawlStatus(message, sendResponse) {
+    try {
+      if (!this.crawl) {
+        const result = await chrome.storage.local.get('seo_crawl');
+        this.crawl = result.seo_crawl || null;
+
+        // The service worker was restarted while the crawl was running
+        if (this.crawl && (this.crawl.status === 'running' || this.crawl.status === 'stopping')) {
+          this.crawl.status = 'interrupted';
+          this.crawl.finishedAt = new Date().toISOString();
+          await this.saveCrawl();
+        }
+      }
+
+      sendResponse({ success: true, crawl: this.crawl });
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to get crawl status'
+      });
+    }
+  }
+
+  // The dashboard reads the crawl from storage when it opens and follows CRAWL_PROGRESS afterwards
+  async saveCrawl() {
+    try {
+      await chrome.storage.local.set({ 'seo_crawl': this.crawl });
+    } catch (error) {
+      console.error('[Background] Failed to store crawl state:', error);
+    }
+
+    chrome.runtime.sendMessage({ type: 'CRAWL_PROGRESS', crawl: this.crawl }).catch(() => {
+      // Dashboard might not be open, ignore error
+    });
+  }
+
+  // Crawled pages are parsed in an offscreen document, the service worker has no DOM
+  async ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+
+    if (!this.offscreenReady) {
+      this.offscreenReady = chrome.offscreen.createDocument({
+        url: 'popup/offscreen.html',
+        reasons: ['DOM_PARSER'],
+        justification: 'Parse crawled pages for SEO analysis'
+      }).finally(() => {
+        this.offscreenReady = null;
+      });
+    }
+    await this.offscreenReady;
+  }
+
+  async closeOffscreenDocument() {
+    try {
+      if (await chrome.offscreen.hasDocument()) {
+        await chrome.offscreen.closeDocument();
+      }
+    } catch (error) {
+      console.error('[Background] Failed to close offscreen document:', error);
+    }
+  }
+
+  // Pages of one site sharing a title, description or H1, from the latest run of each page
+  async handleGetDuplicates(message, sendResponse) {
+    try {
+      const { origin } = message;
+      if (!origin) {
+        throw new Error('Missing origin');
+      }
+
+      const settings = await SEOSettings.load();
+      const reports = await this.reportStore.getLatestReports({ origin: origin });
+      sendResponse({
+        success: true,
+        threshold: settings.duplicateSimilarity,
+        pageCount: reports.length,
+        groups: DuplicateChecker.findGroups(reports, settings.duplicateSimilarity)
+      });
+    } catch (error) {
+      sendResponse({
+        error: error.message || 'Failed to find duplicates'
+      });
+    }
+  }
+
   async getAnalysisDataForReport(report) {
-    // Reconstruct analysis data from report
-    // This is a simplified version - in a real implementation, 
-    // you might want to store the original analysis data
-    
+    const analysis = await this.reportStore.getAnalysis(report.id);
+    if (analysis) {
+      return analysis;
+    }
+
+    // Reports saved before analyses were archived only have the report fields
     const reconstructedData = {
       url: report.url,
       timestamp: report.timestamp,
@@ -515,7 +1191,8 @@ class SimpleBackgroundService {
       content: {
         wordCount: report.contentResults?.wordCount || 0,
         readabilityScore: report.contentResults?.readabilityScore || 0,
-        keywordDensity: report.contentResults?.keywordDensity || {},
+        readability: report.contentResults?.readability || null,
+        keyphrases: report.contentResults?.keyphrases || [],
         contentStructure: report.contentResults?.contentStructure || {}
       },
       images: {
@@ -537,17 +1214,21 @@ class SimpleBackgroundService {
     return reconstructedData;
   }
 
-  convertAnalysisToReport(analysis) {
+  convertAnalysisToReport(analysis, settings = {}) {
     try {
-      // Use enhanced scoring algorithm
-      const enhancedRules = new EnhancedSEORules();
+      // Use enhanced scoring algorithm with the selected or detected site profile
+      const profile = SEOProfiles.resolve(settings.profile, analysis);
+      const enhancedRules = new EnhancedSEORules(settings, SEOProfiles.getProfile(profile.id));
       const score = enhancedRules.calculateEnhancedScore(analysis);
       const issues = enhancedRules.generateDetailedIssues(analysis);
+      const canonicalIssues = issues.filter(issue => issue.id.startsWith('canonical_') && issue.id !== 'canonical_url');
 
       const report = {
         id: this.generateReportId(),
         url: analysis.url,
         timestamp: new Date(analysis.timestamp),
+        profile: profile,
+        focusKeyword: analysis.focusKeyword?.keyword || '',
         score: score,
         issues: issues,
         suggestions: {
@@ -575,7 +1256,8 @@ class SimpleBackgroundService {
             h1Content: analysis.headings?.h1 || [],
             h2Content: analysis.headings?.h2 || [],
             h3Content: analysis.headings?.h3 || [],
-            headingHierarchy: true,
+            headingHierarchy: analysis.headings?.structure?.hasProperHierarchy ?? true,
+            outline: analysis.headings?.outline || [],
             headingDistribution: {
               h1: analysis.headings?.h1?.length || 0,
               h2: analysis.headings?.h2?.length || 0,
@@ -588,24 +1270,56 @@ class SimpleBackgroundService {
           internalLinks: {
             internalLinksCount: analysis.content?.internalLinks || 0,
             externalLinksCount: analysis.content?.externalLinks || 0,
-            brokenLinksCount: 0,
-            noFollowLinksCount: 0
+            brokenLinksCount: analysis.links?.brokenLinks || 0,
+            noFollowLinksCount: 0,
+            checked: !!analysis.links?.checked,
+            checkedCount: analysis.links?.checked?.length || 0,
+            skippedCount: analysis.links?.skipped || 0,
+            brokenLinks: (analysis.links?.checked || []).filter(link => LinkChecker.isBroken(link)),
+            redirectedLinks: (analysis.links?.checked || []).filter(link => !LinkChecker.isBroken(link) && link.redirected)
+          },
+          structuredData: {
+            items: analysis.structuredData?.items || [],
+            problems: analysis.structuredData?.problems || []
+          },
+          sitemap: analysis.sitemap || null,
+          hreflang: {
+            alternates: (analysis.hreflang?.alternates || []).map(alternate => ({
+              ...alternate,
+              returnLink: (analysis.hreflang.returnLinks || []).find(result => result.url === alternate.resolved) || null
+            })),
+            problems: analysis.hreflang?.problems || [],
+            returnLinksChecked: !!analysis.hreflang?.returnLinks
           },
           canonicalUrl: {
             hasCanonical: !!analysis.metaTags?.canonical,
             canonicalUrl: analysis.metaTags?.canonical || undefined,
-            isValid: true
+            isValid: canonicalIssues.length === 0,
+            tags: analysis.canonical?.tags || [],
+            ogUrl: analysis.canonical?.ogUrl || '',
+            target: analysis.canonical?.target || null,
+            problems: canonicalIssues.map(issue => issue.title)
           },
           robotsTxt: {
             hasRobotsMeta: !!analysis.metaTags?.robots,
-            robotsDirectives: analysis.metaTags?.robots ? [analysis.metaTags.robots] : [],
-            isIndexable: !analysis.metaTags?.robots?.includes('noindex')
-          }
+            robotsDirectives: [
+              ...(analysis.metaTags?.robots ? [analysis.metaTags.robots] : []),
+              ...(analysis.http?.headers['x-robots-tag'] ? [`X-Robots-Tag: ${analysis.http.headers['x-robots-tag']}`] : [])
+            ],
+            isIndexable: !EnhancedSEORules.isNoindex(analysis),
+            file: analysis.robotsTxt || null
+          },
+          http: analysis.http || null,
+          duplicates: analysis.duplicates || null
         },
         contentResults: {
           wordCount: analysis.content?.wordCount || 0,
           readabilityScore: analysis.content?.readabilityScore || 0,
-          keywordDensity: analysis.content?.keywordDensity || {},
+          readability: analysis.content?.readability || null,
+          keyphrases: analysis.content?.keyphrases || [],
+          focusKeyword: analysis.focusKeyword || null,
+          mainContent: analysis.content?.mainContent || null,
+          page: analysis.content?.page || null,
           contentStructure: {
             hasParagraphs: (analysis.content?.paragraphCount || 0) > 0,
             hasLists: (analysis.content?.listCount || 0) > 0,
@@ -613,8 +1327,8 @@ class SimpleBackgroundService {
             textToHtmlRatio: analysis.content?.textToHtmlRatio || 0
           },
           duplicateContent: {
-            hasDuplicateTitle: false,
-            hasDuplicateDescription: false,
+            hasDuplicateTitle: (analysis.duplicates?.title.length || 0) > 0,
+            hasDuplicateDescription: (analysis.duplicates?.description.length || 0) > 0,
             duplicateContentPercentage: 0
           }
         },
@@ -624,14 +1338,12 @@ class SimpleBackgroundService {
           imageOptimization: {
             totalImages: analysis.images?.totalImages || 0,
             imagesWithoutAlt: analysis.images?.imagesWithoutAlt || 0,
-            oversizedImages: 0,
-            unoptimizedFormats: 0
+            oversizedImages: analysis.images?.oversizedImages || 0,
+            unoptimizedFormats: analysis.images?.unoptimizedFormats || 0,
+            audit: analysis.images?.audit || []
           },
-          coreWebVitals: {
-            lcp: 0,
-            fid: 0,
-            cls: 0
-          }
+          coreWebVitals: analysis.webVitals || {},
+          resources: analysis.performance?.resources || null
         }
       };
 
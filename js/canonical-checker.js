@@ -0,0 +1,81 @@
+// Canonical Checker
+// Requests the canonical target from the background worker to catch noindex, redirected and broken targets
+
+class CanonicalChecker {
+  // Per request, the check runs inline in every analysis and crawled page
+  static getTimeout() {
+    return 8000;
+  }
+
+  // Only a canonical that differs from the analyzed page needs a request
+  static getTargetUrl(analysis) {
+    const canonical = (analysis.canonical?.tags || [])[0];
+    if (!canonical || !canonical.resolved) return null;
+
+    const target = CanonicalChecker.stripHash(canonical.resolved);
+    return target !== CanonicalChecker.stripHash(analysis.url) ? target : null;
+  }
+
+  static stripHash(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * HEAD the canonical target, falling back to GET when HEAD is not supported
+   * @param {string} url - Canonical target URL
+   * @param {Array} reports - Stored reports, an audited target also reveals meta robots noindex
+   * @param {number} [timeout] - Per request, in ms
+   * @returns {Promise<Object>} - { url, status, redirected, finalUrl, noindex, error }
+   */
+  static async checkTarget(url, reports = [], timeout = CanonicalChecker.getTimeout()) {
+    const target = { url: url, status: 0, redirected: false, finalUrl: url, noindex: false, error: null };
+
+    try {
+      let response = await CanonicalChecker.request(url, 'HEAD', timeout);
+      if (response.status === 405 || response.status === 501) {
+        response = await CanonicalChecker.request(url, 'GET', timeout);
+      }
+
+      target.status = response.status;
+      target.redirected = response.redirected;
+      target.finalUrl = response.url || url;
+      target.noindex = /\b(noindex|none)\b/i.test(response.headers.get('x-robots-tag') || '');
+    } catch (error) {
+      target.error = error.name === 'AbortError' ? `Timed out after ${timeout / 1000}s` : error.message;
+    }
+
+    const report = reports.find(stored => CanonicalChecker.stripHash(stored.url) === url);
+    if (report?.technicalResults?.robotsTxt?.isIndexable === false) {
+      target.noindex = true;
+    }
+
+    return target;
+  }
+
+  static async request(url, method, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { method: method, cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+      // Only the status and headers are read, don't download GET bodies
+      response.body?.cancel().catch(() => {});
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CanonicalChecker;
+} else if (typeof window !== 'undefined') {
+  window.CanonicalChecker = CanonicalChecker;
+}
@@ -1,48 +1,12 @@
 // SEO Checker Content Script
 
+// Start observing Web Vitals first, buffered entries cover what happened before the script loaded
+const webVitals = new WebVitals();
+webVitals.observe();
+
 // 初始化页面高亮器
 let pageHighlighter = null;
 
-// 计算关键词密度的辅助方法
-function calculateKeywordDensity(text) {
-  // 处理中文和英文混合内容
-  const cleanText = text.toLowerCase().replace(/[^\u4e00-\u9fff\w\s]/g, ' ');
-
-  // 提取中文词汇（2-4个字符的中文词组）
-  const chineseWords = cleanText.match(/[\u4e00-\u9fff]{2,4}/g) || [];
-
-  // 提取英文单词
-  const englishWords = cleanText.match(/\b[a-z]{3,}\b/g) || [];
-
-  // 合并所有词汇
-  const allWords = [...chineseWords, ...englishWords];
-  const wordCount = allWords.length;
-  const wordFreq = {};
-
-  allWords.forEach(word => {
-    if (word.length >= 2) { // 中文至少2个字符，英文至少3个字符
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
-    }
-  });
-
-  const density = {};
-  Object.keys(wordFreq).forEach(word => {
-    const freq = wordFreq[word];
-    if (freq >= 2) { // 只考虑出现2次以上的词
-      density[word] = Math.round((freq / wordCount) * 100 * 100) / 100; // 保留2位小数
-    }
-  });
-
-  console.log('[Content] Keyword density calculation:', {
-    totalWords: wordCount,
-    chineseWords: chineseWords.length,
-    englishWords: englishWords.length,
-    topKeywords: Object.keys(density).slice(0, 10)
-  });
-
-  return density;
-}
-
 // Set up message listener immediately
 if (typeof chrome !== 'undefined' && chrome.runtime) {
   try {
@@ -58,7 +22,7 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
           try {
             // Use enhanced analyzer
             const analyzer = new EnhancedContentAnalyzer();
-            const analysis = await analyzer.analyzePageContent();
+            const analysis = await analyzer.analyzePageContent({ focusKeyword: message.focusKeyword, webVitals: webVitals });
 
             // Send analysis to background
             await chrome.runtime.sendMessage({
@@ -118,8 +82,16 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
       if (message.type === 'GET_CURRENT_PAGE_CONTENT') {
         try {
           // 获取当前页面的真实内容
-          const bodyText = document.body.textContent || '';
-          const keywordDensity = calculateKeywordDensity(bodyText);
+          const bodyText = MainContentExtractor.getText(document.body, MainContentExtractor.getScriptSelector());
+          const declaredLanguage = document.documentElement.lang || '';
+          const locale = TextSegmenter.detectCjkLanguage(bodyText, declaredLanguage) || declaredLanguage || undefined;
+          const keyphrases = KeyphraseExtractor.extract({
+            text: bodyText,
+            title: document.title || '',
+            headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(h => h.textContent.trim()),
+            language: declaredLanguage.toLowerCase().split(/[-_]/)[0] || locale || 'en',
+            locale: locale
+          });
 
           // 获取meta keywords
           const metaKeywords = document.querySelector('meta[name="keywords"]')?.getAttribute('content') || '';
@@ -133,11 +105,11 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
             h1: Array.from(document.querySelectorAll('h1')).map(h => h.textContent.trim()).filter(text => text.length > 0),
             h2: Array.from(document.querySelectorAll('h2')).map(h => h.textContent.trim()).filter(text => text.length > 0),
             h3: Array.from(document.querySelectorAll('h3')).map(h => h.textContent.trim()).filter(text => text.length > 0),
-            wordCount: bodyText.trim().split(/\s+/).filter(word => word.length > 0).length,
-            keywordDensity: keywordDensity
+            wordCount: TextSegmenter.countWords(bodyText, locale),
+            keyphrases: keyphrases
           };
 
-          console.log('[Content] Calculated keyword density:', Object.keys(keywordDensity).slice(0, 10));
+          console.log('[Content] Extracted keyphrases:', keyphrases.slice(0, 10).map(keyphrase => keyphrase.phrase));
 
           console.log('[Content] Providing real page content:', {
             title: currentContent.title,
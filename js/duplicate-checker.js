@@ -0,0 +1,226 @@
+// Duplicate Checker
+// Finds pages of one site sharing identical or near-identical titles, meta descriptions and H1s, from the stored reports
+
+class DuplicateChecker {
+  static getFields() {
+    return [
+      {
+        key: 'title',
+        label: 'Title',
+        fromAnalysis: analysis => [analysis.metaTags?.title],
+        fromReport: report => [report.technicalResults?.metaTags?.title]
+      },
+      {
+        key: 'description',
+        label: 'Meta Description',
+        fromAnalysis: analysis => [analysis.metaTags?.description],
+        fromReport: report => [report.technicalResults?.metaTags?.description]
+      },
+      {
+        key: 'h1',
+        label: 'H1',
+        fromAnalysis: analysis => analysis.headings?.h1 || [],
+        fromReport: report => report.technicalResults?.headingStructure?.h1Content || []
+      }
+    ];
+  }
+
+  // Similarity in percent from SEOSettings.duplicateSimilarity, 100 only matches equal normalized text
+  static getDefaultThreshold() {
+    return 90;
+  }
+
+  /**
+   * Compare the analyzed page with the latest stored report of every other page of its origin
+   * @param {Object} analysis - EnhancedContentAnalyzer output
+   * @param {Array} reports - Stored reports of the origin, e.g. ReportStore.getLatestReports({ origin })
+   * @param {number} [threshold] - Minimum similarity in percent
+   * @returns {Object} - Stored on the analysis as analysis.duplicates:
+   *   { threshold, comparedPages, title|description|h1: [{ value, pages: [{ url, value, similarity }] }] }
+   */
+  static evaluate(analysis, reports = [], threshold = DuplicateChecker.getDefaultThreshold()) {
+    const page = DuplicateChecker.describeAnalysis(analysis);
+    const others = reports
+      .map(report => DuplicateChecker.describeReport(report))
+      .filter(other => other.origin === page.origin && other.url !== page.url && other.eligible);
+
+    const result = { threshold: threshold, comparedPages: others.length };
+    DuplicateChecker.getFields().forEach(field => {
+      result[field.key] = [];
+      if (!page.eligible) return;
+
+      page.values[field.key].forEach(value => {
+        const pages = [];
+        others.forEach(other => {
+          if (DuplicateChecker.isSameContent(page, other)) return;
+
+          const match = other.values[field.key]
+            .map(otherValue => ({ text: otherValue.text, similarity: DuplicateChecker.similarity(value.normalized, otherValue.normalized) }))
+            .sort((x, y) => y.similarity - x.similarity)[0];
+          if (!match || match.similarity * 100 < threshold) return;
+
+          pages.push({ url: other.url, value: match.text, similarity: Math.round(match.similarity * 100) });
+        });
+
+        if (pages.length > 0) {
+          result[field.key].push({ value: value.text, pages: pages.sort((a, b) => b.similarity - a.similarity) });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Groups of pages sharing a value, for the per-origin duplicates view
+   * @param {Array} reports - Latest stored report of each page of one origin
+   * @param {number} [threshold] - Minimum similarity in percent
+   * @returns {Object} - { title|description|h1: [{ pages: [{ url, reportId, value }] }] }, largest groups first
+   */
+  static findGroups(reports, threshold = DuplicateChecker.getDefaultThreshold()) {
+    const described = reports.map(report => DuplicateChecker.describeReport(report)).filter(page => page.eligible);
+    // A variant canonicalized to a stored page is represented by that page, so it can't join a group through a third page
+    const urls = new Set(described.map(page => page.url));
+    const pages = described.filter(page => !page.canonical || page.canonical === page.url || !urls.has(page.canonical));
+    const groups = {};
+
+    DuplicateChecker.getFields().forEach(field => {
+      const entries = pages.flatMap(page => page.values[field.key].map(value => ({ page: page, ...value })));
+      const parent = entries.map((entry, index) => index);
+      const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          const a = entries[i];
+          const b = entries[j];
+          if (a.page.url === b.page.url || DuplicateChecker.isSameContent(a.page, b.page)) continue;
+          if (DuplicateChecker.isSimilar(a.normalized, b.normalized, threshold)) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
+
+      const byRoot = new Map();
+      entries.forEach((entry, index) => {
+        const root = find(index);
+        if (!byRoot.has(root)) byRoot.set(root, new Map());
+        // A page with two matching H1s is listed once
+        const members = byRoot.get(root);
+        if (!members.has(entry.page.url)) {
+          members.set(entry.page.url, { url: entry.page.url, reportId: entry.page.reportId, value: entry.text });
+        }
+      });
+
+      groups[field.key] = Array.from(byRoot.values())
+        .map(members => ({ pages: Array.from(members.values()) }))
+        .filter(group => group.pages.length > 1)
+        .sort((a, b) => b.pages.length - a.pages.length);
+    });
+
+    return groups;
+  }
+
+  // URLs named in a duplicates result, e.g. to update the issues of those pages too
+  static getCollidingUrls(duplicates) {
+    if (!duplicates) return [];
+    return Array.from(new Set(DuplicateChecker.getFields()
+      .flatMap(field => (duplicates[field.key] || []).flatMap(entry => entry.pages.map(page => page.url)))));
+  }
+
+  // Error pages and noindex pages don't compete in search results, their shared titles are expected
+  static describeAnalysis(analysis) {
+    return DuplicateChecker.describe({
+      url: analysis.url,
+      reportId: null,
+      canonical: analysis.metaTags?.canonical || '',
+      eligible: !(/noindex|\bnone\b/i.test(analysis.metaTags?.robots || '') || !!analysis.http?.xRobotsTag?.noindex) &&
+        !(analysis.http?.status >= 400),
+      texts: field => field.fromAnalysis(analysis)
+    });
+  }
+
+  static describeReport(report) {
+    return DuplicateChecker.describe({
+      url: report.url,
+      reportId: report.id,
+      canonical: report.technicalResults?.canonicalUrl?.canonicalUrl || '',
+      eligible: report.technicalResults?.robotsTxt?.isIndexable !== false && !(report.technicalResults?.http?.status >= 400),
+      texts: field => field.fromReport(report)
+    });
+  }
+
+  static describe({ url, reportId, canonical, eligible, texts }) {
+    const values = {};
+    DuplicateChecker.getFields().forEach(field => {
+      values[field.key] = texts(field)
+        .filter(text => typeof text === 'string')
+        .map(text => ({ text: text.trim(), normalized: DuplicateChecker.normalize(text) }))
+        .filter(value => value.normalized);
+    });
+
+    let origin = '';
+    let resolvedCanonical = '';
+    try {
+      origin = new URL(url).origin;
+      resolvedCanonical = canonical ? new URL(canonical, url).href : '';
+    } catch (e) {
+      // Unparseable URLs are compared by their text only
+    }
+
+    return { url, reportId, origin, canonical: resolvedCanonical, eligible, values };
+  }
+
+  // Canonicalized variants of one page (tracking parameters, print versions) are not duplicates
+  static isSameContent(a, b) {
+    return a.canonical === b.url || b.canonical === a.url || (!!a.canonical && a.canonical === b.canonical);
+  }
+
+  // Case, width variants, punctuation and spacing don't make a title unique
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\p{P}\p{S}]+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Texts of very different length can't reach the threshold, skip counting their bigrams
+  static isSimilar(a, b, threshold) {
+    if (a !== b && (200 * (Math.min(a.length, b.length) - 1)) / (a.length + b.length - 2) < threshold) return false;
+    return DuplicateChecker.similarity(a, b) * 100 >= threshold;
+  }
+
+  /**
+   * Sørensen-Dice coefficient of character bigrams, needs no word boundaries so CJK text works too
+   * @returns {number} - 0 to 1
+   */
+  static similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const counts = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.slice(i, i + 2);
+      if (counts.get(bigram) > 0) {
+        counts.set(bigram, counts.get(bigram) - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuplicateChecker;
+} else if (typeof window !== 'undefined') {
+  window.DuplicateChecker = DuplicateChecker;
+}
@@ -2,25 +2,44 @@
 // 增强的内容分析器
 
 class EnhancedContentAnalyzer {
-  constructor() {
+  /**
+   * @param {Document} [doc] - Live page document, or a parsed one (DOMParser) in crawl mode
+   * @param {string} [pageUrl] - URL of a parsed document, a live one reports its own location
+   */
+  constructor(doc = document, pageUrl = null) {
     this.analysisCache = new Map();
+    this.doc = doc;
+    // Parsed documents have no window: no layout, computed styles or resource timing
+    this.view = doc.defaultView;
+    this.pageUrl = pageUrl || this.view.location.href;
   }
 
-  async analyzePageContent() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.focusKeyword] - Target keyphrase set for this URL in the popup
+   * @param {WebVitals} [options.webVitals] - Collector started by content.js
+   */
+  async analyzePageContent(options = {}) {
     try {
       const analysis = {
-        url: window.location.href,
+        url: this.pageUrl,
         timestamp: new Date().toISOString(),
         metaTags: this.analyzeMetaTags(),
+        structuredData: this.analyzeStructuredData(),
+        canonical: this.analyzeCanonical(),
+        hreflang: this.analyzeHreflang(),
         headings: this.analyzeHeadings(),
         content: this.analyzeContent(),
-        images: this.analyzeImages(),
+        images: this.analyzeImages(options.webVitals ? options.webVitals.getLcpElement() : null),
         links: this.analyzeLinks(),
         performance: await this.analyzePerformance(),
+        webVitals: options.webVitals ? options.webVitals.getMetrics(element => this.getUniqueSelector(element)) : null,
         technical: this.analyzeTechnicalSEO(),
         accessibility: this.analyzeAccessibility()
       };
 
+      analysis.focusKeyword = options.focusKeyword ? this.analyzeFocusKeyword(options.focusKeyword, analysis) : null;
+
       return analysis;
     } catch (error) {
       console.error('Content analysis failed:', error);
@@ -30,16 +49,16 @@ class EnhancedContentAnalyzer {
 
   analyzeMetaTags() {
     const metaTags = {
-      title: document.title || '',
-      titleLength: (document.title || '').length,
+      title: this.doc.title || '',
+      titleLength: (this.doc.title || '').length,
       description: this.getMetaContent('description'),
       descriptionLength: (this.getMetaContent('description') || '').length,
       keywords: this.getMetaContent('keywords'),
       canonical: this.getLinkHref('canonical'),
       robots: this.getMetaContent('robots'),
       viewport: this.getMetaContent('viewport'),
-      charset: document.characterSet || '',
-      language: document.documentElement.lang || '',
+      charset: this.doc.characterSet || '',
+      language: this.doc.documentElement.lang || '',
       ogTags: this.getOpenGraphTags(),
       twitterTags: this.getTwitterTags(),
       structuredData: this.getStructuredData()
@@ -48,6 +67,75 @@ class EnhancedContentAnalyzer {
     return metaTags;
   }
 
+  // Return links of the alternates are checked by the background worker (see HreflangValidator)
+  analyzeHreflang() {
+    const alternates = Array.from(this.doc.querySelectorAll('link[rel~="alternate" i][hreflang]')).map(link => {
+      const href = link.getAttribute('href') || '';
+      const code = HreflangValidator.parseCode(link.getAttribute('hreflang'));
+      return {
+        hreflang: code.value,
+        href: href,
+        resolved: HreflangValidator.normalizeUrl(href, this.doc.baseURI),
+        valid: code.valid,
+        error: code.error,
+        selector: this.getUniqueSelector(link)
+      };
+    });
+
+    return {
+      alternates: alternates,
+      problems: HreflangValidator.validate(alternates, this.pageUrl),
+      returnLinks: null
+    };
+  }
+
+  analyzeCanonical() {
+    const tags = Array.from(this.doc.querySelectorAll('link[rel~="canonical" i]')).map(link => {
+      const href = link.getAttribute('href') || '';
+      let resolved = '';
+      try {
+        resolved = new URL(href, this.doc.baseURI).href;
+      } catch (e) {
+        // 无效URL
+      }
+
+      return {
+        href: href,
+        resolved: resolved,
+        isAbsolute: /^https?:\/\//i.test(href.trim()),
+        inHead: !!link.closest('head'),
+        selector: this.getUniqueSelector(link)
+      };
+    });
+
+    return {
+      tags: tags,
+      ogUrl: this.getMetaContent('og:url'),
+      target: null
+    };
+  }
+
+  // JSON-LD, Microdata and RDFa items validated against rich-result requirements
+  analyzeStructuredData() {
+    const problems = [];
+    const items = [
+      ...this.extractJsonLdItems(problems),
+      ...this.extractEmbeddedItems('microdata', { scope: 'itemscope', property: 'itemprop', type: 'itemtype' }),
+      ...this.extractEmbeddedItems('rdfa', { scope: 'typeof', property: 'property', type: 'typeof' })
+    ];
+    problems.push(...StructuredDataValidator.validate(items));
+
+    return {
+      items: items.map(item => ({
+        format: item.format,
+        path: item.path,
+        selector: item.selector,
+        types: StructuredDataValidator.getItemTypes(item.data)
+      })),
+      problems: problems
+    };
+  }
+
   analyzeHeadings() {
     const headings = {
       h1: this.getHeadingTexts('h1'),
@@ -55,7 +143,8 @@ class EnhancedContentAnalyzer {
       h3: this.getHeadingTexts('h3'),
       h4: this.getHeadingTexts('h4'),
       h5: this.getHeadingTexts('h5'),
-      h6: this.getHeadingTexts('h6')
+      h6: this.getHeadingTexts('h6'),
+      outline: this.analyzeHeadingOutline()
     };
 
     // 分析标题结构
@@ -65,29 +154,88 @@ class EnhancedContentAnalyzer {
     return headings;
   }
 
+  // Text metrics run on the main content block, whole-page numbers are kept under content.page
   analyzeContent() {
-    const bodyText = document.body.textContent || '';
-    const bodyHtml = document.body.innerHTML || '';
-    
+    const bodyHtml = this.doc.body.innerHTML || '';
+    const pageText = MainContentExtractor.getText(this.doc.body, MainContentExtractor.getScriptSelector());
+    const main = MainContentExtractor.extract(this.doc);
+    const mainText = MainContentExtractor.getText(main.element);
+    this.mainContentText = mainText;
+    this.locale = this.getTextLocale(mainText);
+    const readability = this.analyzeReadability(mainText);
+
     const content = {
-      wordCount: this.countWords(bodyText),
-      characterCount: bodyText.length,
-      sentenceCount: this.countSentences(bodyText),
-      paragraphCount: document.querySelectorAll('p').length,
-      listCount: document.querySelectorAll('ul, ol').length,
-      textToHtmlRatio: this.calculateTextToHtmlRatio(bodyText, bodyHtml),
-      readabilityScore: this.calculateReadabilityScore(bodyText),
-      keywordDensity: this.analyzeKeywordDensity(bodyText),
+      wordCount: this.countWords(mainText),
+      characterCount: mainText.length,
+      sentenceCount: this.countSentences(mainText),
+      paragraphCount: main.element.querySelectorAll('p').length,
+      listCount: main.element.querySelectorAll('ul, ol').length,
+      textToHtmlRatio: this.calculateTextToHtmlRatio(pageText, bodyHtml),
+      readabilityScore: readability ? readability.score : 0,
+      readability: readability,
+      keyphrases: this.analyzeKeyphrases(mainText),
       duplicateContent: this.checkDuplicateContent(),
-      languageDetection: this.detectLanguage(bodyText),
-      contentStructure: this.analyzeContentStructure()
+      languageDetection: this.detectLanguage(mainText),
+      contentStructure: this.analyzeContentStructure(),
+      mainContent: {
+        selector: this.getUniqueSelector(main.element),
+        tagName: main.element.tagName.toLowerCase(),
+        method: main.method,
+        score: main.score,
+        linkDensity: main.linkDensity
+      },
+      page: {
+        wordCount: this.countWords(pageText),
+        characterCount: pageText.length,
+        sentenceCount: this.countSentences(pageText),
+        readabilityScore: this.calculateReadabilityScore(pageText)
+      }
     };
 
+    content.mainContent.share = content.page.wordCount > 0
+      ? Math.round((content.wordCount / content.page.wordCount) * 100)
+      : 0;
+
     return content;
   }
 
-  analyzeImages() {
-    const images = document.querySelectorAll('img');
+  analyzeFocusKeyword(keyphrase, analysis) {
+    const keyword = keyphrase.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!keyword) return null;
+
+    const bodyText = this.mainContentText ?? MainContentExtractor.getText(MainContentExtractor.extract(this.doc).element);
+    const subheadings = this.getAllHeadingTexts(analysis.headings, ['h2', 'h3', 'h4', 'h5', 'h6']);
+    const altTexts = Array.from(this.doc.querySelectorAll('img[alt]'))
+      .map(img => img.getAttribute('alt').trim())
+      .filter(alt => alt.length > 0);
+    const firstParagraph = Array.from(this.doc.querySelectorAll('p'))
+      .map(p => p.textContent.trim())
+      .find(text => text.length > 0) || '';
+    const positions = this.findKeyphrasePositions(bodyText, keyword);
+    const wordCount = this.countWords(bodyText);
+
+    return {
+      keyword: keyword,
+      inTitle: this.containsKeyphrase(analysis.metaTags.title, keyword),
+      inDescription: this.containsKeyphrase(analysis.metaTags.description, keyword),
+      inH1: analysis.headings.h1.some(h1 => this.containsKeyphrase(h1, keyword)),
+      inFirstParagraph: this.containsKeyphrase(firstParagraph, keyword),
+      inUrlSlug: this.containsKeyphrase(this.getUrlSlugText(analysis.url), keyword),
+      imagesWithAlt: altTexts.length,
+      imagesWithKeyphraseAlt: altTexts.filter(alt => this.containsKeyphrase(alt, keyword)).length,
+      subheadingCount: subheadings.length,
+      subheadingsWithKeyphrase: subheadings.filter(heading => this.containsKeyphrase(heading, keyword)).length,
+      occurrences: positions.length,
+      density: wordCount > 0 ? Math.round((positions.length / wordCount) * 100 * 100) / 100 : 0,
+      distribution: this.analyzeKeyphraseDistribution(positions)
+    };
+  }
+
+  /**
+   * @param {Element} [lcpElement] - LCP element reported by WebVitals, to catch lazy-loaded LCP images
+   */
+  analyzeImages(lcpElement = null) {
+    const images = this.doc.querySelectorAll('img');
     const imageData = {
       totalImages: images.length,
       imagesWithoutAlt: 0,
@@ -96,7 +244,10 @@ class EnhancedContentAnalyzer {
       imageFormats: {},
       imageSizes: [],
       lazyLoadedImages: 0,
-      decorativeImages: 0
+      decorativeImages: 0,
+      oversizedImages: 0,
+      unoptimizedFormats: 0,
+      audit: []
     };
 
     images.forEach(img => {
@@ -136,13 +287,83 @@ class EnhancedContentAnalyzer {
           displayHeight: img.height
         });
       }
+
+      const audit = this.auditImage(img, img === lcpElement);
+      if (audit.problems.length > 0) {
+        imageData.audit.push(audit);
+      }
+      if (audit.problems.includes('oversized')) imageData.oversizedImages++;
+      if (audit.problems.includes('legacy-format')) imageData.unoptimizedFormats++;
     });
 
     return imageData;
   }
 
+  /**
+   * Check one <img> for size, format and loading problems
+   * @param {HTMLImageElement} img
+   * @param {boolean} isLcp - The image is the LCP element
+   * @returns {Object} - { selector, src, format, bytes, naturalWidth, naturalHeight, displayWidth, displayHeight, problems }
+   */
+  auditImage(img, isLcp) {
+    const src = img.currentSrc || img.src || '';
+    const rect = img.getBoundingClientRect();
+    const format = this.getImageFormat(src);
+    const entry = src ? this.view?.performance?.getEntriesByName?.(src)[0] : null;
+    const bytes = entry ? (entry.transferSize || entry.encodedBodySize || 0) : 0;
+    const dpr = this.view?.devicePixelRatio || 1;
+    const problems = [];
+
+    // Served more than 1.5x the pixels it is displayed at (vector images scale freely)
+    if (img.naturalWidth && rect.width > 0 && format !== 'svg' && img.naturalWidth > rect.width * dpr * 1.5) {
+      problems.push('oversized');
+    }
+
+    // Tiny icons gain nothing from a format switch
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    const hasModernSource = !!picture?.querySelector('source[type="image/webp"], source[type="image/avif"]');
+    if (['jpg', 'jpeg', 'png', 'gif', 'bmp'].includes(format) && !hasModernSource && (bytes === 0 || bytes > 10 * 1024)) {
+      problems.push('legacy-format');
+    }
+
+    // Without width/height or a CSS aspect-ratio the browser cannot reserve space before the image loads
+    const aspectRatio = (this.view ? this.view.getComputedStyle(img).aspectRatio : img.style.aspectRatio) || 'auto';
+    if ((!img.hasAttribute('width') || !img.hasAttribute('height')) && aspectRatio.startsWith('auto')) {
+      problems.push('missing-dimensions');
+    }
+
+    // Position is unknown without layout
+    const isLazy = img.getAttribute('loading') === 'lazy';
+    const top = rect.top + (this.view?.scrollY || 0);
+    if (this.view && !isLazy && !img.hasAttribute('data-src') && top > this.view.innerHeight) {
+      problems.push('not-lazy');
+    }
+    if (isLcp && isLazy) {
+      problems.push('lazy-lcp');
+    }
+
+    // Wide images need candidates for smaller screens, w-descriptors need sizes or the browser assumes 100vw
+    const srcset = img.getAttribute('srcset') || '';
+    if (format !== 'svg' && !picture?.querySelector('source[srcset]') &&
+        ((rect.width >= 300 && !srcset) || (/\d+w\b/.test(srcset) && !img.hasAttribute('sizes')))) {
+      problems.push('missing-srcset');
+    }
+
+    return {
+      selector: this.getUniqueSelector(img),
+      src: src,
+      format: format,
+      bytes: bytes,
+      naturalWidth: img.naturalWidth,
+      naturalHeight: img.naturalHeight,
+      displayWidth: Math.round(rect.width),
+      displayHeight: Math.round(rect.height),
+      problems: problems
+    };
+  }
+
   analyzeLinks() {
-    const links = document.querySelectorAll('a[href]');
+    const links = this.doc.querySelectorAll('a[href]');
     const linkData = {
       totalLinks: links.length,
       internalLinks: 0,
@@ -153,10 +374,11 @@ class EnhancedContentAnalyzer {
       phoneLinks: 0,
       anchorLinks: 0,
       linkTexts: [],
-      externalDomains: new Set()
+      externalDomains: new Set(),
+      inventory: new Map()
     };
 
-    const currentDomain = window.location.hostname;
+    const currentDomain = new URL(this.pageUrl).hostname;
 
     links.forEach(link => {
       const href = link.href;
@@ -187,6 +409,7 @@ class EnhancedContentAnalyzer {
             linkData.externalLinks++;
             linkData.externalDomains.add(linkUrl.hostname);
           }
+          this.addToLinkInventory(linkData.inventory, link, linkUrl, linkUrl.hostname === currentDomain);
         } catch (e) {
           // 无效URL
         }
@@ -199,12 +422,27 @@ class EnhancedContentAnalyzer {
     });
 
     linkData.externalDomains = Array.from(linkData.externalDomains);
+    linkData.inventory = Array.from(linkData.inventory.values());
     return linkData;
   }
 
+  // Unique http(s) link targets with a selector per <a>, checked by the background worker (see LinkChecker)
+  addToLinkInventory(inventory, link, linkUrl, internal) {
+    if (!/^https?:$/.test(linkUrl.protocol)) return;
+
+    linkUrl.hash = '';
+    // Same-page fragment links point to the already loaded document
+    if (linkUrl.href === this.pageUrl.split('#')[0]) return;
+
+    if (!inventory.has(linkUrl.href)) {
+      inventory.set(linkUrl.href, { url: linkUrl.href, internal: internal, selectors: [] });
+    }
+    inventory.get(linkUrl.href).selectors.push(this.getUniqueSelector(link));
+  }
+
   async analyzePerformance() {
     const performance = {
-      pageSize: document.documentElement.outerHTML.length,
+      pageSize: this.doc.documentElement.outerHTML.length,
       loadTime: 0,
       domContentLoaded: 0,
       resourceCount: 0,
@@ -213,8 +451,9 @@ class EnhancedContentAnalyzer {
     };
 
     // 性能时间分析
-    if (window.performance && window.performance.getEntriesByType) {
-      const navigationEntries = window.performance.getEntriesByType('navigation');
+    const timing = this.view?.performance;
+    if (timing && timing.getEntriesByType) {
+      const navigationEntries = timing.getEntriesByType('navigation');
       if (navigationEntries.length > 0) {
         const nav = navigationEntries[0];
         performance.loadTime = (nav.loadEventEnd - nav.fetchStart) / 1000; // 转换为秒
@@ -223,8 +462,8 @@ class EnhancedContentAnalyzer {
     }
 
     // 资源分析
-    if (window.performance && window.performance.getEntriesByType) {
-      const resources = window.performance.getEntriesByType('resource');
+    if (timing && timing.getEntriesByType) {
+      const resources = timing.getEntriesByType('resource');
       performance.resourceCount = resources.length;
       
       resources.forEach(resource => {
@@ -238,16 +477,120 @@ class EnhancedContentAnalyzer {
           performance.compressedResources++;
         }
       });
+
+      performance.resources = this.analyzeResources(resources);
+      // Page weight is the document plus everything it loaded, the markup length is only a fallback
+      const nav = timing.getEntriesByType('navigation')[0];
+      const documentBytes = nav ? (nav.transferSize || nav.encodedBodySize) : 0;
+      if (documentBytes > 0) {
+        performance.pageSize = documentBytes + performance.resources.totalBytes;
+      }
     }
 
     return performance;
   }
 
+  /**
+   * Waterfall-style breakdown of resource timing entries
+   * Cross-origin entries without Timing-Allow-Origin report no sizes and only count towards unknownSizeCount
+   * @param {Array<PerformanceResourceTiming>} entries
+   * @returns {Object} - { totalBytes, byType, largest, thirdParty, uncompressed, renderBlocking, unknownSizeCount }
+   */
+  analyzeResources(entries) {
+    const byType = {};
+    ['script', 'css', 'image', 'font', 'xhr', 'other'].forEach(type => {
+      byType[type] = { count: 0, bytes: 0 };
+    });
+    const resources = [];
+    const origins = new Map();
+    let unknownSizeCount = 0;
+
+    entries.forEach(entry => {
+      const type = this.getResourceType(entry);
+      // Cache hits transfer 0 bytes but still weigh encodedBodySize on a cold load
+      const bytes = entry.transferSize || entry.encodedBodySize || 0;
+      byType[type].count++;
+      byType[type].bytes += bytes;
+      if (bytes === 0) unknownSizeCount++;
+
+      let origin = '';
+      try {
+        origin = new URL(entry.name).origin;
+      } catch (e) {
+        // 无效URL
+      }
+      resources.push({
+        url: entry.name,
+        type: type,
+        bytes: bytes,
+        duration: Math.round(entry.duration),
+        origin: origin,
+        compressed: entry.encodedBodySize > 0 && entry.encodedBodySize < entry.decodedBodySize,
+        decodedBytes: entry.decodedBodySize || 0
+      });
+
+      if (origin && origin !== new URL(this.pageUrl).origin) {
+        const stats = origins.get(origin) || { origin: origin, count: 0, bytes: 0 };
+        stats.count++;
+        stats.bytes += bytes;
+        origins.set(origin, stats);
+      }
+    });
+
+    const totalBytes = resources.reduce((sum, resource) => sum + resource.bytes, 0);
+    const share = bytes => (totalBytes > 0 ? Math.round((bytes / totalBytes) * 1000) / 10 : 0);
+    const thirdPartyBytes = Array.from(origins.values()).reduce((sum, stats) => sum + stats.bytes, 0);
+    const strip = ({ origin, compressed, decodedBytes, ...resource }) => resource;
+
+    return {
+      totalBytes: totalBytes,
+      byType: byType,
+      largest: resources.filter(resource => resource.bytes > 0).sort((a, b) => b.bytes - a.bytes).slice(0, 10).map(strip),
+      thirdParty: {
+        bytes: thirdPartyBytes,
+        share: share(thirdPartyBytes),
+        origins: Array.from(origins.values())
+          .map(stats => ({ ...stats, share: share(stats.bytes) }))
+          .sort((a, b) => b.bytes - a.bytes)
+          .slice(0, 10)
+      },
+      // Text resources worth compressing, small files gain nothing
+      uncompressed: resources
+        .filter(resource => ['script', 'css', 'xhr'].includes(resource.type) && resource.decodedBytes > 1024 &&
+          resource.bytes > 0 && !resource.compressed)
+        .map(strip),
+      renderBlocking: this.getRenderBlockingResources(),
+      unknownSizeCount: unknownSizeCount
+    };
+  }
+
+  getResourceType(entry) {
+    const path = entry.name.split(/[?#]/)[0].toLowerCase();
+    // initiatorType is who requested the resource, e.g. "css" for fonts and background images
+    if (/\.(woff2?|ttf|otf|eot)$/.test(path)) return 'font';
+    if (/\.css$/.test(path)) return 'css';
+    if (['img', 'image'].includes(entry.initiatorType) || /\.(png|jpe?g|gif|webp|avif|svg|ico)$/.test(path)) return 'image';
+    if (entry.initiatorType === 'script' || /\.m?js$/.test(path)) return 'script';
+    if (['xmlhttprequest', 'fetch', 'beacon'].includes(entry.initiatorType)) return 'xhr';
+    return 'other';
+  }
+
+  // Synchronous scripts and stylesheets in <head> delay the first render
+  getRenderBlockingResources() {
+    const scripts = Array.from(this.doc.head.querySelectorAll('script[src]'))
+      .filter(script => !script.async && !script.defer && script.type !== 'module')
+      .map(script => ({ url: script.src, type: 'script', selector: this.getUniqueSelector(script) }));
+    const styles = Array.from(this.doc.head.querySelectorAll('link[rel~="stylesheet" i]'))
+      .filter(link => !link.disabled && (!link.media || !this.view || this.view.matchMedia(link.media).matches))
+      .map(link => ({ url: link.href, type: 'css', selector: this.getUniqueSelector(link) }));
+    return [...scripts, ...styles];
+  }
+
   analyzeTechnicalSEO() {
     const technical = {
       hasRobotsTxt: this.checkRobotsTxt(),
       hasSitemap: this.checkSitemap(),
-      hasSSL: window.location.protocol === 'https:',
+      hasSSL: new URL(this.pageUrl).protocol === 'https:',
       hasCanonical: !!this.getLinkHref('canonical'),
       hasHreflang: this.checkHreflang(),
       hasAmpVersion: this.checkAmpVersion(),
@@ -255,7 +598,7 @@ class EnhancedContentAnalyzer {
       hasServiceWorker: 'serviceWorker' in navigator,
       mobileViewport: this.checkMobileViewport(),
       schemaMarkup: this.getStructuredData().length > 0,
-      hasLang: !!document.documentElement.lang,
+      hasLang: !!this.doc.documentElement.lang,
       hasRobotsMeta: !!this.getMetaContent('robots'),
       hasOpenGraph: Object.keys(this.getOpenGraphTags()).length > 0
     };
@@ -272,7 +615,7 @@ class EnhancedContentAnalyzer {
       altTexts: this.checkImageAltTexts(),
       headingStructure: this.checkAccessibleHeadings(),
       formLabels: this.checkFormLabels(),
-      languageAttribute: !!document.documentElement.lang
+      languageAttribute: !!this.doc.documentElement.lang
     };
 
     return accessibility;
@@ -280,24 +623,24 @@ class EnhancedContentAnalyzer {
 
   // 辅助方法
   getMetaContent(name) {
-    const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+    const meta = this.doc.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
     return meta ? meta.getAttribute('content') : '';
   }
 
   getLinkHref(rel) {
-    const link = document.querySelector(`link[rel="${rel}"]`);
+    const link = this.doc.querySelector(`link[rel="${rel}"]`);
     return link ? link.getAttribute('href') : '';
   }
 
   getHeadingTexts(tag) {
-    return Array.from(document.querySelectorAll(tag))
+    return Array.from(this.doc.querySelectorAll(tag))
       .map(h => h.textContent.trim())
       .filter(text => text.length > 0);
   }
 
   getOpenGraphTags() {
     const ogTags = {};
-    document.querySelectorAll('meta[property^="og:"]').forEach(meta => {
+    this.doc.querySelectorAll('meta[property^="og:"]').forEach(meta => {
       const property = meta.getAttribute('property');
       const content = meta.getAttribute('content');
       if (property && content) {
@@ -309,7 +652,7 @@ class EnhancedContentAnalyzer {
 
   getTwitterTags() {
     const twitterTags = {};
-    document.querySelectorAll('meta[name^="twitter:"]').forEach(meta => {
+    this.doc.querySelectorAll('meta[name^="twitter:"]').forEach(meta => {
       const name = meta.getAttribute('name');
       const content = meta.getAttribute('content');
       if (name && content) {
@@ -320,7 +663,7 @@ class EnhancedContentAnalyzer {
   }
 
   getStructuredData() {
-    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    const scripts = this.doc.querySelectorAll('script[type="application/ld+json"]');
     const structuredData = [];
     
     scripts.forEach(script => {
@@ -335,12 +678,167 @@ class EnhancedContentAnalyzer {
     return structuredData;
   }
 
+  // Segmentation language: a CJK language when the text is CJK, otherwise whatever <html lang> declares
+  getTextLocale(text) {
+    const declared = this.doc.documentElement.lang || '';
+    return TextSegmenter.detectCjkLanguage(text, declared) || declared || undefined;
+  }
+
+  tokenize(text) {
+    return TextSegmenter.segmentWords((text || '').toLowerCase(), this.locale);
+  }
+
+  containsKeyphrase(text, keyword) {
+    return this.findKeyphrasePositions(text, keyword).length > 0;
+  }
+
+  // Relative positions (0-1) of each keyphrase occurrence; word-based, substring-based for CJK keyphrases
+  findKeyphrasePositions(text, keyword) {
+    const keywordWords = this.tokenize(keyword);
+    const positions = [];
+
+    // A CJK keyphrase may be segmented differently on its own than in running text
+    if (TextSegmenter.isCjk(keyword) || keywordWords.length === 0) {
+      const lowerText = (text || '').toLowerCase();
+      let index = lowerText.indexOf(keyword);
+      while (index !== -1) {
+        positions.push(index / lowerText.length);
+        index = lowerText.indexOf(keyword, index + keyword.length);
+      }
+      return positions;
+    }
+
+    const words = this.tokenize(text);
+    for (let i = 0; i <= words.length - keywordWords.length; i++) {
+      if (keywordWords.every((word, offset) => words[i + offset] === word)) {
+        positions.push(i / words.length);
+      }
+    }
+    return positions;
+  }
+
+  // Split the document into equal sections and count the keyphrase occurrences in each
+  analyzeKeyphraseDistribution(positions, sectionCount = 5) {
+    const sections = new Array(sectionCount).fill(0);
+    positions.forEach(position => {
+      sections[Math.min(sectionCount - 1, Math.floor(position * sectionCount))]++;
+    });
+
+    return {
+      sections: sections,
+      coveredSections: sections.filter(count => count > 0).length,
+      firstOccurrence: positions.length > 0 ? Math.round(positions[0] * 100) : null
+    };
+  }
+
+  getUrlSlugText(url) {
+    try {
+      return decodeURIComponent(new URL(url).pathname).replace(/[-_/.+]+/g, ' ');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  extractJsonLdItems(problems) {
+    const items = [];
+    this.doc.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+      const item = {
+        format: 'json-ld',
+        path: `jsonld[${index}]`,
+        selector: this.getUniqueSelector(script)
+      };
+      try {
+        const data = JSON.parse(script.textContent);
+        // null, strings and numbers parse fine but describe nothing
+        if (!data || typeof data !== 'object') {
+          problems.push(StructuredDataValidator.createProblem(item, 'error', null, item.path, null, 'Invalid JSON-LD: the block must be an object or an array'));
+          return;
+        }
+        items.push({ ...item, data: data });
+      } catch (e) {
+        problems.push(StructuredDataValidator.createProblem(item, 'error', null, item.path, null, `Invalid JSON-LD: ${e.message}`));
+      }
+    });
+    return items;
+  }
+
+  // Microdata and RDFa share the same scope/property/type attribute model
+  extractEmbeddedItems(format, attributes) {
+    return Array.from(this.doc.querySelectorAll(`[${attributes.scope}]:not([${attributes.property}])`))
+      .map((element, index) => ({
+        format: format,
+        path: `${format}[${index}]`,
+        selector: this.getUniqueSelector(element),
+        data: this.readEmbeddedItem(element, attributes)
+      }));
+  }
+
+  readEmbeddedItem(scopeElement, attributes) {
+    const item = {};
+    const types = (scopeElement.getAttribute(attributes.type) || '').split(/\s+/).filter(Boolean);
+    if (types.length > 0) {
+      item['@type'] = types.length === 1 ? types[0] : types;
+    }
+
+    scopeElement.querySelectorAll(`[${attributes.property}]`).forEach(element => {
+      // Properties of nested items belong to the nested item
+      if (element.parentElement.closest(`[${attributes.scope}]`) !== scopeElement) return;
+
+      const value = element.hasAttribute(attributes.scope)
+        ? this.readEmbeddedItem(element, attributes)
+        : this.getEmbeddedValue(element);
+      element.getAttribute(attributes.property).split(/\s+/).filter(Boolean).forEach(name => {
+        const key = StructuredDataValidator.normalizeName(name);
+        item[key] = item[key] === undefined ? value : [].concat(item[key], value);
+      });
+    });
+
+    return item;
+  }
+
+  getEmbeddedValue(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+    if (['a', 'link', 'area'].includes(tag)) return element.getAttribute('href') || '';
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return element.getAttribute('src') || '';
+    if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+    if (['data', 'meter'].includes(tag)) return element.getAttribute('value') || '';
+    if (element.hasAttribute('resource')) return element.getAttribute('resource');
+    return element.textContent.trim();
+  }
+
+  // Id-anchored nth-of-type path so the element can be highlighted later
+  getUniqueSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id && this.doc.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
   countWords(text) {
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    return TextSegmenter.countWords(text, this.locale);
   }
 
   countSentences(text) {
-    return text.split(/[.!?]+/).filter(sentence => sentence.trim().length > 0).length;
+    return TextSegmenter.countSentences(text, this.locale);
   }
 
   calculateTextToHtmlRatio(text, html) {
@@ -349,50 +847,38 @@ class EnhancedContentAnalyzer {
   }
 
   calculateReadabilityScore(text) {
-    // 简化的可读性评分（基于Flesch Reading Ease）
-    const words = this.countWords(text);
-    const sentences = this.countSentences(text);
-    const syllables = this.countSyllables(text);
-    
-    if (sentences === 0 || words === 0) return 0;
-    
-    const avgWordsPerSentence = words / sentences;
-    const avgSyllablesPerWord = syllables / words;
-    
-    const score = 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllablesPerWord);
-    return Math.max(0, Math.min(100, Math.round(score)));
+    return this.analyzeReadability(text)?.score || 0;
   }
 
-  countSyllables(text) {
-    // 简化的音节计数
-    return text.toLowerCase().match(/[aeiouy]+/g)?.length || 0;
+  // Primary subtag of html[lang], falling back to the detected language
+  getContentLanguage(text) {
+    const declared = (this.doc.documentElement.lang || '').toLowerCase().split(/[-_]/)[0];
+    return declared || this.detectLanguage(text);
   }
 
-  analyzeKeywordDensity(text) {
-    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
-    const wordCount = words.length;
-    const wordFreq = {};
-    
-    words.forEach(word => {
-      if (word.length > 3) { // 忽略短词
-        wordFreq[word] = (wordFreq[word] || 0) + 1;
-      }
+  analyzeReadability(text) {
+    return ReadabilityScorer.score(text, this.getContentLanguage(text), {
+      words: TextSegmenter.segmentWords(text, this.locale),
+      sentences: this.countSentences(text)
     });
-    
-    const density = {};
-    Object.keys(wordFreq).forEach(word => {
-      const freq = wordFreq[word];
-      if (freq > 2) { // 只考虑出现2次以上的词
-        density[word] = Math.round((freq / wordCount) * 100 * 100) / 100; // 保留2位小数
-      }
+  }
+
+  // Ranked 1-3 word phrases, title and heading matches weigh more
+  analyzeKeyphrases(text) {
+    const headings = Array.from(this.doc.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => heading.textContent.trim());
+
+    return KeyphraseExtractor.extract({
+      text: text,
+      title: this.doc.title || '',
+      headings: headings,
+      language: this.getContentLanguage(text),
+      locale: this.locale
     });
-    
-    return density;
   }
 
   checkDuplicateContent() {
     // 简化的重复内容检测
-    const paragraphs = Array.from(document.querySelectorAll('p'))
+    const paragraphs = Array.from(this.doc.querySelectorAll('p'))
       .map(p => p.textContent.trim())
       .filter(text => text.length > 50);
     
@@ -424,26 +910,43 @@ class EnhancedContentAnalyzer {
 
   detectLanguage(text) {
     // 简化的语言检测
-    const chineseChars = (text.match(/[\u4e00-\u9fff]/g) || []).length;
+    const cjkLanguage = TextSegmenter.detectCjkLanguage(text);
     const englishWords = (text.match(/\b[a-zA-Z]+\b/g) || []).length;
-    const totalChars = text.length;
     
-    if (chineseChars / totalChars > 0.3) {
-      return 'zh';
+    if (cjkLanguage) {
+      return cjkLanguage;
     } else if (englishWords > 10) {
-      return 'en';
+      return this.detectLatinLanguage(text);
     }
     return 'unknown';
   }
 
+  // 按常见功能词判断拉丁字母语言
+  detectLatinLanguage(text) {
+    const stopwords = {
+      en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'for', 'with', 'this'],
+      es: ['el', 'los', 'las', 'del', 'que', 'y', 'por', 'para', 'una', 'es'],
+      fr: ['le', 'les', 'des', 'du', 'et', 'est', 'une', 'pour', 'dans', 'pas'],
+      de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'auf']
+    };
+    const counts = {};
+    (text.toLowerCase().match(/\p{L}+/gu) || []).slice(0, 2000).forEach(word => {
+      counts[word] = (counts[word] || 0) + 1;
+    });
+
+    return Object.keys(stopwords)
+      .map(language => ({ language, hits: stopwords[language].reduce((sum, word) => sum + (counts[word] || 0), 0) }))
+      .sort((a, b) => b.hits - a.hits)[0].language;
+  }
+
   analyzeContentStructure() {
     return {
-      hasParagraphs: document.querySelectorAll('p').length > 0,
-      hasLists: document.querySelectorAll('ul, ol').length > 0,
-      hasImages: document.querySelectorAll('img').length > 0,
-      hasTables: document.querySelectorAll('table').length > 0,
-      hasCodeBlocks: document.querySelectorAll('pre, code').length > 0,
-      hasBlockquotes: document.querySelectorAll('blockquote').length > 0
+      hasParagraphs: this.doc.querySelectorAll('p').length > 0,
+      hasLists: this.doc.querySelectorAll('ul, ol').length > 0,
+      hasImages: this.doc.querySelectorAll('img').length > 0,
+      hasTables: this.doc.querySelectorAll('table').length > 0,
+      hasCodeBlocks: this.doc.querySelectorAll('pre, code').length > 0,
+      hasBlockquotes: this.doc.querySelectorAll('blockquote').length > 0
     };
   }
 
@@ -456,6 +959,12 @@ class EnhancedContentAnalyzer {
       missingLevels: []
     };
     
+    // 按文档顺序检查跳级，例如第3节中 H2 之后直接出现 H4
+    if (headings.outline) {
+      structure.skippedLevelCount = headings.outline.filter(heading => heading.issues.some(issue => issue.type === 'skipped-level')).length;
+      structure.hasProperHierarchy = structure.skippedLevelCount === 0;
+    }
+
     // 检查标题层次
     const levels = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
     let lastLevel = -1;
@@ -475,22 +984,91 @@ class EnhancedContentAnalyzer {
     return structure;
   }
 
+  /**
+   * Every heading in document order, with the outline problems found where they occur
+   * @returns {Array} - [{ index, level, text, selector, visible, issues: [{ type: 'skipped-level'|'empty'|'hidden'|'duplicate', message }] }]
+   */
+  analyzeHeadingOutline() {
+    const outline = [];
+    const seen = new Map();
+    let previous = null;
+
+    this.doc.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((element, index) => {
+      const level = Number(element.tagName[1]);
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      const heading = {
+        index: index,
+        level: level,
+        text: text.length > 200 ? `${text.slice(0, 200)}…` : text,
+        selector: this.getUniqueSelector(element),
+        visible: this.isElementVisible(element),
+        issues: []
+      };
+
+      if (previous && level > previous.level + 1) {
+        heading.issues.push({
+          type: 'skipped-level',
+          message: `H${level} directly after H${previous.level}${previous.text ? ` "${previous.text}"` : ''}, H${previous.level + 1} is skipped`
+        });
+      }
+      if (!text) {
+        // An image with alt text still names the heading
+        const altText = Array.from(element.querySelectorAll('img[alt]')).map(img => img.getAttribute('alt').trim()).join(' ');
+        if (!altText) {
+          heading.issues.push({ type: 'empty', message: `H${level} has no text` });
+        }
+      }
+      if (!heading.visible) {
+        heading.issues.push({ type: 'hidden', message: `H${level} is not visible on the page` });
+      }
+
+      const key = text.toLowerCase();
+      if (key && seen.has(key)) {
+        const first = seen.get(key);
+        heading.issues.push({ type: 'duplicate', message: `Same text as heading #${first.index + 1} (H${first.level})` });
+      } else if (key) {
+        seen.set(key, heading);
+      }
+
+      outline.push(heading);
+      previous = heading;
+    });
+
+    return outline;
+  }
+
+  isElementVisible(element) {
+    if (element.closest('[hidden], [aria-hidden="true"]')) return false;
+
+    // Without layout only inline styles tell
+    if (!this.view) {
+      return !element.closest('[style*="display:none" i], [style*="display: none" i], [style*="visibility:hidden" i], [style*="visibility: hidden" i]');
+    }
+
+    const style = this.view.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || Number(style.opacity) === 0) return false;
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 1 && rect.height > 1;
+  }
+
+  getAllHeadingTexts(headings, levels = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']) {
+    return levels.reduce((texts, level) => texts.concat(headings[level] || []), []);
+  }
+
   analyzeHeadingKeywords(headings) {
-    const allHeadings = [
-      ...headings.h1,
-      ...headings.h2,
-      ...headings.h3,
-      ...headings.h4,
-      ...headings.h5,
-      ...headings.h6
-    ].join(' ').toLowerCase();
-    
-    const keywords = this.analyzeKeywordDensity(allHeadings);
-    return Object.keys(keywords).slice(0, 10); // 返回前10个关键词
+    const allHeadings = this.getAllHeadingTexts(headings).join('. ');
+
+    const keyphrases = KeyphraseExtractor.extract({
+      text: allHeadings,
+      language: this.getContentLanguage(allHeadings),
+      locale: TextSegmenter.detectCjkLanguage(allHeadings, this.doc.documentElement.lang) || undefined
+    }, { limit: 10 });
+    return keyphrases.map(keyphrase => keyphrase.phrase); // 返回前10个关键词
   }
 
   getImageFormat(src) {
-    const formats = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'];
+    const formats = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg', 'bmp'];
     for (const format of formats) {
       if (src.toLowerCase().includes(`.${format}`)) {
         return format;
@@ -501,25 +1079,26 @@ class EnhancedContentAnalyzer {
 
   // 技术SEO检查方法
   checkRobotsTxt() {
-    // 简化检查：假设存在robots.txt
-    return true;
+    // robots.txt is fetched by the background worker (see RobotsTxt), which fills this in
+    return null;
   }
 
+  // Refined by the background worker from robots.txt and /sitemap.xml (see SitemapChecker)
   checkSitemap() {
-    return !!document.querySelector('link[rel="sitemap"]') ||
-           !!document.querySelector('a[href*="sitemap"]');
+    return !!this.doc.querySelector('link[rel="sitemap"]') ||
+           !!this.doc.querySelector('a[href*="sitemap"]');
   }
 
   checkHreflang() {
-    return document.querySelectorAll('link[rel="alternate"][hreflang]').length > 0;
+    return this.doc.querySelectorAll('link[rel="alternate"][hreflang]').length > 0;
   }
 
   checkAmpVersion() {
-    return !!document.querySelector('link[rel="amphtml"]');
+    return !!this.doc.querySelector('link[rel="amphtml"]');
   }
 
   checkWebManifest() {
-    return !!document.querySelector('link[rel="manifest"]');
+    return !!this.doc.querySelector('link[rel="manifest"]');
   }
 
   checkMobileViewport() {
@@ -529,7 +1108,7 @@ class EnhancedContentAnalyzer {
 
   // 可访问性检查方法
   checkSkipLinks() {
-    return document.querySelectorAll('a[href^="#"][class*="skip"], a[href^="#skip"]').length > 0;
+    return this.doc.querySelectorAll('a[href^="#"][class*="skip"], a[href^="#skip"]').length > 0;
   }
 
   checkColorContrast() {
@@ -538,29 +1117,29 @@ class EnhancedContentAnalyzer {
   }
 
   checkFocusableElements() {
-    const focusable = document.querySelectorAll('a, button, input, select, textarea, [tabindex]');
+    const focusable = this.doc.querySelectorAll('a, button, input, select, textarea, [tabindex]');
     return focusable.length > 0;
   }
 
   checkAriaLabels() {
-    const elementsWithAria = document.querySelectorAll('[aria-label], [aria-labelledby], [role]');
+    const elementsWithAria = this.doc.querySelectorAll('[aria-label], [aria-labelledby], [role]');
     return elementsWithAria.length > 0;
   }
 
   checkImageAltTexts() {
-    const images = document.querySelectorAll('img');
-    const imagesWithAlt = document.querySelectorAll('img[alt]');
+    const images = this.doc.querySelectorAll('img');
+    const imagesWithAlt = this.doc.querySelectorAll('img[alt]');
     return images.length === 0 || imagesWithAlt.length / images.length > 0.9;
   }
 
   checkAccessibleHeadings() {
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const headings = this.doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
     return headings.length > 0;
   }
 
   checkFormLabels() {
-    const inputs = document.querySelectorAll('input, select, textarea');
-    const labelsCount = document.querySelectorAll('label').length;
+    const inputs = this.doc.querySelectorAll('input, select, textarea');
+    const labelsCount = this.doc.querySelectorAll('label').length;
     return inputs.length === 0 || labelsCount >= inputs.length * 0.8;
   }
 }
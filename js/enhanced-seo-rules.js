@@ -1,11 +1,41 @@
 // Enhanced SEO Rules Engine - English Only Version
+const RuleRegistry = typeof SEORuleRegistry !== 'undefined' ? SEORuleRegistry : require('./seo-rule-registry.js');
+
 class EnhancedSEORules {
-  constructor() {
+  /**
+   * @param {Object} [settings] - User overrides, see SEOSettings
+   * @param {Object} [settings.categoryWeights] - Category weight overrides
+   * @param {Object} [settings.rules] - Per-rule { enabled, weight, severity, thresholds } overrides
+   * @param {Object} [profile] - Site-type profile from SEOProfiles, applied beneath the user overrides
+   * @param {SEORuleRegistry} [registry] - Rule source, defaults to the shared registry
+   */
+  constructor(settings = {}, profile = null, registry = EnhancedSEORules.getDefaultRegistry()) {
+    this.settings = settings || {};
+    this.profile = profile || { categoryWeights: {}, rules: {} };
+    this.registry = registry;
     this.rules = this.initializeRules();
     this.weights = this.initializeWeights();
   }
 
-  initializeWeights() {
+  // Shared registry with the built-in rules, rule packs register into it at runtime
+  static getDefaultRegistry() {
+    if (!EnhancedSEORules.defaultRegistry) {
+      const registry = new RuleRegistry();
+      EnhancedSEORules.getBuiltInRules().forEach(rule => registry.register(rule));
+      EnhancedSEORules.defaultRegistry = registry;
+    }
+    return EnhancedSEORules.defaultRegistry;
+  }
+
+  static registerRule(rule) {
+    EnhancedSEORules.getDefaultRegistry().register(rule);
+  }
+
+  static registerRulePack(pack) {
+    EnhancedSEORules.getDefaultRegistry().registerPack(pack);
+  }
+
+  static getDefaultWeights() {
     return {
       technical: 0.45,
       content: 0.35,
@@ -13,194 +43,1570 @@ class EnhancedSEORules {
     };
   }
 
-  initializeRules() {
+  initializeWeights() {
     return {
-      technical: [
-        {
-          id: 'title_exists',
-          name: 'Missing Page Title',
-          weight: 15,
-          check: (analysis) => !!analysis.metaTags?.title,
-          severity: 'critical'
+      ...EnhancedSEORules.getDefaultWeights(),
+      ...(this.profile.categoryWeights || {}),
+      ...(this.settings.categoryWeights || {})
+    };
+  }
+
+  initializeRules() {
+    const rules = {};
+    this.registry.getAll().forEach(baseRule => {
+      const profileRule = this.applyRuleOverrides(baseRule, this.profile.rules?.[baseRule.id]);
+      const rule = this.applyRuleOverrides(profileRule, this.settings.rules?.[baseRule.id]);
+      if (rule.enabled === false) return;
+      if (!rules[rule.category]) {
+        rules[rule.category] = [];
+      }
+      rules[rule.category].push(rule);
+    });
+    return rules;
+  }
+
+  // Merge a user override into a copy of the registered rule
+  applyRuleOverrides(rule, override) {
+    if (!override) return rule;
+
+    const effective = {
+      ...rule,
+      thresholds: { ...(rule.thresholds || {}), ...(override.thresholds || {}) }
+    };
+    if (typeof override.enabled === 'boolean') {
+      effective.enabled = override.enabled;
+    }
+    if (typeof override.weight === 'number' && override.weight >= 0) {
+      effective.weight = override.weight;
+    }
+    if (RuleRegistry.SEVERITIES.includes(override.severity)) {
+      effective.severity = override.severity;
+    }
+    return effective;
+  }
+
+  static getBuiltInRules() {
+    return [
+      // Technical SEO
+      {
+        id: 'title_exists',
+        category: 'technical',
+        name: 'Missing Page Title',
+        weight: 15,
+        severity: 'critical',
+        check: (analysis) => !!analysis.metaTags?.title,
+        description: 'Page is missing title tag',
+        recommendation: 'Add <title> tag: <title>Page Title - Site Name</title>',
+        location: '<head> section',
+        currentValue: (analysis) => {
+          const title = analysis.metaTags?.title || '';
+          return title ? `Title exists ("${title}")` : 'No title';
         },
-        {
-          id: 'title_length',
-          name: 'Inappropriate Title Length',
-          weight: 10,
-          check: (analysis) => {
-            const title = analysis.metaTags?.title || '';
-            return title.length >= 30 && title.length <= 60;
-          },
-          severity: 'high'
+        expectedValue: '30-60 character title (Create a descriptive title with main keywords)',
+        impact: 'Seriously affects search ranking',
+        selector: 'head > title'
+      },
+      {
+        id: 'title_length',
+        category: 'technical',
+        name: 'Inappropriate Title Length',
+        weight: 10,
+        severity: 'high',
+        thresholds: { minLength: 30, maxLength: 60 },
+        check: (analysis, { thresholds }) => {
+          const title = analysis.metaTags?.title || '';
+          return title.length >= thresholds.minLength && title.length <= thresholds.maxLength;
         },
-        {
-          id: 'meta_description_exists',
-          name: 'Missing Meta Description',
-          weight: 12,
-          check: (analysis) => !!analysis.metaTags?.description,
-          severity: 'critical'
+        description: (analysis) => `Page title length is ${analysis.metaTags?.title?.length || 0} characters`,
+        recommendation: (analysis, { thresholds }) => `Adjust title length to ${thresholds.minLength}-${thresholds.maxLength} characters to ensure complete display in search results`,
+        location: '<title> tag',
+        currentValue: (analysis) => {
+          const title = analysis.metaTags?.title || '';
+          return title ? `${title.length} characters ("${title}")` : '0 characters (No title)';
         },
-        {
-          id: 'h1_exists',
-          name: 'Missing H1 Title',
-          weight: 12,
-          check: (analysis) => (analysis.headings?.h1?.length || 0) > 0,
-          severity: 'critical'
+        expectedValue: (analysis, { thresholds }) => `${thresholds.minLength}-${thresholds.maxLength} characters (Adjust title length for better search display)`,
+        impact: 'Affects search result display',
+        selector: 'head > title'
+      },
+      {
+        id: 'meta_description_exists',
+        category: 'technical',
+        name: 'Missing Meta Description',
+        weight: 12,
+        severity: 'critical',
+        check: (analysis) => !!analysis.metaTags?.description,
+        description: 'Page is missing Meta description tag',
+        recommendation: 'Add Meta description: <meta name="description" content="120-160 character page description">',
+        location: '<head> section',
+        currentValue: (analysis) => {
+          const description = analysis.metaTags?.description || '';
+          return description ? `Description exists ("${description}")` : 'No description';
         },
-        {
-          id: 'images_alt',
-          name: 'Images Missing Alt Attributes',
-          weight: 8,
-          check: (analysis) => {
-            const total = analysis.images?.totalImages || 0;
-            const withoutAlt = analysis.images?.imagesWithoutAlt || 0;
-            return total === 0 || withoutAlt === 0;
-          },
-          severity: 'medium'
+        expectedValue: '120-160 character description (Write compelling description with keywords)',
+        impact: 'Affects click-through rate',
+        selector: 'meta[name="description"]'
+      },
+      {
+        id: 'h1_exists',
+        category: 'technical',
+        name: 'Missing H1 Title',
+        weight: 12,
+        severity: 'critical',
+        check: (analysis) => (analysis.headings?.h1?.length || 0) > 0,
+        description: 'Page is missing H1 main title',
+        recommendation: 'Add H1 title: <h1>Page Main Title</h1>',
+        location: 'Page content area',
+        currentValue: (analysis) => {
+          const h1Array = analysis.headings?.h1 || [];
+          return h1Array.length > 0 ? `H1 exists ("${h1Array[0]}")` : 'No H1 title';
         },
-        {
-          id: 'meta_description_length',
-          name: 'Inappropriate Meta Description Length',
-          weight: 8,
-          check: (analysis) => {
-            const desc = analysis.metaTags?.description || '';
-            return desc.length >= 120 && desc.length <= 160;
-          },
-          severity: 'high'
+        expectedValue: '1 H1 title (Add main heading that describes page content)',
+        impact: 'Affects content structure',
+        selector: 'h1'
+      },
+      {
+        id: 'images_alt',
+        category: 'technical',
+        name: 'Images Missing Alt Attributes',
+        weight: 8,
+        severity: 'medium',
+        check: (analysis) => {
+          const total = analysis.images?.totalImages || 0;
+          const withoutAlt = analysis.images?.imagesWithoutAlt || 0;
+          return total === 0 || withoutAlt === 0;
         },
-        {
-          id: 'h1_unique',
-          name: 'Non-unique H1 Title',
-          weight: 8,
-          check: (analysis) => (analysis.headings?.h1?.length || 0) === 1,
-          severity: 'high'
+        description: (analysis) => `${analysis.images?.imagesWithoutAlt || 0} images are missing Alt attributes`,
+        recommendation: 'Add Alt attributes to images: <img src="..." alt="Image description">',
+        location: 'Page images',
+        currentValue: (analysis) => EnhancedSEORules.getImageAltStatus(analysis),
+        expectedValue: 'All images have Alt attributes (Add descriptive alt text to all images)',
+        impact: 'Affects accessibility',
+        selector: 'img:not([alt]), img[alt=""]'
+      },
+      {
+        id: 'meta_description_length',
+        category: 'technical',
+        name: 'Inappropriate Meta Description Length',
+        weight: 8,
+        severity: 'high',
+        thresholds: { minLength: 120, maxLength: 160 },
+        check: (analysis, { thresholds }) => {
+          const desc = analysis.metaTags?.description || '';
+          return desc.length >= thresholds.minLength && desc.length <= thresholds.maxLength;
         },
-        {
-          id: 'canonical_url',
-          name: 'Missing Canonical Tag',
-          weight: 5,
-          check: (analysis) => !!analysis.metaTags?.canonical,
-          severity: 'medium'
+        description: (analysis) => `Meta description length is ${analysis.metaTags?.description?.length || 0} characters`,
+        recommendation: (analysis, { thresholds }) => `Adjust Meta description length to ${thresholds.minLength}-${thresholds.maxLength} characters`,
+        currentValue: (analysis) => {
+          const description = analysis.metaTags?.description || '';
+          return description ? `${description.length} characters ("${description}")` : '0 characters (No description)';
         },
-        {
-          id: 'mobile_friendly',
-          name: 'Not Mobile Friendly',
-          weight: 6,
-          check: (analysis) => !!analysis.metaTags?.viewport,
-          severity: 'high'
+        expectedValue: (analysis, { thresholds }) => `${thresholds.minLength}-${thresholds.maxLength} characters (Optimize description length for search snippets)`,
+        impact: 'Too long descriptions get truncated, too short ones are not attractive enough',
+        selector: 'meta[name="description"]'
+      },
+      {
+        id: 'h1_unique',
+        category: 'technical',
+        name: 'Non-unique H1 Title',
+        weight: 8,
+        severity: 'high',
+        check: (analysis) => (analysis.headings?.h1?.length || 0) === 1,
+        description: (analysis) => `Page has ${analysis.headings?.h1?.length || 0} H1 titles`,
+        recommendation: 'Ensure page has only one H1 title, change others to H2 or H3',
+        currentValue: (analysis) => {
+          const h1Array = analysis.headings?.h1 || [];
+          if (h1Array.length === 0) return 'No H1 titles';
+          if (h1Array.length === 1) return `1 H1 title ("${h1Array[0]}")`;
+          return `${h1Array.length} H1 titles (${h1Array.map(h1 => `"${h1}"`).join(', ')})`;
         },
-        {
-          id: 'open_graph',
-          name: 'Missing Open Graph Tags',
-          weight: 6,
-          check: (analysis) => Object.keys(analysis.metaTags?.ogTags || {}).length > 0,
-          severity: 'medium'
+        expectedValue: '1 unique H1 title (Merge multiple H1s into one main heading)',
+        impact: 'Multiple H1s scatter page theme focus',
+        selector: 'h1'
+      },
+      {
+        id: 'duplicate_title',
+        category: 'technical',
+        name: 'Duplicate Title',
+        weight: 8,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.duplicates,
+        check: (analysis) => analysis.duplicates.title.length === 0,
+        findings: (analysis) => EnhancedSEORules.getDuplicateFindings(analysis, 'title'),
+        description: 'Other pages of the site use the same or a nearly identical title',
+        recommendation: 'Write a title that says what is different about this page, e.g. the product, topic or location',
+        location: '<title>',
+        expectedValue: 'A title no other page of the site uses',
+        impact: 'Search engines may show only one of the pages and filter the others',
+        selector: 'title'
+      },
+      {
+        id: 'duplicate_description',
+        category: 'technical',
+        name: 'Duplicate Meta Description',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.duplicates,
+        check: (analysis) => analysis.duplicates.description.length === 0,
+        findings: (analysis) => EnhancedSEORules.getDuplicateFindings(analysis, 'description'),
+        description: 'Other pages of the site use the same or a nearly identical meta description',
+        recommendation: 'Summarize this page\'s own content, or remove the description so search engines build a snippet from the page',
+        location: '<meta name="description">',
+        expectedValue: 'A description no other page of the site uses',
+        impact: 'Identical snippets make the pages indistinguishable in search results',
+        selector: 'meta[name="description"]'
+      },
+      {
+        id: 'duplicate_h1',
+        category: 'content',
+        name: 'Duplicate H1',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!analysis.duplicates,
+        check: (analysis) => analysis.duplicates.h1.length === 0,
+        findings: (analysis) => EnhancedSEORules.getDuplicateFindings(analysis, 'h1'),
+        description: 'Other pages of the site use the same or a nearly identical H1',
+        recommendation: 'Give the page a main heading that names its own topic',
+        location: 'H1 heading',
+        expectedValue: 'An H1 no other page of the site uses',
+        impact: 'Pages with the same main heading compete for the same queries',
+        selector: 'h1'
+      },
+      {
+        id: 'canonical_url',
+        category: 'technical',
+        name: 'Missing Canonical Tag',
+        weight: 5,
+        severity: 'medium',
+        check: (analysis) => !!analysis.metaTags?.canonical,
+        description: 'Page is missing Canonical tag',
+        recommendation: 'Add Canonical tag: <link rel="canonical" href="Page URL">',
+        currentValue: (analysis) => analysis.metaTags?.canonical ? `Canonical set (${analysis.metaTags.canonical})` : 'No Canonical tag',
+        expectedValue: 'Canonical URL set (Add <link rel="canonical"> to prevent duplicate content)',
+        impact: 'May cause duplicate content issues',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_multiple',
+        category: 'technical',
+        name: 'Multiple Canonical Tags',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).length > 0,
+        check: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).length === 1,
+        description: (analysis) => `Page has ${EnhancedSEORules.getCanonicalTags(analysis).length} canonical tags`,
+        recommendation: 'Keep exactly one <link rel="canonical">, search engines ignore all of them when there are several',
+        location: '<head> section',
+        currentValue: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).map(tag => tag.href).join(', '),
+        expectedValue: '1 canonical tag',
+        impact: 'Conflicting canonicals are ignored, duplicate URLs may be indexed',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_in_body',
+        category: 'technical',
+        name: 'Canonical Tag Outside <head>',
+        weight: 6,
+        severity: 'high',
+        applies: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).length > 0,
+        check: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).every(tag => tag.inHead),
+        description: 'Canonical link is placed in <body>',
+        recommendation: 'Move <link rel="canonical"> into <head>, a canonical in <body> is ignored',
+        location: '<body>',
+        currentValue: 'Canonical inside <body>',
+        expectedValue: 'Canonical inside <head>',
+        impact: 'The canonical signal is ignored',
+        selector: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).find(tag => !tag.inHead)?.selector || 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_relative',
+        category: 'technical',
+        name: 'Relative Canonical URL',
+        weight: 2,
+        severity: 'low',
+        applies: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).length > 0,
+        check: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).every(tag => tag.isAbsolute),
+        description: 'Canonical URL is relative',
+        recommendation: 'Use an absolute URL including protocol and host, e.g. https://example.com/page',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => EnhancedSEORules.getCanonicalTags(analysis).find(tag => !tag.isAbsolute)?.href || '',
+        expectedValue: 'Absolute canonical URL',
+        impact: 'Relative URLs are easy to break when pages are copied or served on other hosts',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_cross_host',
+        category: 'technical',
+        name: 'Canonical Points to Another Host',
+        weight: 6,
+        severity: 'medium',
+        applies: (analysis) => !!EnhancedSEORules.getCanonicalUrl(analysis),
+        check: (analysis) => EnhancedSEORules.getCanonicalUrl(analysis).hostname === EnhancedSEORules.parseUrl(analysis.url)?.hostname,
+        description: (analysis) => `Canonical points to ${EnhancedSEORules.getCanonicalUrl(analysis).hostname}`,
+        recommendation: 'Unless this page is syndicated from another site, point the canonical to this host',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => EnhancedSEORules.getCanonicalUrl(analysis).href,
+        expectedValue: (analysis) => `Canonical on ${EnhancedSEORules.parseUrl(analysis.url)?.hostname}`,
+        impact: 'This page is consolidated into the other site and will not rank itself',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_protocol_mismatch',
+        category: 'technical',
+        name: 'Canonical Uses a Different Protocol',
+        weight: 6,
+        severity: 'high',
+        applies: (analysis) => !!EnhancedSEORules.getCanonicalUrl(analysis),
+        // An HTTP page pointing to its HTTPS version is the intended migration setup
+        check: (analysis) => {
+          const protocol = EnhancedSEORules.getCanonicalUrl(analysis).protocol;
+          return protocol === 'https:' || protocol === EnhancedSEORules.parseUrl(analysis.url)?.protocol;
         },
-        {
-          id: 'robots_meta',
-          name: 'Missing Robots Meta Tag',
-          weight: 4,
-          check: (analysis) => !!analysis.metaTags?.robots,
-          severity: 'low'
+        description: (analysis) => `Page is served over ${EnhancedSEORules.parseUrl(analysis.url)?.protocol.replace(':', '')} but the canonical uses ${EnhancedSEORules.getCanonicalUrl(analysis).protocol.replace(':', '')}`,
+        recommendation: 'Point the canonical to the HTTPS version of the URL',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => EnhancedSEORules.getCanonicalUrl(analysis).href,
+        expectedValue: 'Canonical with the same protocol as the page (HTTPS)',
+        impact: 'Signals are split between HTTP and HTTPS versions',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_og_url_conflict',
+        category: 'technical',
+        name: 'Canonical and og:url Disagree',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!EnhancedSEORules.getCanonicalUrl(analysis) && !!analysis.canonical?.ogUrl,
+        check: (analysis) => {
+          const ogUrl = EnhancedSEORules.parseUrl(analysis.canonical.ogUrl, analysis.url);
+          return !!ogUrl && ogUrl.href === EnhancedSEORules.getCanonicalUrl(analysis).href;
         },
-        {
-          id: 'lang_attribute',
-          name: 'HTML Missing lang Attribute',
-          weight: 4,
-          check: (analysis) => !!analysis.technical?.hasLang,
-          severity: 'medium'
-        }
-      ],
-      content: [
-        {
-          id: 'content_length',
-          name: 'Insufficient Content Length',
-          weight: 20,
-          check: (analysis) => (analysis.content?.wordCount || 0) >= 300,
-          severity: 'high'
+        description: 'og:url is different from the canonical URL',
+        recommendation: 'Set og:url to the same URL as the canonical tag',
+        location: '<head> section',
+        currentValue: (analysis) => `canonical: ${EnhancedSEORules.getCanonicalUrl(analysis).href}, og:url: ${analysis.canonical.ogUrl}`,
+        expectedValue: 'og:url equal to the canonical URL',
+        impact: 'Social shares and likes are split across URLs',
+        selector: 'meta[property="og:url"]'
+      },
+      {
+        id: 'canonical_target_error',
+        category: 'technical',
+        name: 'Canonical Target Returns an Error',
+        weight: 10,
+        severity: 'critical',
+        applies: (analysis) => !!analysis.canonical?.target,
+        check: (analysis) => !analysis.canonical.target.error && analysis.canonical.target.status < 400,
+        description: (analysis) => analysis.canonical.target.error
+          ? `Canonical target could not be loaded (${analysis.canonical.target.error})`
+          : `Canonical target returns HTTP ${analysis.canonical.target.status}`,
+        recommendation: 'Point the canonical to a live URL that returns 200',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => `${analysis.canonical.target.url} → ${analysis.canonical.target.error || `HTTP ${analysis.canonical.target.status}`}`,
+        expectedValue: 'Canonical target returns 200',
+        impact: 'Search engines ignore the canonical or drop the page',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_target_redirect',
+        category: 'technical',
+        name: 'Canonical Target Redirects',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.canonical?.target && !analysis.canonical.target.error,
+        check: (analysis) => !analysis.canonical.target.redirected,
+        description: 'Canonical target redirects to another URL',
+        recommendation: 'Point the canonical directly to the final URL',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => `${analysis.canonical.target.url} → ${analysis.canonical.target.finalUrl}`,
+        expectedValue: 'Canonical target that does not redirect',
+        impact: 'Mixed signals, the canonical may be ignored',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'canonical_target_noindex',
+        category: 'technical',
+        name: 'Canonical Target Is noindex',
+        weight: 10,
+        severity: 'high',
+        applies: (analysis) => !!analysis.canonical?.target && !analysis.canonical.target.error,
+        check: (analysis) => !analysis.canonical.target.noindex,
+        description: 'Canonical points to a page marked noindex',
+        recommendation: 'Remove noindex from the canonical target or point the canonical to an indexable URL',
+        location: '<link rel="canonical">',
+        currentValue: (analysis) => `${analysis.canonical.target.url} is noindex`,
+        expectedValue: 'Indexable canonical target',
+        impact: 'Neither this page nor the target may be indexed',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'hreflang_invalid_code',
+        category: 'technical',
+        name: 'Invalid hreflang Code',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => EnhancedSEORules.hasHreflang(analysis),
+        check: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'invalid-code').length === 0,
+        findings: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'invalid-code').map(problem => ({
+          key: problem.hreflang,
+          description: `hreflang="${problem.hreflang}": ${problem.message}`,
+          currentValue: problem.hreflang,
+          selector: EnhancedSEORules.getHreflangSelector(analysis, problem.hreflang)
+        })),
+        description: 'hreflang uses an invalid language or region code',
+        recommendation: 'Use an ISO 639-1 language code, optionally followed by an ISO 3166-1 alpha-2 region, e.g. en-GB',
+        location: '<link rel="alternate" hreflang>',
+        expectedValue: 'Valid code such as "de", "en-GB" or "x-default"',
+        impact: 'Search engines ignore alternates with invalid codes'
+      },
+      {
+        id: 'hreflang_duplicate',
+        category: 'technical',
+        name: 'Duplicate hreflang Code',
+        weight: 6,
+        severity: 'high',
+        applies: (analysis) => EnhancedSEORules.hasHreflang(analysis),
+        check: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'duplicate').length === 0,
+        findings: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'duplicate').map(problem => ({
+          key: problem.hreflang,
+          description: problem.message,
+          currentValue: analysis.hreflang.alternates
+            .filter(alternate => alternate.hreflang.toLowerCase() === problem.hreflang)
+            .map(alternate => alternate.resolved)
+            .join(', '),
+          selector: EnhancedSEORules.getHreflangSelector(analysis, problem.hreflang)
+        })),
+        description: 'The same hreflang code points to different URLs',
+        recommendation: 'Keep one URL per language/region code',
+        location: '<link rel="alternate" hreflang>',
+        expectedValue: 'One URL per hreflang code',
+        impact: 'Conflicting alternates are ignored'
+      },
+      {
+        id: 'hreflang_relative_url',
+        category: 'technical',
+        name: 'Relative hreflang URL',
+        weight: 4,
+        severity: 'medium',
+        applies: (analysis) => EnhancedSEORules.hasHreflang(analysis),
+        check: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'relative-url').length === 0,
+        findings: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'relative-url').map(problem => ({
+          key: `${problem.hreflang}:${problem.href}`,
+          description: `hreflang="${problem.hreflang}": ${problem.message}`,
+          selector: EnhancedSEORules.getHreflangSelector(analysis, problem.hreflang)
+        })),
+        description: 'hreflang alternate uses a relative URL',
+        recommendation: 'Use fully-qualified URLs including protocol and host',
+        location: '<link rel="alternate" hreflang>',
+        expectedValue: 'Absolute alternate URL',
+        impact: 'Relative alternate URLs are not supported by search engines'
+      },
+      {
+        id: 'hreflang_self_reference',
+        category: 'technical',
+        name: 'Missing Self-Referencing hreflang',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => EnhancedSEORules.hasHreflang(analysis),
+        check: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'missing-self').length === 0,
+        description: 'The hreflang cluster does not include this page',
+        recommendation: 'Add an alternate for this page\'s own language pointing to its own URL',
+        location: '<head> section',
+        currentValue: (analysis) => analysis.hreflang.alternates.map(alternate => alternate.hreflang).join(', '),
+        expectedValue: (analysis) => `An alternate pointing to ${analysis.url}`,
+        impact: 'The cluster may be ignored for this page',
+        selector: 'link[rel="alternate"][hreflang]'
+      },
+      {
+        id: 'hreflang_x_default',
+        category: 'technical',
+        name: 'Missing x-default hreflang',
+        weight: 2,
+        severity: 'low',
+        applies: (analysis) => EnhancedSEORules.hasHreflang(analysis),
+        check: (analysis) => EnhancedSEORules.getHreflangProblems(analysis, 'missing-x-default').length === 0,
+        description: 'No x-default alternate',
+        recommendation: 'Add <link rel="alternate" hreflang="x-default"> pointing to the language selector or default version',
+        location: '<head> section',
+        currentValue: 'No x-default',
+        expectedValue: 'hreflang="x-default"',
+        impact: 'Visitors with unlisted languages get no preferred version',
+        selector: 'link[rel="alternate"][hreflang]'
+      },
+      {
+        id: 'hreflang_return_links',
+        category: 'technical',
+        name: 'Missing hreflang Return Link',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => !!analysis.hreflang?.returnLinks,
+        check: (analysis) => EnhancedSEORules.getMissingReturnLinks(analysis).length === 0,
+        findings: (analysis) => EnhancedSEORules.getMissingReturnLinks(analysis).map(result => ({
+          key: result.url,
+          description: `${result.url} does not link back to this page`,
+          location: result.url,
+          currentValue: 'No return link',
+          selector: EnhancedSEORules.getHreflangSelector(analysis, null, result.url)
+        })),
+        description: 'Alternate pages do not link back to this page',
+        recommendation: 'Every alternate must list all pages of the cluster, including this one',
+        location: 'Alternate pages',
+        expectedValue: (analysis) => `rel="alternate" hreflang link to ${analysis.url}`,
+        impact: 'Search engines ignore hreflang pairs without return links'
+      },
+      {
+        id: 'hreflang_alternate_error',
+        category: 'technical',
+        name: 'hreflang Alternate Unreachable',
+        weight: 6,
+        severity: 'high',
+        applies: (analysis) => !!analysis.hreflang?.returnLinks,
+        check: (analysis) => EnhancedSEORules.getBrokenAlternates(analysis).length === 0,
+        findings: (analysis) => EnhancedSEORules.getBrokenAlternates(analysis).map(result => ({
+          key: result.url,
+          description: `${result.url} returns ${result.error || `HTTP ${result.status}`}`,
+          location: result.url,
+          currentValue: result.error || `HTTP ${result.status}`,
+          selector: EnhancedSEORules.getHreflangSelector(analysis, null, result.url)
+        })),
+        description: 'hreflang alternate returns an error',
+        recommendation: 'Point hreflang alternates to live, indexable URLs',
+        location: 'Alternate pages',
+        expectedValue: 'HTTP 200',
+        impact: 'Broken alternates invalidate the hreflang cluster'
+      },
+      {
+        id: 'broken_links',
+        category: 'technical',
+        name: 'Broken Link',
+        weight: 10,
+        severity: 'high',
+        applies: (analysis) => !!analysis.links?.checked,
+        check: (analysis) => EnhancedSEORules.getBrokenLinks(analysis).length === 0,
+        findings: (analysis) => EnhancedSEORules.getBrokenLinks(analysis).map(link => ({
+          key: link.url,
+          description: `${link.internal ? 'Internal' : 'External'} link to ${link.url} ${link.error ? `failed (${link.error})` : `returns HTTP ${link.status}`}`,
+          location: `${link.selectors.length} link${link.selectors.length === 1 ? '' : 's'} on the page`,
+          currentValue: link.error || `HTTP ${link.status}`,
+          selector: link.selectors.join(', ')
+        })),
+        description: 'Page links to URLs that return errors',
+        recommendation: 'Fix or remove links to missing pages, or point them to a working replacement',
+        location: 'Page links',
+        expectedValue: 'HTTP 200',
+        impact: 'Broken links hurt user experience and waste crawl budget',
+        selector: 'a[href]'
+      },
+      {
+        id: 'redirected_links',
+        category: 'technical',
+        name: 'Redirected Link',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!analysis.links?.checked,
+        check: (analysis) => EnhancedSEORules.getRedirectedLinks(analysis).length === 0,
+        findings: (analysis) => EnhancedSEORules.getRedirectedLinks(analysis).map(link => ({
+          key: link.url,
+          description: `Link to ${link.url} redirects${link.chain.length > 2 ? ` ${link.chain.length - 1} times` : ''} to ${link.finalUrl}`,
+          location: `${link.selectors.length} link${link.selectors.length === 1 ? '' : 's'} on the page`,
+          currentValue: link.chain.length > 0
+            ? link.chain.map(hop => `${hop.url}${hop.status ? ` (${hop.status})` : ''}`).join(' → ')
+            : `${link.url} → ${link.finalUrl}`,
+          expectedValue: link.finalUrl,
+          selector: link.selectors.join(', ')
+        })),
+        description: 'Page links to URLs that redirect',
+        recommendation: 'Link directly to the final URL',
+        location: 'Page links',
+        impact: 'Every redirect adds latency and dilutes link signals',
+        selector: 'a[href]'
+      },
+      {
+        id: 'http_error_status',
+        category: 'technical',
+        name: 'Page Returns an Error Status',
+        weight: 10,
+        severity: 'critical',
+        applies: (analysis) => !!analysis.http && !analysis.http.error,
+        check: (analysis) => analysis.http.status < 400,
+        description: (analysis) => `The page responds with HTTP ${analysis.http.status}`,
+        recommendation: 'Return 200 for pages that should be indexed, error pages are dropped from the index',
+        location: 'HTTP response',
+        currentValue: (analysis) => `HTTP ${analysis.http.status}`,
+        expectedValue: 'HTTP 200',
+        impact: 'Pages with 4xx/5xx responses are not indexed'
+      },
+      {
+        id: 'http_redirect_chain',
+        category: 'technical',
+        name: 'Redirect Chain',
+        weight: 4,
+        severity: 'medium',
+        thresholds: { maxRedirects: 1 },
+        applies: (analysis) => !!analysis.http,
+        check: (analysis, { thresholds }) => analysis.http.redirects.length <= thresholds.maxRedirects,
+        description: (analysis) => `${analysis.http.requestedUrl} redirects ${analysis.http.redirects.length} times before reaching this page`,
+        recommendation: 'Redirect old URLs straight to the final URL and update links to it',
+        location: 'HTTP response',
+        currentValue: (analysis) => analysis.http.redirects.map(hop => `${hop.url}${hop.status ? ` (${hop.status})` : ''}`).concat(analysis.http.finalUrl).join(' → '),
+        expectedValue: (analysis, { thresholds }) => `At most ${thresholds.maxRedirects} redirect`,
+        impact: 'Each hop adds latency and may lose link signals'
+      },
+      {
+        id: 'http_x_robots_noindex',
+        category: 'technical',
+        name: 'noindex in X-Robots-Tag Header',
+        weight: 10,
+        severity: 'critical',
+        applies: (analysis) => !!analysis.http,
+        check: (analysis) => !analysis.http.xRobotsTag.noindex,
+        description: 'The X-Robots-Tag response header excludes this page from search results',
+        recommendation: 'Remove noindex from the X-Robots-Tag header if this page should be indexed (check server and CDN config)',
+        location: 'HTTP response headers',
+        currentValue: (analysis) => `X-Robots-Tag: ${analysis.http.headers['x-robots-tag']}`,
+        expectedValue: 'No noindex in X-Robots-Tag',
+        impact: 'The page will not appear in search results'
+      },
+      {
+        id: 'http_canonical_conflict',
+        category: 'technical',
+        name: 'Link Header Canonical Conflicts',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.http?.linkCanonical && !!EnhancedSEORules.getCanonicalUrl(analysis),
+        check: (analysis) => EnhancedSEORules.parseUrl(analysis.http.linkCanonical)?.href === EnhancedSEORules.getCanonicalUrl(analysis).href,
+        description: 'The Link header and the <link rel="canonical"> tag name different canonical URLs',
+        recommendation: 'Declare the canonical in one place, or make both point to the same URL',
+        location: 'HTTP response headers',
+        currentValue: (analysis) => `Header: ${analysis.http.linkCanonical}, tag: ${EnhancedSEORules.getCanonicalUrl(analysis).href}`,
+        expectedValue: 'One canonical URL',
+        impact: 'Conflicting canonicals are ignored',
+        selector: 'link[rel="canonical"]'
+      },
+      {
+        id: 'http_compression',
+        category: 'performance',
+        name: 'Uncompressed HTML Response',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!analysis.http && !analysis.http.error && analysis.http.status < 400 &&
+          /text\/html/i.test(analysis.http.headers['content-type'] || ''),
+        check: (analysis) => /gzip|br|deflate|zstd/i.test(analysis.http.headers['content-encoding'] || ''),
+        description: 'The HTML document is served without compression',
+        recommendation: 'Enable gzip or Brotli compression for HTML responses',
+        location: 'HTTP response headers',
+        currentValue: (analysis) => analysis.http.headers['content-encoding'] || 'No Content-Encoding',
+        expectedValue: 'Content-Encoding: br or gzip',
+        impact: 'Larger downloads slow down page loads'
+      },
+      {
+        id: 'web_vitals_lcp',
+        category: 'performance',
+        name: 'Slow Largest Contentful Paint',
+        weight: 15,
+        severity: 'high',
+        thresholds: { good: 2500, poor: 4000 },
+        applies: (analysis) => analysis.webVitals?.lcp?.value !== null && analysis.webVitals?.lcp?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.lcp.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.lcp.value, rule)],
+        description: (analysis) => `LCP (Largest Contentful Paint) is ${EnhancedSEORules.formatWebVital('lcp', analysis.webVitals.lcp.value)}`,
+        recommendation: 'Speed up the LCP element: preload its image, serve it in a modern format and remove render-blocking resources',
+        location: 'Largest Contentful Paint',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('lcp', analysis.webVitals.lcp.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('lcp', thresholds.good)} or less`,
+        impact: 'Slow main content rendering hurts user experience and Core Web Vitals ranking signals',
+        selector: (analysis) => analysis.webVitals.lcp.selector || 'body'
+      },
+      {
+        id: 'web_vitals_cls',
+        category: 'performance',
+        name: 'High Cumulative Layout Shift',
+        weight: 15,
+        severity: 'high',
+        thresholds: { good: 0.1, poor: 0.25 },
+        applies: (analysis) => analysis.webVitals?.cls?.value !== null && analysis.webVitals?.cls?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.cls.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.cls.value, rule)],
+        description: (analysis) => `CLS (Cumulative Layout Shift) is ${EnhancedSEORules.formatWebVital('cls', analysis.webVitals.cls.value)}`,
+        recommendation: 'Reserve space for images, ads and embeds with width/height or aspect-ratio, and avoid inserting content above existing content',
+        location: 'Cumulative Layout Shift',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('cls', analysis.webVitals.cls.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('cls', thresholds.good)} or less`,
+        impact: 'Unexpected layout shifts cause misclicks and hurt Core Web Vitals ranking signals',
+        selector: (analysis) => analysis.webVitals.cls.sources.map(source => source.selector).join(', ') || 'body'
+      },
+      {
+        id: 'web_vitals_inp',
+        category: 'performance',
+        name: 'Slow Interaction to Next Paint',
+        weight: 15,
+        severity: 'high',
+        thresholds: { good: 200, poor: 500 },
+        applies: (analysis) => analysis.webVitals?.inp?.value !== null && analysis.webVitals?.inp?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.inp.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.inp.value, rule)],
+        description: (analysis) => `INP (Interaction to Next Paint) is ${EnhancedSEORules.formatWebVital('inp', analysis.webVitals.inp.value)}`,
+        recommendation: 'Break up long tasks, defer non-critical JavaScript and keep event handlers short',
+        location: 'Interaction to Next Paint',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('inp', analysis.webVitals.inp.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('inp', thresholds.good)} or less`,
+        impact: 'Sluggish responses to clicks and key presses hurt Core Web Vitals ranking signals',
+        selector: (analysis) => analysis.webVitals.inp.selector || 'body'
+      },
+      {
+        id: 'web_vitals_fid',
+        category: 'performance',
+        name: 'Slow First Input Delay',
+        weight: 5,
+        severity: 'medium',
+        thresholds: { good: 100, poor: 300 },
+        applies: (analysis) => analysis.webVitals?.fid?.value !== null && analysis.webVitals?.fid?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.fid.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.fid.value, rule)],
+        description: (analysis) => `FID (First Input Delay) is ${EnhancedSEORules.formatWebVital('fid', analysis.webVitals.fid.value)}`,
+        recommendation: 'Reduce main-thread work during page load so the first interaction is handled quickly',
+        location: 'First Input Delay',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('fid', analysis.webVitals.fid.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('fid', thresholds.good)} or less`,
+        impact: 'The page feels unresponsive on the first interaction',
+        selector: 'body'
+      },
+      {
+        id: 'web_vitals_fcp',
+        category: 'performance',
+        name: 'Slow First Contentful Paint',
+        weight: 8,
+        severity: 'medium',
+        thresholds: { good: 1800, poor: 3000 },
+        applies: (analysis) => analysis.webVitals?.fcp?.value !== null && analysis.webVitals?.fcp?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.fcp.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.fcp.value, rule)],
+        description: (analysis) => `FCP (First Contentful Paint) is ${EnhancedSEORules.formatWebVital('fcp', analysis.webVitals.fcp.value)}`,
+        recommendation: 'Reduce render-blocking CSS and JavaScript, inline critical CSS and improve server response time',
+        location: 'First Contentful Paint',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('fcp', analysis.webVitals.fcp.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('fcp', thresholds.good)} or less`,
+        impact: 'Visitors stare at a blank page longer',
+        selector: 'body'
+      },
+      {
+        id: 'web_vitals_ttfb',
+        category: 'performance',
+        name: 'Slow Time to First Byte',
+        weight: 8,
+        severity: 'medium',
+        thresholds: { good: 800, poor: 1800 },
+        applies: (analysis) => analysis.webVitals?.ttfb?.value !== null && analysis.webVitals?.ttfb?.value !== undefined,
+        check: (analysis, { thresholds }) => analysis.webVitals.ttfb.value <= thresholds.good,
+        findings: (analysis, rule) => [EnhancedSEORules.getWebVitalFinding(analysis.webVitals.ttfb.value, rule)],
+        description: (analysis) => `TTFB (Time to First Byte) is ${EnhancedSEORules.formatWebVital('ttfb', analysis.webVitals.ttfb.value)}`,
+        recommendation: 'Speed up the server response: cache pages, use a CDN and avoid redirects',
+        location: 'Time to First Byte',
+        currentValue: (analysis) => EnhancedSEORules.formatWebVital('ttfb', analysis.webVitals.ttfb.value),
+        expectedValue: (analysis, { thresholds }) => `${EnhancedSEORules.formatWebVital('ttfb', thresholds.good)} or less`,
+        impact: 'Every other metric is delayed by a slow server response',
+        selector: 'html'
+      },
+      {
+        id: 'mobile_friendly',
+        category: 'technical',
+        name: 'Not Mobile Friendly',
+        weight: 6,
+        severity: 'high',
+        check: (analysis) => !!analysis.metaTags?.viewport,
+        description: 'Page is not mobile-friendly enough',
+        recommendation: 'Add viewport tag: <meta name="viewport" content="width=device-width, initial-scale=1">',
+        currentValue: (analysis) => analysis.metaTags?.viewport ? `Viewport configured (${analysis.metaTags.viewport})` : 'No viewport setting',
+        expectedValue: 'Mobile viewport configured (Add <meta name="viewport" content="width=device-width, initial-scale=1">)',
+        impact: 'Affects mobile user experience and ranking',
+        selector: 'meta[name="viewport"]'
+      },
+      {
+        id: 'open_graph',
+        category: 'technical',
+        name: 'Missing Open Graph Tags',
+        weight: 6,
+        severity: 'medium',
+        check: (analysis) => Object.keys(analysis.metaTags?.ogTags || {}).length > 0,
+        description: 'Page is missing Open Graph tags',
+        recommendation: 'Add Open Graph tags: <meta property="og:title" content="Page Title">',
+        currentValue: (analysis) => EnhancedSEORules.getOpenGraphStatus(analysis),
+        expectedValue: 'Open Graph tags configured (Add og:title, og:description, og:image for social sharing)',
+        impact: 'Affects social media sharing effectiveness',
+        selector: 'meta[property^="og:"]'
+      },
+      {
+        id: 'robots_meta',
+        category: 'technical',
+        name: 'Missing Robots Meta Tag',
+        weight: 4,
+        severity: 'low',
+        check: (analysis) => !!analysis.metaTags?.robots,
+        description: 'Page is missing Robots Meta tag',
+        recommendation: 'Add robots tag: <meta name="robots" content="index,follow">',
+        currentValue: (analysis) => analysis.metaTags?.robots ? `Robots configured (${analysis.metaTags.robots})` : 'No Robots directive',
+        expectedValue: 'Robots meta tag set (Add <meta name="robots" content="index,follow">)',
+        impact: 'Cannot precisely control search engine behavior',
+        selector: 'meta[name="robots"]'
+      },
+      {
+        id: 'lang_attribute',
+        category: 'technical',
+        name: 'HTML Missing lang Attribute',
+        weight: 4,
+        severity: 'medium',
+        check: (analysis) => !!analysis.technical?.hasLang,
+        description: 'HTML tag is missing lang attribute',
+        recommendation: 'Add language attribute to HTML tag: <html lang="en">',
+        currentValue: (analysis) => analysis.metaTags?.language ? `Language set (${analysis.metaTags.language})` : 'No lang attribute',
+        expectedValue: 'HTML lang attribute set (Add lang="zh-CN" or appropriate language to <html>)',
+        impact: 'Affects search engine understanding of page language',
+        selector: 'html[lang]'
+      },
+      {
+        id: 'product_schema',
+        category: 'technical',
+        name: 'Missing Product Structured Data',
+        weight: 10,
+        severity: 'high',
+        enabled: false,
+        check: (analysis) => EnhancedSEORules.hasStructuredDataType(analysis, ['product']),
+        description: 'Product page has no Product JSON-LD markup',
+        recommendation: 'Add <script type="application/ld+json"> with "@type": "Product", including name, image, offers and aggregateRating',
+        location: '<head> section',
+        currentValue: (analysis) => EnhancedSEORules.getStructuredDataStatus(analysis),
+        expectedValue: 'Product JSON-LD present (Required for product rich results)',
+        impact: 'Product rich results (price, availability, rating) cannot be shown',
+        selector: 'script[type="application/ld+json"]'
+      },
+      {
+        id: 'article_schema',
+        category: 'technical',
+        name: 'Missing Article Structured Data',
+        weight: 6,
+        severity: 'medium',
+        enabled: false,
+        check: (analysis) => EnhancedSEORules.hasStructuredDataType(analysis, ['article', 'blogposting', 'newsarticle']),
+        description: 'Article page has no Article JSON-LD markup',
+        recommendation: 'Add <script type="application/ld+json"> with "@type": "Article" or "BlogPosting", including headline, author and datePublished',
+        location: '<head> section',
+        currentValue: (analysis) => EnhancedSEORules.getStructuredDataStatus(analysis),
+        expectedValue: 'Article or BlogPosting JSON-LD present',
+        impact: 'Article rich results and author information cannot be shown',
+        selector: 'script[type="application/ld+json"]'
+      },
+      {
+        id: 'robots_txt_blocked',
+        category: 'technical',
+        name: 'Blocked by robots.txt',
+        weight: 15,
+        severity: 'critical',
+        applies: (analysis) => !!analysis.robotsTxt,
+        check: (analysis) => analysis.robotsTxt.agents.every(agent => agent.allowed),
+        findings: (analysis) => analysis.robotsTxt.agents
+          .filter(agent => !agent.allowed)
+          .map(agent => ({
+            key: agent.userAgent.toLowerCase(),
+            description: `${agent.userAgent} is not allowed to crawl this URL`,
+            currentValue: EnhancedSEORules.getRobotsTxtStatus(analysis.robotsTxt, agent)
+          })),
+        description: 'URL is disallowed by robots.txt',
+        recommendation: 'Remove or narrow the matching Disallow rule, or add a more specific Allow rule for this path',
+        location: (analysis) => analysis.robotsTxt.url,
+        currentValue: 'Disallowed',
+        expectedValue: 'URL allowed for search engine crawlers',
+        impact: 'Blocked pages cannot be crawled, their content is not indexed'
+      },
+      {
+        id: 'sitemap_exists',
+        category: 'technical',
+        name: 'No XML Sitemap Found',
+        weight: 4,
+        severity: 'low',
+        applies: (analysis) => !!analysis.sitemap && (analysis.sitemap.found || !analysis.sitemap.partial),
+        check: (analysis) => analysis.sitemap.found,
+        description: 'No sitemap declared in robots.txt or found at /sitemap.xml',
+        recommendation: 'Publish an XML sitemap and reference it with a "Sitemap:" line in robots.txt',
+        location: 'robots.txt, /sitemap.xml',
+        currentValue: (analysis) => `${analysis.sitemap.sitemaps.length} sitemap locations checked, none could be loaded`,
+        expectedValue: 'XML sitemap listing indexable URLs',
+        impact: 'New and deep pages are discovered more slowly'
+      },
+      {
+        id: 'sitemap_inclusion',
+        category: 'technical',
+        name: 'URL Not in Sitemap',
+        weight: 5,
+        severity: 'medium',
+        // A partial check may have missed the sitemap that lists the URL
+        applies: (analysis) => !!analysis.sitemap?.found && !analysis.sitemap.partial && !EnhancedSEORules.isNoindex(analysis),
+        check: (analysis) => analysis.sitemap.listed,
+        description: (analysis) => `This URL is not listed in any of the site's sitemaps (${analysis.sitemap.urlCount} URLs checked)`,
+        recommendation: 'Add the URL to the XML sitemap, using exactly the canonical form of the URL',
+        location: (analysis) => analysis.sitemap.sitemaps.filter(sitemap => !sitemap.error).map(sitemap => sitemap.url).join(', '),
+        currentValue: 'Not listed',
+        expectedValue: 'Listed with <loc> matching the page URL',
+        impact: 'Search engines may crawl the page less often'
+      },
+      {
+        id: 'sitemap_invalid_entries',
+        category: 'technical',
+        name: 'Sitemap Lists Non-Indexable URL',
+        weight: 4,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.sitemap,
+        check: (analysis) => analysis.sitemap.invalidEntries.length === 0,
+        findings: (analysis) => analysis.sitemap.invalidEntries.map(entry => ({
+          key: `${entry.reason}:${entry.url}`,
+          description: entry.reason === 'noindex'
+            ? `Sitemap lists ${entry.url}, which is marked noindex`
+            : `Sitemap lists ${entry.url}, which declares ${entry.canonical} as canonical`,
+          location: entry.url,
+          currentValue: entry.reason === 'noindex' ? 'noindex page in sitemap' : `Canonical: ${entry.canonical}`,
+          expectedValue: entry.reason === 'noindex' ? 'Only indexable URLs in the sitemap' : 'Only canonical URLs in the sitemap'
+        })),
+        description: 'Sitemap lists URLs that should not be indexed',
+        recommendation: 'Remove noindex and non-canonical URLs from the sitemap, or list the canonical URL instead',
+        impact: 'Mixed signals waste crawl budget and weaken trust in the sitemap'
+      },
+      {
+        id: 'structured_data_errors',
+        category: 'technical',
+        name: 'Invalid Structured Data',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => EnhancedSEORules.hasStructuredDataItems(analysis),
+        check: (analysis) => EnhancedSEORules.getStructuredDataProblems(analysis, 'error').length === 0,
+        findings: (analysis) => EnhancedSEORules.getStructuredDataProblems(analysis, 'error')
+          .map(problem => EnhancedSEORules.getStructuredDataFinding(problem)),
+        description: 'Structured data item has errors',
+        recommendation: 'Fix the structured data item so it has all properties required for rich results, then re-test with the Rich Results Test',
+        impact: 'Items with errors are not eligible for rich results',
+        selector: 'script[type="application/ld+json"], [itemscope], [typeof]'
+      },
+      {
+        id: 'structured_data_recommended',
+        category: 'technical',
+        name: 'Incomplete Structured Data',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => EnhancedSEORules.hasStructuredDataItems(analysis),
+        check: (analysis) => EnhancedSEORules.getStructuredDataProblems(analysis, 'warning').length === 0,
+        findings: (analysis) => EnhancedSEORules.getStructuredDataProblems(analysis, 'warning')
+          .map(problem => EnhancedSEORules.getStructuredDataFinding(problem)),
+        description: 'Structured data item is missing recommended properties',
+        recommendation: 'Add the recommended property to give search engines richer information about the item',
+        impact: 'Rich results may show less information',
+        selector: 'script[type="application/ld+json"], [itemscope], [typeof]'
+      },
+
+      // Content SEO
+      {
+        id: 'content_length',
+        category: 'content',
+        name: 'Insufficient Content Length',
+        weight: 20,
+        severity: 'high',
+        thresholds: { minWords: 300 },
+        check: (analysis, { thresholds }) => (analysis.content?.wordCount || 0) >= thresholds.minWords,
+        description: (analysis) => `Page content is only ${analysis.content?.wordCount || 0} words`,
+        recommendation: (analysis, { thresholds }) => `Increase page content to over ${thresholds.minWords} words, provide more valuable information`,
+        location: 'Main page content',
+        currentValue: (analysis) => `${analysis.content?.wordCount || 0} words`,
+        expectedValue: (analysis, { thresholds }) => `At least ${thresholds.minWords} words (Expand content with valuable information)`,
+        impact: 'Affects search ranking',
+        selector: (analysis) => analysis.content?.mainContent?.selector || 'main, article, .content, #content, body'
+      },
+      {
+        id: 'text_html_ratio',
+        category: 'content',
+        name: 'Low Text-to-HTML Ratio',
+        weight: 12,
+        severity: 'medium',
+        thresholds: { minRatio: 15 },
+        check: (analysis, { thresholds }) => (analysis.content?.textToHtmlRatio || 0) >= thresholds.minRatio,
+        description: (analysis) => `Text-to-HTML ratio is only ${analysis.content?.textToHtmlRatio || 0}%`,
+        recommendation: 'Increase text content, reduce unnecessary HTML code',
+        currentValue: (analysis) => `${analysis.content?.textToHtmlRatio || 0}% text ratio`,
+        expectedValue: (analysis, { thresholds }) => `At least ${thresholds.minRatio}% text ratio (Reduce HTML markup or add more text content)`,
+        impact: 'Affects content quality assessment',
+        selector: 'body'
+      },
+      {
+        id: 'internal_links',
+        category: 'content',
+        name: 'Insufficient Internal Links',
+        weight: 10,
+        severity: 'medium',
+        thresholds: { minLinks: 3 },
+        check: (analysis, { thresholds }) => (analysis.content?.internalLinks || 0) >= thresholds.minLinks,
+        description: (analysis) => `Page has only ${analysis.content?.internalLinks || 0} internal links`,
+        recommendation: (analysis, { thresholds }) => `Add ${thresholds.minLinks}-5 relevant internal links to boost page authority`,
+        currentValue: (analysis) => `${analysis.links?.internalLinks || 0} internal links`,
+        expectedValue: '2-5 internal links (Add links to related pages on your site)',
+        impact: 'Affects internal site authority transfer',
+        selector: 'a[href^="/"]'
+      },
+      {
+        id: 'heading_structure',
+        category: 'content',
+        name: 'Unreasonable Heading Structure',
+        weight: 8,
+        severity: 'medium',
+        check: (analysis) => {
+          const h1Count = analysis.headings?.h1?.length || 0;
+          const h2Count = analysis.headings?.h2?.length || 0;
+          return h1Count === 1 && h2Count >= 1;
         },
-        {
-          id: 'text_html_ratio',
-          name: 'Low Text-to-HTML Ratio',
-          weight: 12,
-          check: (analysis) => (analysis.content?.textToHtmlRatio || 0) >= 15,
-          severity: 'medium'
+        description: 'Heading hierarchy structure is unreasonable',
+        recommendation: 'Establish clear heading hierarchy: H1→H2→H3',
+        currentValue: (analysis) => EnhancedSEORules.getHeadingStructureStatus(analysis),
+        expectedValue: 'Proper heading hierarchy (Use H1→H2→H3 structure logically)',
+        impact: 'Affects content readability and SEO effectiveness',
+        selector: 'h1, h2, h3'
+      },
+      {
+        id: 'heading_skipped_level',
+        category: 'content',
+        name: 'Skipped Heading Level',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => Array.isArray(analysis.headings?.outline),
+        check: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'skipped-level').length === 0,
+        findings: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'skipped-level').map(EnhancedSEORules.getHeadingFinding),
+        description: 'A heading skips a level of the outline',
+        recommendation: 'Use the next level down for subsections, e.g. H3 inside an H2 section',
+        location: 'Heading outline',
+        expectedValue: 'Each heading at most one level below the previous one',
+        impact: 'Skipped levels break the document outline for screen readers and search engines',
+        selector: 'h1, h2, h3, h4, h5, h6'
+      },
+      {
+        id: 'heading_empty',
+        category: 'content',
+        name: 'Empty Heading',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => Array.isArray(analysis.headings?.outline),
+        check: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'empty').length === 0,
+        findings: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'empty').map(EnhancedSEORules.getHeadingFinding),
+        description: 'A heading element has no text',
+        recommendation: 'Add descriptive text to the heading or remove the element',
+        location: 'Heading outline',
+        expectedValue: 'Every heading has text',
+        impact: 'Empty headings add nothing to the outline and confuse assistive technology',
+        selector: 'h1, h2, h3, h4, h5, h6'
+      },
+      {
+        id: 'heading_hidden',
+        category: 'content',
+        name: 'Hidden Heading',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => Array.isArray(analysis.headings?.outline),
+        check: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'hidden').length === 0,
+        findings: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'hidden').map(EnhancedSEORules.getHeadingFinding),
+        description: 'A heading is not visible on the page',
+        recommendation: 'Show the heading, or remove it if it only exists for keyword placement',
+        location: 'Heading outline',
+        expectedValue: 'Headings are visible to users',
+        impact: 'Hidden text may be treated as an attempt to manipulate rankings',
+        selector: 'h1, h2, h3, h4, h5, h6'
+      },
+      {
+        id: 'heading_duplicate',
+        category: 'content',
+        name: 'Duplicate Heading',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => Array.isArray(analysis.headings?.outline),
+        check: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'duplicate').length === 0,
+        findings: (analysis) => EnhancedSEORules.getOutlineIssues(analysis, 'duplicate').map(EnhancedSEORules.getHeadingFinding),
+        description: 'Several headings have the same text',
+        recommendation: 'Give each section a heading that describes its own content',
+        location: 'Heading outline',
+        expectedValue: 'Unique heading texts',
+        impact: 'Repeated headings make sections indistinguishable in the outline',
+        selector: 'h1, h2, h3, h4, h5, h6'
+      },
+      {
+        id: 'external_links',
+        category: 'content',
+        name: 'Unreasonable External Links Count',
+        weight: 8,
+        severity: 'medium',
+        thresholds: { minLinks: 1, maxLinks: 5 },
+        check: (analysis, { thresholds }) => {
+          const externalLinks = analysis.content?.externalLinks || 0;
+          return externalLinks >= thresholds.minLinks && externalLinks <= thresholds.maxLinks;
         },
-        {
-          id: 'internal_links',
-          name: 'Insufficient Internal Links',
-          weight: 10,
-          check: (analysis) => (analysis.content?.internalLinks || 0) >= 3,
-          severity: 'medium'
+        description: (analysis) => `External links count is ${analysis.content?.externalLinks || 0}`,
+        recommendation: (analysis, { thresholds }) => `Add ${thresholds.minLinks}-${thresholds.maxLinks} high-quality external links appropriately`,
+        currentValue: (analysis) => `${analysis.links?.externalLinks || 0} external links`,
+        expectedValue: '1-3 relevant external links (Link to authoritative external sources)',
+        impact: 'Affects page authority assessment',
+        selector: 'a[href^="http"]'
+      },
+      {
+        id: 'keyword_density',
+        category: 'content',
+        name: 'Abnormal Keyword Density',
+        weight: 10,
+        severity: 'medium',
+        thresholds: { maxDensity: 5 },
+        check: (analysis, { thresholds }) => {
+          const keyphrases = analysis.content?.keyphrases || [];
+          const maxDensity = Math.max(...keyphrases.map(keyphrase => keyphrase.density), 0);
+          return maxDensity <= thresholds.maxDensity;
         },
-        {
-          id: 'heading_structure',
-          name: 'Unreasonable Heading Structure',
-          weight: 8,
-          check: (analysis) => {
-            const h1Count = analysis.headings?.h1?.length || 0;
-            const h2Count = analysis.headings?.h2?.length || 0;
-            return h1Count === 1 && h2Count >= 1;
-          },
-          severity: 'medium'
+        description: (analysis) => {
+          const top = EnhancedSEORules.getDensestKeyphrase(analysis);
+          return top ? `Possible keyword stuffing detected: "${top.phrase}" makes up ${top.density}% of the content` : 'Possible keyword stuffing detected';
         },
-        {
-          id: 'external_links',
-          name: 'Unreasonable External Links Count',
-          weight: 8,
-          check: (analysis) => {
-            const externalLinks = analysis.content?.externalLinks || 0;
-            return externalLinks >= 1 && externalLinks <= 5;
-          },
-          severity: 'medium'
+        recommendation: 'Reduce keyword repetition, use synonyms and related words',
+        currentValue: (analysis) => EnhancedSEORules.getKeywordDensityStatus(analysis),
+        expectedValue: (analysis, { thresholds }) => `Keyword density 2-${thresholds.maxDensity}% (Balance keyword usage naturally)`,
+        impact: 'May be penalized by search engines',
+        selector: 'body'
+      },
+
+
+      // Focus keyphrase, only scored when a keyphrase is set for the URL
+      {
+        id: 'focus_keyword_title',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from Title',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis) => analysis.focusKeyword.inTitle,
+        description: (analysis) => `Page title does not contain the focus keyphrase "${analysis.focusKeyword.keyword}"`,
+        recommendation: 'Use the focus keyphrase in the title, preferably near the beginning',
+        location: '<title> tag',
+        currentValue: (analysis) => analysis.metaTags?.title ? `"${analysis.metaTags.title}"` : 'No title',
+        expectedValue: (analysis) => `Title contains "${analysis.focusKeyword.keyword}"`,
+        impact: 'The title is the strongest on-page relevance signal',
+        selector: 'head > title'
+      },
+      {
+        id: 'focus_keyword_description',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from Meta Description',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis) => analysis.focusKeyword.inDescription,
+        description: (analysis) => `Meta description does not contain the focus keyphrase "${analysis.focusKeyword.keyword}"`,
+        recommendation: 'Mention the focus keyphrase in the Meta description, search engines bold matching terms in snippets',
+        location: '<head> section',
+        currentValue: (analysis) => analysis.metaTags?.description ? `"${analysis.metaTags.description}"` : 'No description',
+        expectedValue: (analysis) => `Meta description contains "${analysis.focusKeyword.keyword}"`,
+        impact: 'Affects click-through rate',
+        selector: 'meta[name="description"]'
+      },
+      {
+        id: 'focus_keyword_h1',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from H1',
+        weight: 6,
+        severity: 'high',
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis) => analysis.focusKeyword.inH1,
+        description: (analysis) => `H1 title does not contain the focus keyphrase "${analysis.focusKeyword.keyword}"`,
+        recommendation: 'Include the focus keyphrase in the H1 main title',
+        location: 'Page content area',
+        currentValue: (analysis) => {
+          const h1Array = analysis.headings?.h1 || [];
+          return h1Array.length > 0 ? `"${h1Array[0]}"` : 'No H1 title';
         },
-        {
-          id: 'keyword_density',
-          name: 'Abnormal Keyword Density',
-          weight: 10,
-          check: (analysis) => {
-            const density = analysis.content?.keywordDensity || {};
-            const maxDensity = Math.max(...Object.values(density), 0);
-            return maxDensity <= 5;
-          },
-          severity: 'medium'
-        }
-      ],
-      performance: [
-        {
-          id: 'page_size',
-          name: 'Page Size Too Large',
-          weight: 25,
-          check: (analysis) => (analysis.performance?.pageSize || 0) < 2000000,
-          severity: 'medium'
+        expectedValue: (analysis) => `H1 contains "${analysis.focusKeyword.keyword}"`,
+        impact: 'Affects search engine understanding of page topic',
+        selector: 'h1'
+      },
+      {
+        id: 'focus_keyword_first_paragraph',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from First Paragraph',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis) => analysis.focusKeyword.inFirstParagraph,
+        description: (analysis) => `The first paragraph does not mention "${analysis.focusKeyword.keyword}"`,
+        recommendation: 'Introduce the focus keyphrase in the opening paragraph so the topic is clear immediately',
+        location: 'First paragraph',
+        currentValue: 'Keyphrase not found in first paragraph',
+        expectedValue: (analysis) => `First paragraph contains "${analysis.focusKeyword.keyword}"`,
+        impact: 'Affects topic relevance assessment',
+        selector: 'p'
+      },
+      {
+        id: 'focus_keyword_url',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from URL',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis) => analysis.focusKeyword.inUrlSlug,
+        description: (analysis) => `URL slug does not contain the focus keyphrase "${analysis.focusKeyword.keyword}"`,
+        recommendation: 'Use the keyphrase in the URL slug, separating words with hyphens',
+        location: 'Page URL',
+        currentValue: (analysis) => analysis.url || 'Unknown',
+        expectedValue: (analysis) => `URL slug such as /${analysis.focusKeyword.keyword.replace(/\s+/g, '-')}`,
+        impact: 'Descriptive URLs are a minor ranking and click-through signal'
+      },
+      {
+        id: 'focus_keyword_image_alt',
+        category: 'content',
+        name: 'Focus Keyphrase Missing from Image Alt Text',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => !!analysis.focusKeyword && (analysis.images?.totalImages || 0) > 0,
+        check: (analysis) => analysis.focusKeyword.imagesWithKeyphraseAlt > 0,
+        description: (analysis) => `None of the page images have "${analysis.focusKeyword.keyword}" in their Alt text`,
+        recommendation: 'Describe at least one relevant image using the focus keyphrase in its Alt attribute',
+        location: 'Page images',
+        currentValue: (analysis) => `${analysis.focusKeyword.imagesWithKeyphraseAlt} of ${analysis.focusKeyword.imagesWithAlt} Alt texts contain the keyphrase`,
+        expectedValue: 'At least 1 image Alt text contains the keyphrase',
+        impact: 'Affects image search visibility',
+        selector: 'img'
+      },
+      {
+        id: 'focus_keyword_subheadings',
+        category: 'content',
+        name: 'Focus Keyphrase Underused in Subheadings',
+        weight: 4,
+        severity: 'medium',
+        thresholds: { minRatio: 0.3 },
+        applies: (analysis) => !!analysis.focusKeyword && analysis.focusKeyword.subheadingCount > 0,
+        check: (analysis, { thresholds }) => {
+          const { subheadingCount, subheadingsWithKeyphrase } = analysis.focusKeyword;
+          return subheadingsWithKeyphrase / subheadingCount >= thresholds.minRatio;
         },
-        {
-          id: 'load_time',
-          name: 'Page Load Time Too Long',
-          weight: 30,
-          check: (analysis) => (analysis.performance?.loadTime || 0) < 3,
-          severity: 'high'
+        description: (analysis) => `${analysis.focusKeyword.subheadingsWithKeyphrase} of ${analysis.focusKeyword.subheadingCount} subheadings contain the focus keyphrase`,
+        recommendation: 'Use the focus keyphrase or close variations in more H2-H6 subheadings',
+        location: 'H2-H6 subheadings',
+        currentValue: (analysis) => `${Math.round((analysis.focusKeyword.subheadingsWithKeyphrase / analysis.focusKeyword.subheadingCount) * 100)}% of subheadings`,
+        expectedValue: (analysis, { thresholds }) => `At least ${Math.round(thresholds.minRatio * 100)}% of subheadings contain the keyphrase`,
+        impact: 'Affects topic relevance of content sections',
+        selector: 'h2, h3, h4, h5, h6'
+      },
+      {
+        id: 'focus_keyword_density',
+        category: 'content',
+        name: 'Inappropriate Focus Keyphrase Density',
+        weight: 6,
+        severity: 'medium',
+        thresholds: { minDensity: 0.5, maxDensity: 3 },
+        applies: (analysis) => !!analysis.focusKeyword,
+        check: (analysis, { thresholds }) => {
+          const density = analysis.focusKeyword.density;
+          return density >= thresholds.minDensity && density <= thresholds.maxDensity;
         },
-        {
-          id: 'https_usage',
-          name: 'Not Using HTTPS',
-          weight: 15,
-          check: (analysis) => analysis.url?.startsWith('https://'),
-          severity: 'high'
+        description: (analysis) => `Focus keyphrase appears ${analysis.focusKeyword.occurrences} times (${analysis.focusKeyword.density}% density)`,
+        recommendation: (analysis, { thresholds }) => analysis.focusKeyword.density > thresholds.maxDensity
+          ? 'Reduce keyphrase repetition, use synonyms and related words'
+          : 'Use the focus keyphrase more often in the body text',
+        location: 'Main page content',
+        currentValue: (analysis) => `${analysis.focusKeyword.density}% (${analysis.focusKeyword.occurrences} occurrences)`,
+        expectedValue: (analysis, { thresholds }) => `${thresholds.minDensity}-${thresholds.maxDensity}% keyphrase density`,
+        impact: 'Too low weakens relevance, too high may be penalized as keyword stuffing',
+        selector: 'body'
+      },
+      {
+        id: 'focus_keyword_distribution',
+        category: 'content',
+        name: 'Uneven Focus Keyphrase Distribution',
+        weight: 4,
+        severity: 'low',
+        thresholds: { minSections: 3 },
+        applies: (analysis) => !!analysis.focusKeyword && analysis.focusKeyword.occurrences > 0,
+        check: (analysis, { thresholds }) => analysis.focusKeyword.distribution.coveredSections >= thresholds.minSections,
+        description: (analysis) => `Focus keyphrase appears in ${analysis.focusKeyword.distribution.coveredSections} of ${analysis.focusKeyword.distribution.sections.length} document sections`,
+        recommendation: 'Spread the keyphrase across the whole text instead of concentrating it in one part',
+        location: 'Main page content',
+        currentValue: (analysis) => `Occurrences per section: ${analysis.focusKeyword.distribution.sections.join(' / ')}`,
+        expectedValue: (analysis, { thresholds }) => `Keyphrase present in at least ${thresholds.minSections} sections`,
+        impact: 'Affects topic relevance across the page',
+        selector: 'body'
+      },
+
+      // Performance
+      {
+        id: 'page_size',
+        category: 'performance',
+        name: 'Page Size Too Large',
+        weight: 25,
+        severity: 'medium',
+        thresholds: { maxBytes: 2000000 },
+        check: (analysis, { thresholds }) => (analysis.performance?.pageSize || 0) < thresholds.maxBytes,
+        description: (analysis) => `Page size is ${Math.round((analysis.performance?.pageSize || 0) / 1024)}KB`,
+        recommendation: (analysis, { thresholds }) => `Compress images and code, reduce page size to under ${EnhancedSEORules.formatBytes(thresholds.maxBytes)}`,
+        location: 'Entire page',
+        currentValue: (analysis) => `${Math.round((analysis.performance?.pageSize || 0) / 1024)}KB`,
+        expectedValue: (analysis, { thresholds }) => `Less than ${EnhancedSEORules.formatBytes(thresholds.maxBytes)} (Optimize images and remove unnecessary code)`,
+        impact: 'Affects loading speed',
+        selector: 'html'
+      },
+      {
+        id: 'render_blocking_scripts',
+        category: 'performance',
+        name: 'Render-Blocking Scripts',
+        weight: 6,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.performance?.resources,
+        check: (analysis) => EnhancedSEORules.getRenderBlocking(analysis, 'script').length === 0,
+        description: (analysis) => `${EnhancedSEORules.getRenderBlocking(analysis, 'script').length} synchronous scripts in <head> block rendering`,
+        recommendation: 'Add defer or async to scripts in <head>, or move them to the end of <body>',
+        location: '<head> section',
+        currentValue: (analysis) => EnhancedSEORules.getRenderBlocking(analysis, 'script').map(resource => resource.url).join(', '),
+        expectedValue: 'No synchronous scripts in <head>',
+        impact: 'The page stays blank until every script is downloaded and executed',
+        selector: (analysis) => EnhancedSEORules.getRenderBlocking(analysis, 'script').map(resource => resource.selector).join(', ')
+      },
+      {
+        id: 'render_blocking_styles',
+        category: 'performance',
+        name: 'Too Many Render-Blocking Stylesheets',
+        weight: 3,
+        severity: 'low',
+        thresholds: { maxStylesheets: 2 },
+        applies: (analysis) => !!analysis.performance?.resources,
+        check: (analysis, { thresholds }) => EnhancedSEORules.getRenderBlocking(analysis, 'css').length <= thresholds.maxStylesheets,
+        description: (analysis) => `${EnhancedSEORules.getRenderBlocking(analysis, 'css').length} stylesheets in <head> block rendering`,
+        recommendation: 'Combine stylesheets, inline critical CSS and load the rest with media="print" onload or preload',
+        location: '<head> section',
+        currentValue: (analysis) => `${EnhancedSEORules.getRenderBlocking(analysis, 'css').length} stylesheets`,
+        expectedValue: (analysis, { thresholds }) => `At most ${thresholds.maxStylesheets} stylesheets`,
+        impact: 'Each stylesheet delays the first render',
+        selector: (analysis) => EnhancedSEORules.getRenderBlocking(analysis, 'css').map(resource => resource.selector).join(', ')
+      },
+      {
+        id: 'uncompressed_resources',
+        category: 'performance',
+        name: 'Uncompressed Text Resource',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => !!analysis.performance?.resources,
+        check: (analysis) => analysis.performance.resources.uncompressed.length === 0,
+        findings: (analysis) => analysis.performance.resources.uncompressed.map(resource => ({
+          key: resource.url,
+          description: `${resource.url} is served without compression`,
+          location: resource.url,
+          currentValue: EnhancedSEORules.formatBytes(resource.bytes)
+        })),
+        description: 'Text resources are served without compression',
+        recommendation: 'Enable gzip or Brotli for JavaScript, CSS and JSON responses',
+        location: 'Page resources',
+        expectedValue: 'Content-Encoding: br or gzip',
+        impact: 'Uncompressed text resources are several times larger than necessary'
+      },
+      {
+        id: 'large_resources',
+        category: 'performance',
+        name: 'Oversized Resource',
+        weight: 5,
+        severity: 'medium',
+        thresholds: { maxBytes: 500000 },
+        applies: (analysis) => !!analysis.performance?.resources,
+        check: (analysis, { thresholds }) => EnhancedSEORules.getLargeResources(analysis, thresholds.maxBytes).length === 0,
+        findings: (analysis, rule) => EnhancedSEORules.getLargeResources(analysis, rule.thresholds.maxBytes).map(resource => ({
+          key: resource.url,
+          description: `${resource.type} resource ${resource.url} is ${EnhancedSEORules.formatBytes(resource.bytes)}`,
+          location: resource.url,
+          currentValue: EnhancedSEORules.formatBytes(resource.bytes)
+        })),
+        description: 'Page loads very large resources',
+        recommendation: 'Compress or resize images, split large bundles and load non-critical code on demand',
+        location: 'Page resources',
+        expectedValue: (analysis, { thresholds }) => `Less than ${EnhancedSEORules.formatBytes(thresholds.maxBytes)} per resource`,
+        impact: 'Large downloads slow down loading, especially on mobile'
+      },
+      {
+        id: 'javascript_weight',
+        category: 'performance',
+        name: 'Too Much JavaScript',
+        weight: 5,
+        severity: 'medium',
+        thresholds: { maxBytes: 1000000 },
+        applies: (analysis) => !!analysis.performance?.resources,
+        check: (analysis, { thresholds }) => analysis.performance.resources.byType.script.bytes <= thresholds.maxBytes,
+        description: (analysis) => `Page loads ${EnhancedSEORules.formatBytes(analysis.performance.resources.byType.script.bytes)} of JavaScript in ${analysis.performance.resources.byType.script.count} files`,
+        recommendation: 'Remove unused code and libraries, split bundles and defer non-critical scripts',
+        location: 'Page resources',
+        currentValue: (analysis) => EnhancedSEORules.formatBytes(analysis.performance.resources.byType.script.bytes),
+        expectedValue: (analysis, { thresholds }) => `Less than ${EnhancedSEORules.formatBytes(thresholds.maxBytes)}`,
+        impact: 'JavaScript is the most expensive resource to download, parse and execute',
+        selector: 'script[src]'
+      },
+      {
+        id: 'third_party_share',
+        category: 'performance',
+        name: 'Heavy Third-Party Resources',
+        weight: 3,
+        severity: 'low',
+        thresholds: { maxShare: 50 },
+        applies: (analysis) => (analysis.performance?.resources?.totalBytes || 0) > 0,
+        check: (analysis, { thresholds }) => analysis.performance.resources.thirdParty.share <= thresholds.maxShare,
+        description: (analysis) => `${analysis.performance.resources.thirdParty.share}% of resource bytes come from ${analysis.performance.resources.thirdParty.origins.length} third-party origins`,
+        recommendation: 'Audit third-party tags, remove unused ones and self-host critical assets',
+        location: 'Page resources',
+        currentValue: (analysis) => analysis.performance.resources.thirdParty.origins
+          .slice(0, 3)
+          .map(origin => `${origin.origin} (${origin.share}%)`)
+          .join(', '),
+        expectedValue: (analysis, { thresholds }) => `At most ${thresholds.maxShare}% third-party bytes`,
+        impact: 'Third-party resources are outside your control and often slow down pages'
+      },
+      {
+        id: 'image_oversized',
+        category: 'performance',
+        name: 'Oversized Image',
+        weight: 6,
+        severity: 'medium',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'oversized').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'oversized').map(image =>
+          EnhancedSEORules.getImageFinding(image, (image) => `Image is ${image.naturalWidth}×${image.naturalHeight}px but displayed at ${image.displayWidth}×${image.displayHeight}px`, (image) => `${image.naturalWidth}×${image.naturalHeight}px${image.bytes ? `, ${EnhancedSEORules.formatBytes(image.bytes)}` : ''}`)),
+        description: 'Images are served much larger than they are displayed',
+        recommendation: 'Resize images to their displayed size (×2 for high-density screens) or provide smaller srcset candidates',
+        location: 'Images',
+        expectedValue: 'At most 1.5× the displayed size',
+        impact: 'Extra pixels waste bandwidth and slow down LCP',
+        selector: 'img'
+      },
+      {
+        id: 'image_legacy_format',
+        category: 'performance',
+        name: 'Image in Legacy Format',
+        weight: 4,
+        severity: 'low',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'legacy-format').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'legacy-format').map(image =>
+          EnhancedSEORules.getImageFinding(image, (image) => `${image.format.toUpperCase()} image could be served as WebP or AVIF`, (image) => `${image.format.toUpperCase()}${image.bytes ? `, ${EnhancedSEORules.formatBytes(image.bytes)}` : ''}`)),
+        description: 'Images use JPEG, PNG or GIF where WebP or AVIF would fit',
+        recommendation: 'Serve WebP or AVIF, e.g. with <picture><source type="image/avif"> and a JPEG fallback',
+        location: 'Images',
+        expectedValue: 'WebP or AVIF',
+        impact: 'Modern formats are typically 25-50% smaller',
+        selector: 'img'
+      },
+      {
+        id: 'image_missing_dimensions',
+        category: 'performance',
+        name: 'Image Without Dimensions',
+        weight: 5,
+        severity: 'medium',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'missing-dimensions').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'missing-dimensions').map(image =>
+          EnhancedSEORules.getImageFinding(image, () => 'Image has no width/height attributes or CSS aspect-ratio', (image) => `Displayed at ${image.displayWidth}×${image.displayHeight}px`)),
+        description: 'Images are missing width and height attributes',
+        recommendation: 'Add width and height attributes matching the image\'s aspect ratio',
+        location: 'Images',
+        expectedValue: 'width="…" height="…"',
+        impact: 'The browser cannot reserve space, so content shifts when the image loads (CLS)',
+        selector: 'img'
+      },
+      {
+        id: 'image_not_lazy',
+        category: 'performance',
+        name: 'Below-the-Fold Image Loaded Eagerly',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'not-lazy').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'not-lazy').map(image =>
+          EnhancedSEORules.getImageFinding(image, () => 'Image below the fold is loaded eagerly', () => 'No loading="lazy"')),
+        description: 'Below-the-fold images are not lazy-loaded',
+        recommendation: 'Add loading="lazy" to images outside the initial viewport',
+        location: 'Images',
+        expectedValue: 'loading="lazy"',
+        impact: 'Eager offscreen images compete with critical resources',
+        selector: 'img'
+      },
+      {
+        id: 'image_lcp_lazy',
+        category: 'performance',
+        name: 'Lazy-Loaded LCP Image',
+        weight: 8,
+        severity: 'high',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'lazy-lcp').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'lazy-lcp').map(image =>
+          EnhancedSEORules.getImageFinding(image, () => 'The LCP image is lazy-loaded', () => 'loading="lazy"')),
+        description: 'The Largest Contentful Paint image is lazy-loaded',
+        recommendation: 'Remove loading="lazy" from the LCP image and consider fetchpriority="high"',
+        location: 'Images',
+        expectedValue: 'Eager loading, fetchpriority="high"',
+        impact: 'Lazy loading delays the LCP image until layout, hurting LCP',
+        selector: 'img'
+      },
+      {
+        id: 'image_missing_srcset',
+        category: 'performance',
+        name: 'Responsive Image Without srcset/sizes',
+        weight: 3,
+        severity: 'low',
+        applies: (analysis) => Array.isArray(analysis.images?.audit),
+        check: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'missing-srcset').length === 0,
+        findings: (analysis) => EnhancedSEORules.getImageAudit(analysis, 'missing-srcset').map(image =>
+          EnhancedSEORules.getImageFinding(image, (image) => `Image displayed at ${image.displayWidth}px has no srcset/sizes for other screen sizes`, (image) => `${image.naturalWidth}px wide, no srcset/sizes`)),
+        description: 'Large images have no srcset or sizes',
+        recommendation: 'Provide srcset candidates with w descriptors and a matching sizes attribute',
+        location: 'Images',
+        expectedValue: 'srcset with sizes',
+        impact: 'Small screens download desktop-sized images',
+        selector: 'img'
+      },
+      {
+        id: 'load_time',
+        category: 'performance',
+        name: 'Page Load Time Too Long',
+        weight: 30,
+        severity: 'high',
+        thresholds: { maxSeconds: 3 },
+        check: (analysis, { thresholds }) => (analysis.performance?.loadTime || 0) < thresholds.maxSeconds,
+        description: (analysis) => `Page load time is ${Math.round(analysis.performance?.loadTime || 0)} seconds`,
+        recommendation: 'Optimize images, compress code, use CDN to improve loading speed',
+        currentValue: (analysis) => `${(analysis.performance?.loadTime || 0).toFixed(2)} seconds`,
+        expectedValue: (analysis, { thresholds }) => `Less than ${thresholds.maxSeconds} seconds (Optimize images, enable compression, use CDN)`,
+        impact: 'Affects user experience and search ranking',
+        selector: 'html'
+      },
+      {
+        id: 'https_usage',
+        category: 'performance',
+        name: 'Not Using HTTPS',
+        weight: 15,
+        severity: 'high',
+        check: (analysis) => analysis.url?.startsWith('https://'),
+        description: 'Website is not using HTTPS protocol',
+        recommendation: 'Enable SSL certificate, use HTTPS protocol',
+        currentValue: (analysis) => analysis.technical?.hasSSL ? 'HTTPS protocol' : 'HTTP protocol (insecure)',
+        expectedValue: 'HTTPS protocol (Enable SSL certificate for security)',
+        impact: 'Affects website security and search ranking',
+        selector: 'html'
+      },
+      {
+        id: 'image_optimization',
+        category: 'performance',
+        name: 'Insufficient Image Optimization',
+        weight: 20,
+        severity: 'medium',
+        thresholds: { maxMissingAltRatio: 0.1 },
+        check: (analysis, { thresholds }) => {
+          const total = analysis.images?.totalImages || 0;
+          const withoutAlt = analysis.images?.imagesWithoutAlt || 0;
+          return total === 0 || (withoutAlt / total) < thresholds.maxMissingAltRatio;
         },
-        {
-          id: 'image_optimization',
-          name: 'Insufficient Image Optimization',
-          weight: 20,
-          check: (analysis) => {
-            const total = analysis.images?.totalImages || 0;
-            const withoutAlt = analysis.images?.imagesWithoutAlt || 0;
-            return total === 0 || (withoutAlt / total) < 0.1;
-          },
-          severity: 'medium'
-        }
-      ]
-    };
+        description: 'Image optimization is insufficient',
+        recommendation: 'Compress images, use modern formats, add alt attributes',
+        currentValue: (analysis) => EnhancedSEORules.getImageOptimizationStatus(analysis),
+        expectedValue: 'All images optimized (Compress images and add Alt attributes)',
+        impact: 'Affects page loading speed',
+        selector: 'img'
+      }
+    ];
   }
 
   calculateEnhancedScore(analysis) {
@@ -210,11 +1616,13 @@ class EnhancedSEORules {
       performance: this.calculateCategoryScore(analysis, 'performance')
     };
 
-    const overall = Math.round(
-      scores.technical * this.weights.technical +
+    // Overridden weights may not add up to 1, so normalize by their sum
+    const totalWeight = this.weights.technical + this.weights.content + this.weights.performance;
+    const overall = totalWeight > 0 ? Math.round(
+      (scores.technical * this.weights.technical +
       scores.content * this.weights.content +
-      scores.performance * this.weights.performance
-    );
+      scores.performance * this.weights.performance) / totalWeight
+    ) : 0;
 
     return {
       overall: Math.max(0, Math.min(100, overall)),
@@ -225,14 +1633,20 @@ class EnhancedSEORules {
   }
 
   calculateCategoryScore(analysis, category) {
-    const rules = this.rules[category];
+    const rules = this.rules[category] || [];
     let totalWeight = 0;
     let achievedWeight = 0;
 
     rules.forEach(rule => {
-      totalWeight += rule.weight;
-      if (rule.check(analysis)) {
-        achievedWeight += rule.weight;
+      try {
+        if (!this.appliesTo(rule, analysis)) return;
+        const passed = rule.check(analysis, rule);
+        totalWeight += rule.weight;
+        if (passed) {
+          achievedWeight += rule.weight;
+        }
+      } catch (error) {
+        // A broken rule is left out of the score, like it is left out of the issue list
       }
     });
 
@@ -246,30 +1660,20 @@ class EnhancedSEORules {
       Object.keys(this.rules).forEach(category => {
         this.rules[category].forEach(rule => {
           try {
-            const passed = rule.check(analysis);
-            
+            if (!this.appliesTo(rule, analysis)) return;
+            const passed = rule.check(analysis, rule);
+
             if (!passed) {
-              const selector = this.getSelector(rule.id);
-              const issue = {
-                id: rule.id,
-                category: category,
-                title: rule.name,
-                description: this.getIssueDescription(rule.id, analysis),
-                severity: rule.severity,
-                recommendation: this.getRecommendation(rule.id),
-                weight: rule.weight,
-                location: this.getIssueLocation(rule.id),
-                currentValue: this.getCurrentValue(rule.id, analysis),
-                expectedValue: this.getExpectedValue(rule.id, analysis),
-                impact: this.getImpact(rule.id),
-                selector: selector,
-                autoFix: rule.autoFix || false
-              };
-              
-              issues.push(issue);
+              if (typeof rule.findings === 'function') {
+                rule.findings(analysis, rule).forEach(finding => {
+                  issues.push(this.buildFindingIssue(rule, analysis, finding));
+                });
+              } else {
+                issues.push(this.buildIssue(rule, analysis));
+              }
             }
           } catch (error) {
-            // Silent skip problematic rules
+            // A broken rule is skipped, calculateCategoryScore leaves its weight out too
           }
         });
       });
@@ -286,259 +1690,284 @@ class EnhancedSEORules {
     }
   }
 
-  getIssueDescription(ruleId, analysis) {
-    const descriptions = {
-      'title_exists': 'Page is missing title tag',
-      'title_length': `Page title length is ${analysis.metaTags?.title?.length || 0} characters`,
-      'meta_description_exists': 'Page is missing Meta description tag',
-      'meta_description_length': `Meta description length is ${analysis.metaTags?.description?.length || 0} characters`,
-      'h1_exists': 'Page is missing H1 main title',
-      'h1_unique': `Page has ${analysis.headings?.h1?.length || 0} H1 titles`,
-      'canonical_url': 'Page is missing Canonical tag',
-      'mobile_friendly': 'Page is not mobile-friendly enough',
-      'images_alt': `${analysis.images?.imagesWithoutAlt || 0} images are missing Alt attributes`,
-      'content_length': `Page content is only ${analysis.content?.wordCount || 0} words`,
-      'text_html_ratio': `Text-to-HTML ratio is only ${analysis.content?.textToHtmlRatio || 0}%`,
-      'internal_links': `Page has only ${analysis.content?.internalLinks || 0} internal links`,
-      'heading_structure': 'Heading hierarchy structure is unreasonable',
-      'page_size': `Page size is ${Math.round((analysis.performance?.pageSize || 0) / 1024)}KB`,
-      'load_time': `Page load time is ${Math.round(analysis.performance?.loadTime || 0)} seconds`,
-      'https_usage': 'Website is not using HTTPS protocol',
-      'image_optimization': 'Image optimization is insufficient',
-      'open_graph': 'Page is missing Open Graph tags',
-      'robots_meta': 'Page is missing Robots Meta tag',
-      'lang_attribute': 'HTML tag is missing lang attribute',
-      'external_links': `External links count is ${analysis.content?.externalLinks || 0}`,
-      'keyword_density': 'Possible keyword stuffing detected'
+  // Rules without an applies predicate always run
+  appliesTo(rule, analysis) {
+    return typeof rule.applies !== 'function' || !!rule.applies(analysis, rule);
+  }
+
+  buildIssue(rule, analysis) {
+    const resolve = (field, fallback) => this.registry.resolve(rule, field, analysis, fallback);
+
+    return {
+      id: rule.id,
+      category: rule.category,
+      title: rule.name,
+      description: resolve('description', 'SEO issue that needs attention'),
+      severity: rule.severity,
+      recommendation: resolve('recommendation', 'Meets SEO standards'),
+      weight: rule.weight,
+      location: resolve('location', 'In page'),
+      currentValue: resolve('currentValue', 'Unknown'),
+      expectedValue: resolve('expectedValue', 'Meets SEO standards (Continue following best practices)'),
+      impact: resolve('impact', 'May affect SEO performance'),
+      selector: resolve('selector', null),
+      autoFix: rule.autoFix || false
     };
-    
-    return descriptions[ruleId] || 'SEO issue that needs attention';
-  }
-
-  getRecommendation(ruleId) {
-    const recommendations = {
-      'title_exists': 'Add <title> tag: <title>Page Title - Site Name</title>',
-      'title_length': 'Adjust title length to 30-60 characters to ensure complete display in search results',
-      'meta_description_exists': 'Add Meta description: <meta name="description" content="120-160 character page description">',
-      'meta_description_length': 'Adjust Meta description length to 120-160 characters',
-      'h1_exists': 'Add H1 title: <h1>Page Main Title</h1>',
-      'h1_unique': 'Ensure page has only one H1 title, change others to H2 or H3',
-      'canonical_url': 'Add Canonical tag: <link rel="canonical" href="Page URL">',
-      'mobile_friendly': 'Add viewport tag: <meta name="viewport" content="width=device-width, initial-scale=1">',
-      'images_alt': 'Add Alt attributes to images: <img src="..." alt="Image description">',
-      'content_length': 'Increase page content to over 300 words, provide more valuable information',
-      'text_html_ratio': 'Increase text content, reduce unnecessary HTML code',
-      'internal_links': 'Add 3-5 relevant internal links to boost page authority',
-      'heading_structure': 'Establish clear heading hierarchy: H1→H2→H3',
-      'page_size': 'Compress images and code, reduce page size to under 2MB',
-      'load_time': 'Optimize images, compress code, use CDN to improve loading speed',
-      'https_usage': 'Enable SSL certificate, use HTTPS protocol',
-      'image_optimization': 'Compress images, use modern formats, add alt attributes',
-      'open_graph': 'Add Open Graph tags: <meta property="og:title" content="Page Title">',
-      'robots_meta': 'Add robots tag: <meta name="robots" content="index,follow">',
-      'lang_attribute': 'Add language attribute to HTML tag: <html lang="en">',
-      'external_links': 'Add 1-5 high-quality external links appropriately',
-      'keyword_density': 'Reduce keyword repetition, use synonyms and related words'
+  }
+
+  // Finding fields override the rule's own, the key keeps issue ids unique per finding
+  buildFindingIssue(rule, analysis, finding) {
+    const { key, ...fields } = finding;
+    return {
+      ...this.buildIssue(rule, analysis),
+      ...fields,
+      id: `${rule.id}:${key}`
+    };
+  }
+
+  static getStructuredDataTypes(analysis) {
+    const types = [];
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+      nodeTypes.filter(Boolean).forEach(type => types.push(String(type).toLowerCase()));
+      if (node['@graph']) {
+        visit(node['@graph']);
+      }
     };
-    
-    return recommendations[ruleId] || 'Meets SEO standards';
-  }
-
-  getIssueLocation(ruleId) {
-    const locations = {
-      'title_exists': '<head> section',
-      'title_length': '<title> tag',
-      'meta_description_exists': '<head> section',
-      'h1_exists': 'Page content area',
-      'images_alt': 'Page images',
-      'content_length': 'Main page content',
-      'page_size': 'Entire page'
+    visit(analysis.metaTags?.structuredData || []);
+    return types;
+  }
+
+  static hasStructuredDataType(analysis, types) {
+    return EnhancedSEORules.getStructuredDataTypes(analysis).some(type => types.includes(type));
+  }
+
+  static hasStructuredDataItems(analysis) {
+    return (analysis.structuredData?.items?.length || 0) > 0 || (analysis.structuredData?.problems?.length || 0) > 0;
+  }
+
+  static getStructuredDataProblems(analysis, level) {
+    return (analysis.structuredData?.problems || []).filter(problem => problem.level === level);
+  }
+
+  static getStructuredDataFinding(problem) {
+    const formatNames = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+    const location = `${formatNames[problem.format] || problem.format} ${problem.path}`;
+
+    return {
+      key: problem.property ? `${problem.path}.${problem.property}` : problem.path,
+      description: problem.message,
+      location: location,
+      path: problem.path,
+      currentValue: problem.property ? `"${problem.property}" missing at ${problem.path}` : problem.message,
+      expectedValue: problem.property
+        ? `${problem.type || 'Item'} with ${problem.property.split('|').map(property => `"${property}"`).join(' or ')}`
+        : 'Valid JSON-LD that parses without errors',
+      selector: problem.selector
     };
-    
-    return locations[ruleId] || 'In page';
-  }
-
-  getCurrentValue(ruleId, analysis) {
-    const title = analysis.metaTags?.title || '';
-    const description = analysis.metaTags?.description || '';
-    const h1Array = analysis.headings?.h1 || [];
-    
-    const currentValues = {
-      // Technical SEO - 显示数值和实际内容
-      'title_exists': title ? `Title exists ("${title}")` : 'No title',
-      'title_length': title ? `${title.length} characters ("${title}")` : '0 characters (No title)',
-      'meta_description_exists': description ? `Description exists ("${description}")` : 'No description',
-      'meta_description_length': description ? `${description.length} characters ("${description}")` : '0 characters (No description)',
-      'h1_exists': h1Array.length > 0 ? `H1 exists ("${h1Array[0]}")` : 'No H1 title',
-      'h1_unique': h1Array.length === 0 ? 'No H1 titles' : 
-                   h1Array.length === 1 ? `1 H1 title ("${h1Array[0]}")` :
-                   `${h1Array.length} H1 titles (${h1Array.map(h1 => `"${h1}"`).join(', ')})`,
-      'canonical_url': analysis.metaTags?.canonical ? `Canonical set (${analysis.metaTags.canonical})` : 'No Canonical tag',
-      'mobile_friendly': analysis.metaTags?.viewport ? `Viewport configured (${analysis.metaTags.viewport})` : 'No viewport setting',
-      'open_graph': this.getOpenGraphStatus(analysis),
-      'robots_meta': analysis.metaTags?.robots ? `Robots configured (${analysis.metaTags.robots})` : 'No Robots directive',
-      'lang_attribute': analysis.metaTags?.language ? `Language set (${analysis.metaTags.language})` : 'No lang attribute',
-      'images_alt': this.getImageAltStatus(analysis),
-      
-      // Content SEO
-      'content_length': `${analysis.content?.wordCount || 0} words`,
-      'text_html_ratio': `${analysis.content?.textToHtmlRatio || 0}% text ratio`,
-      'internal_links': `${analysis.links?.internalLinks || 0} internal links`,
-      'heading_structure': this.getHeadingStructureStatus(analysis),
-      'external_links': `${analysis.links?.externalLinks || 0} external links`,
-      'keyword_density': this.getKeywordDensityStatus(analysis),
-      
-      // Performance
-      'page_size': `${Math.round((analysis.performance?.pageSize || 0) / 1024)}KB`,
-      'load_time': `${(analysis.performance?.loadTime || 0).toFixed(2)} seconds`,
-      'https_usage': analysis.technical?.hasSSL ? 'HTTPS protocol' : 'HTTP protocol (insecure)',
-      'image_optimization': this.getImageOptimizationStatus(analysis)
+  }
+
+  static getOutlineIssues(analysis, type) {
+    return (analysis.headings?.outline || [])
+      .map(heading => ({ heading: heading, issue: heading.issues.find(issue => issue.type === type) }))
+      .filter(entry => entry.issue);
+  }
+
+  // One issue per duplicated text, naming the other pages of the site that use it
+  static getDuplicateFindings(analysis, field) {
+    return analysis.duplicates[field].map(entry => ({
+      key: entry.value,
+      description: `"${entry.value}" is also used by ${entry.pages.length} other page${entry.pages.length === 1 ? '' : 's'} of the site`,
+      currentValue: entry.pages
+        .map(page => (page.similarity < 100 ? `${page.url} (${page.similarity}% similar: "${page.value}")` : page.url))
+        .join(', '),
+      urls: entry.pages.map(page => page.url)
+    }));
+  }
+
+  // One issue per heading, located by its own selector
+  static getHeadingFinding({ heading, issue }) {
+    return {
+      key: heading.selector,
+      description: issue.message,
+      location: `Heading #${heading.index + 1}`,
+      currentValue: `H${heading.level}: ${heading.text || '(empty)'}`,
+      selector: heading.selector
+    };
+  }
+
+  static getImageAudit(analysis, problem) {
+    return (analysis.images?.audit || []).filter(image => image.problems.includes(problem));
+  }
+
+  // One issue per <img>, located by its own selector
+  static getImageFinding(image, describe, current) {
+    return {
+      key: image.selector,
+      description: describe(image),
+      location: image.src || image.selector,
+      currentValue: current(image),
+      selector: image.selector
+    };
+  }
+
+  static getRenderBlocking(analysis, type) {
+    return (analysis.performance?.resources?.renderBlocking || []).filter(resource => resource.type === type);
+  }
+
+  static getLargeResources(analysis, maxBytes) {
+    return (analysis.performance?.resources?.largest || []).filter(resource => resource.bytes > maxBytes);
+  }
+
+  // Poor values keep the rule's severity, values that only need improvement are reported one level lower
+  static getWebVitalFinding(value, rule) {
+    const thresholds = rule.thresholds || {};
+    const rating = value > thresholds.poor ? 'poor' : 'needs-improvement';
+    const lowerSeverity = { critical: 'high', high: 'medium', medium: 'low', low: 'low' };
+    return {
+      key: rating,
+      severity: rating === 'poor' ? rule.severity : lowerSeverity[rule.severity]
     };
-    
-    return currentValues[ruleId] || 'Unknown';
   }
 
-  getOpenGraphStatus(analysis) {
+  static formatWebVital(metric, value) {
+    return metric === 'cls' ? String(value) : value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value} ms`;
+  }
+
+  // Meta robots or an X-Robots-Tag header
+  static isNoindex(analysis) {
+    return /noindex|\bnone\b/i.test(analysis.metaTags?.robots || '') || !!analysis.http?.xRobotsTag?.noindex;
+  }
+
+  static getBrokenLinks(analysis) {
+    return (analysis.links?.checked || []).filter(link => !!link.error || link.status >= 400);
+  }
+
+  static getRedirectedLinks(analysis) {
+    return (analysis.links?.checked || []).filter(link => !link.error && link.status < 400 && link.redirected);
+  }
+
+  static hasHreflang(analysis) {
+    return (analysis.hreflang?.alternates || []).length > 0;
+  }
+
+  static getHreflangProblems(analysis, type) {
+    return (analysis.hreflang?.problems || []).filter(problem => problem.type === type);
+  }
+
+  static getHreflangSelector(analysis, hreflang, url) {
+    const alternate = (analysis.hreflang?.alternates || []).find(item =>
+      url ? item.resolved === url : item.hreflang.toLowerCase() === String(hreflang).toLowerCase());
+    return alternate?.selector || 'link[rel="alternate"][hreflang]';
+  }
+
+  static getMissingReturnLinks(analysis) {
+    return (analysis.hreflang?.returnLinks || []).filter(result => !result.error && result.status < 400 && !result.returnLink);
+  }
+
+  static getBrokenAlternates(analysis) {
+    return (analysis.hreflang?.returnLinks || []).filter(result => result.error || result.status >= 400);
+  }
+
+  static getCanonicalTags(analysis) {
+    return analysis.canonical?.tags || [];
+  }
+
+  // Resolved URL of the first canonical tag, the one search engines would use
+  static getCanonicalUrl(analysis) {
+    const canonical = EnhancedSEORules.getCanonicalTags(analysis)[0];
+    return canonical ? EnhancedSEORules.parseUrl(canonical.resolved) : null;
+  }
+
+  static parseUrl(url, base) {
+    try {
+      const parsed = new URL(url, base);
+      parsed.hash = '';
+      return parsed;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static getRobotsTxtStatus(robotsTxt, agent) {
+    if (robotsTxt.unreachable) {
+      return `robots.txt unreachable (${robotsTxt.error}), crawlers treat the whole site as disallowed`;
+    }
+    if (!agent.matchedRule) return 'No matching rule';
+
+    const directive = agent.matchedRule.type === 'allow' ? 'Allow' : 'Disallow';
+    return `${directive}: ${agent.matchedRule.path} (line ${agent.matchedRule.line}, user-agent: ${agent.group})`;
+  }
+
+  static getStructuredDataStatus(analysis) {
+    const types = EnhancedSEORules.getStructuredDataTypes(analysis);
+    return types.length > 0 ? `Structured data types: ${Array.from(new Set(types)).join(', ')}` : 'No JSON-LD structured data';
+  }
+
+  static formatBytes(bytes) {
+    if (bytes >= 1000000) return `${Math.round(bytes / 100000) / 10}MB`;
+    return `${Math.round(bytes / 1024)}KB`;
+  }
+
+  static getOpenGraphStatus(analysis) {
     const ogTags = analysis.metaTags?.ogTags || {};
     const ogCount = Object.keys(ogTags).length;
-    
+
     if (ogCount === 0) return 'No Open Graph tags';
-    
+
     const mainTags = ['og:title', 'og:description', 'og:image', 'og:url'];
     const presentTags = mainTags.filter(tag => ogTags[tag]);
-    
+
     return `${ogCount} OG tags configured (${presentTags.join(', ')})`;
   }
 
-  getImageAltStatus(analysis) {
+  static getImageAltStatus(analysis) {
     const totalImages = analysis.images?.totalImages || 0;
     const missingAlt = analysis.images?.imagesWithoutAlt || 0;
     const withAlt = totalImages - missingAlt;
-    
+
     if (totalImages === 0) return 'No images found';
     if (missingAlt === 0) return `${totalImages} images, all have Alt attributes`;
-    
+
     return `${totalImages} images, ${missingAlt} missing Alt attributes (${withAlt} have Alt)`;
   }
 
-  getImageOptimizationStatus(analysis) {
+  static getImageOptimizationStatus(analysis) {
     const totalImages = analysis.images?.totalImages || 0;
     const missingAlt = analysis.images?.imagesWithoutAlt || 0;
-    
+
     if (totalImages === 0) return 'No images to optimize';
-    
+
     return `${totalImages} images total, ${missingAlt} need Alt attributes`;
   }
 
-  getHeadingStructureStatus(analysis) {
+  static getHeadingStructureStatus(analysis) {
     const h1Count = analysis.headings?.h1?.length || 0;
     const h2Count = analysis.headings?.h2?.length || 0;
     const h3Count = analysis.headings?.h3?.length || 0;
-    
+
     if (h1Count === 0) return 'No heading structure';
     if (h1Count > 1) return `${h1Count} H1s (should be 1)`;
     return `H1(${h1Count}), H2(${h2Count}), H3(${h3Count})`;
   }
 
-  getKeywordDensityStatus(analysis) {
-    const density = analysis.content?.keywordDensity || {};
-    const maxDensity = Math.max(...Object.values(density), 0);
-    const keywordCount = Object.keys(density).length;
-    
-    if (keywordCount === 0) return 'No keywords detected';
-    return `Max density: ${maxDensity.toFixed(1)}%, ${keywordCount} keywords`;
-  }
-
-  getSelector(ruleId) {
-    const selectors = {
-      'title_exists': 'head > title',
-      'title_length': 'head > title',
-      'meta_description_exists': 'meta[name="description"]',
-      'meta_description_length': 'meta[name="description"]',
-      'h1_exists': 'h1',
-      'h1_unique': 'h1',
-      'canonical_url': 'link[rel="canonical"]',
-      'mobile_friendly': 'meta[name="viewport"]',
-      'open_graph': 'meta[property^="og:"]',
-      'robots_meta': 'meta[name="robots"]',
-      'lang_attribute': 'html[lang]',
-      'images_alt': 'img:not([alt]), img[alt=""]',
-      'content_length': 'main, article, .content, #content, body',
-      'text_html_ratio': 'body',
-      'internal_links': 'a[href^="/"]',
-      'heading_structure': 'h1, h2, h3',
-      'external_links': 'a[href^="http"]',
-      'keyword_density': 'body',
-      'page_size': 'html',
-      'load_time': 'html',
-      'https_usage': 'html',
-      'image_optimization': 'img'
-    };
-    
-    return selectors[ruleId] || null;
-  }
-
-  getExpectedValue(ruleId, analysis) {
-    const expectedValues = {
-      // Technical SEO - 提供具体的改进建议
-      'title_exists': '30-60 character title (Create a descriptive title with main keywords)',
-      'title_length': '30-60 characters (Adjust title length for better search display)',
-      'meta_description_exists': '120-160 character description (Write compelling description with keywords)',
-      'meta_description_length': '120-160 characters (Optimize description length for search snippets)',
-      'h1_exists': '1 H1 title (Add main heading that describes page content)',
-      'h1_unique': '1 unique H1 title (Merge multiple H1s into one main heading)',
-      'canonical_url': 'Canonical URL set (Add <link rel="canonical"> to prevent duplicate content)',
-      'mobile_friendly': 'Mobile viewport configured (Add <meta name="viewport" content="width=device-width, initial-scale=1">)',
-      'open_graph': 'Open Graph tags configured (Add og:title, og:description, og:image for social sharing)',
-      'robots_meta': 'Robots meta tag set (Add <meta name="robots" content="index,follow">)',
-      'lang_attribute': 'HTML lang attribute set (Add lang="zh-CN" or appropriate language to <html>)',
-      'images_alt': 'All images have Alt attributes (Add descriptive alt text to all images)',
-      
-      // Content SEO
-      'content_length': 'At least 300 words (Expand content with valuable information)',
-      'text_html_ratio': 'At least 15% text ratio (Reduce HTML markup or add more text content)',
-      'internal_links': '2-5 internal links (Add links to related pages on your site)',
-      'heading_structure': 'Proper heading hierarchy (Use H1→H2→H3 structure logically)',
-      'external_links': '1-3 relevant external links (Link to authoritative external sources)',
-      'keyword_density': 'Keyword density 2-5% (Balance keyword usage naturally)',
-      
-      // Performance
-      'page_size': 'Less than 2MB (Optimize images and remove unnecessary code)',
-      'load_time': 'Less than 3 seconds (Optimize images, enable compression, use CDN)',
-      'https_usage': 'HTTPS protocol (Enable SSL certificate for security)',
-      'image_optimization': 'All images optimized (Compress images and add Alt attributes)'
-    };
-    
-    return expectedValues[ruleId] || 'Meets SEO standards (Continue following best practices)';
-  }
-
-  getImpact(ruleId) {
-    const impacts = {
-      'title_exists': 'Seriously affects search ranking',
-      'title_length': 'Affects search result display',
-      'meta_description_exists': 'Affects click-through rate',
-      'meta_description_length': 'Too long descriptions get truncated, too short ones are not attractive enough',
-      'h1_exists': 'Affects content structure',
-      'h1_unique': 'Multiple H1s scatter page theme focus',
-      'canonical_url': 'May cause duplicate content issues',
-      'mobile_friendly': 'Affects mobile user experience and ranking',
-      'open_graph': 'Affects social media sharing effectiveness',
-      'robots_meta': 'Cannot precisely control search engine behavior',
-      'lang_attribute': 'Affects search engine understanding of page language',
-      'images_alt': 'Affects accessibility',
-      'content_length': 'Affects search ranking',
-      'text_html_ratio': 'Affects content quality assessment',
-      'internal_links': 'Affects internal site authority transfer',
-      'heading_structure': 'Affects content readability and SEO effectiveness',
-      'external_links': 'Affects page authority assessment',
-      'keyword_density': 'May be penalized by search engines',
-      'page_size': 'Affects loading speed',
-      'load_time': 'Affects user experience and search ranking',
-      'https_usage': 'Affects website security and search ranking',
-      'image_optimization': 'Affects page loading speed'
-    };
-    
-    return impacts[ruleId] || 'May affect SEO performance';
+  static getDensestKeyphrase(analysis) {
+    const keyphrases = analysis.content?.keyphrases || [];
+    return keyphrases.reduce((densest, keyphrase) => (!densest || keyphrase.density > densest.density ? keyphrase : densest), null);
+  }
+
+  static getKeywordDensityStatus(analysis) {
+    const keyphrases = analysis.content?.keyphrases || [];
+    const densest = EnhancedSEORules.getDensestKeyphrase(analysis);
+
+    if (!densest) return 'No keyphrases detected';
+    return `Max density: ${densest.density.toFixed(1)}% ("${densest.phrase}"), ${keyphrases.length} keyphrases`;
   }
 }
 
@@ -547,4 +1976,4 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = EnhancedSEORules;
 } else if (typeof window !== 'undefined') {
   window.EnhancedSEORules = EnhancedSEORules;
-}
\ No newline at end of file
+}
@@ -0,0 +1,260 @@
+// Hreflang Validator
+// Validates hreflang clusters (ISO 639-1 languages, ISO 3166-1 regions) and checks return links of alternates
+
+class HreflangValidator {
+  static getLanguageCodes() {
+    return new Set((
+      'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+      'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ' +
+      'ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv ' +
+      'mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu ' +
+      'rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ' +
+      'ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+    ).split(' '));
+  }
+
+  static getRegionCodes() {
+    return new Set((
+      'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ ' +
+      'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR ' +
+      'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT ' +
+      'JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ ' +
+      'NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW ' +
+      'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ ' +
+      'UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+    ).split(' '));
+  }
+
+  // Common mistakes worth a specific hint
+  static getRegionHints() {
+    return { UK: 'GB' };
+  }
+
+  /**
+   * Parse an hreflang value such as "en", "en-GB", "zh-Hant-TW" or "x-default"
+   * @param {string} value - hreflang attribute
+   * @returns {Object} - { value, language, script, region, valid, error }
+   */
+  static parseCode(value) {
+    const code = String(value || '').trim();
+    const parsed = { value: code, language: null, script: null, region: null, valid: false, error: null };
+
+    if (code.toLowerCase() === 'x-default') {
+      parsed.language = 'x-default';
+      parsed.valid = true;
+      return parsed;
+    }
+
+    const match = code.match(/^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z0-9]{2,3}))?$/i);
+    if (!match) {
+      parsed.error = 'Not a language or language-region code';
+      return parsed;
+    }
+
+    parsed.language = match[1].toLowerCase();
+    parsed.script = match[2] || null;
+    parsed.region = match[3] ? match[3].toUpperCase() : null;
+
+    if (!HreflangValidator.getLanguageCodes().has(parsed.language)) {
+      parsed.error = `"${match[1]}" is not an ISO 639-1 language code`;
+    } else if (parsed.region && !HreflangValidator.getRegionCodes().has(parsed.region)) {
+      const hint = HreflangValidator.getRegionHints()[parsed.region];
+      parsed.error = `"${match[3]}" is not an ISO 3166-1 region code${hint ? `, use "${hint}"` : ''}`;
+    } else if (code.includes('_')) {
+      parsed.error = 'Use "-" to separate language and region';
+    } else {
+      parsed.valid = true;
+    }
+
+    return parsed;
+  }
+
+  static normalizeUrl(url, base) {
+    try {
+      const parsed = new URL(url, base);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate a page's hreflang cluster
+   * @param {Array} alternates - [{ hreflang, href, resolved }]
+   * @param {string} pageUrl - Analyzed URL
+   * @returns {Array} - [{ type: 'invalid-code'|'relative-url'|'duplicate'|'missing-self'|'missing-x-default', hreflang, message }]
+   */
+  static validate(alternates, pageUrl) {
+    const problems = [];
+    if (alternates.length === 0) return problems;
+
+    const page = HreflangValidator.normalizeUrl(pageUrl);
+    const urlsByCode = new Map();
+
+    alternates.forEach(alternate => {
+      const code = HreflangValidator.parseCode(alternate.hreflang);
+      if (!code.valid) {
+        problems.push({ type: 'invalid-code', hreflang: alternate.hreflang, message: code.error });
+      }
+      if (!/^https?:\/\//i.test(alternate.href.trim())) {
+        problems.push({ type: 'relative-url', hreflang: alternate.hreflang, href: alternate.href, message: `${alternate.href} is not a fully-qualified URL` });
+      }
+
+      const key = code.value.toLowerCase();
+      if (!urlsByCode.has(key)) urlsByCode.set(key, new Set());
+      urlsByCode.get(key).add(alternate.resolved);
+    });
+
+    urlsByCode.forEach((urls, code) => {
+      if (urls.size > 1) {
+        problems.push({ type: 'duplicate', hreflang: code, message: `"${code}" points to ${urls.size} different URLs` });
+      }
+    });
+
+    if (!alternates.some(alternate => alternate.resolved === page)) {
+      problems.push({ type: 'missing-self', hreflang: null, message: 'The page does not list itself as an alternate' });
+    }
+    if (!urlsByCode.has('x-default')) {
+      problems.push({ type: 'missing-x-default', hreflang: null, message: 'No x-default alternate for unmatched languages' });
+    }
+
+    return problems;
+  }
+
+  // hreflang <link> elements of a fetched document (no DOMParser in the service worker)
+  static extractLinks(html, baseUrl) {
+    const head = (html.match(/<head[\s>][\s\S]*?<\/head>/i) || [html])[0];
+    const links = [];
+
+    (head.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+      const attributes = {};
+      tag.replace(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g, (match, name, doubleQuoted, singleQuoted, bare) => {
+        attributes[name.toLowerCase()] = HreflangValidator.decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+      });
+      if (!/(^|\s)alternate(\s|$)/i.test(attributes.rel || '') || !attributes.hreflang || !attributes.href) return;
+
+      links.push({ hreflang: attributes.hreflang, resolved: HreflangValidator.normalizeUrl(attributes.href, baseUrl) });
+    });
+
+    return links;
+  }
+
+  // Raw attribute values, e.g. "?a=1&amp;lang=de", read as the DOM reports them
+  static decodeEntities(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+      }
+      return entities[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  // Link: <https://example.com/de/>; rel="alternate"; hreflang="de"
+  static extractHeaderLinks(header, baseUrl) {
+    return (header || '').split(/,(?=\s*<)/).map(part => {
+      const url = part.match(/<([^>]*)>/)?.[1];
+      const hreflang = part.match(/hreflang\s*=\s*"?([^";,]+)"?/i)?.[1];
+      if (!url || !hreflang || !/rel\s*=\s*"?[^";]*\balternate\b/i.test(part)) return null;
+      return { hreflang: hreflang.trim(), resolved: HreflangValidator.normalizeUrl(url, baseUrl) };
+    }).filter(Boolean);
+  }
+
+  static getDefaultLimits() {
+    return {
+      maxAlternates: 20,
+      concurrency: 4,
+      timeout: 8000,
+      // Pages without </head> are read up to this size
+      maxHeadBytes: 512 * 1024
+    };
+  }
+
+  /**
+   * Fetch every alternate and check that it links back to the analyzed page
+   * @param {Array} alternates - analysis.hreflang.alternates
+   * @param {string} pageUrl - Analyzed URL
+   * @param {Object} [limits] - { maxAlternates, concurrency, timeout, maxHeadBytes }
+   * @returns {Promise<Array>} - [{ url, status, finalUrl, returnLink, returnHreflang, error }]
+   */
+  static async checkReturnLinks(alternates, pageUrl, limits = HreflangValidator.getDefaultLimits()) {
+    const page = HreflangValidator.normalizeUrl(pageUrl);
+    const urls = Array.from(new Set(alternates.map(alternate => alternate.resolved)))
+      .filter(url => url && url !== page && /^https?:/.test(url))
+      .slice(0, limits.maxAlternates);
+
+    // A few alternates at a time, results keep the order of the alternates
+    const results = new Array(urls.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const position = next++;
+        results[position] = await HreflangValidator.checkReturnLink(urls[position], page, limits);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limits.concurrency, urls.length) }, worker));
+
+    return results;
+  }
+
+  static async checkReturnLink(url, page, limits) {
+    const result = { url: url, status: 0, finalUrl: url, returnLink: false, returnHreflang: null, error: null };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limits.timeout);
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+      result.status = response.status;
+      result.finalUrl = response.url || url;
+
+      if (response.ok) {
+        const links = [
+          ...HreflangValidator.extractHeaderLinks(response.headers.get('link'), result.finalUrl),
+          ...HreflangValidator.extractLinks(await HreflangValidator.readHead(response, limits.maxHeadBytes), result.finalUrl)
+        ];
+        const returnLink = links.find(link => link.resolved === page);
+        result.returnLink = !!returnLink;
+        result.returnHreflang = returnLink ? returnLink.hreflang : null;
+      } else {
+        response.body?.cancel().catch(() => {});
+      }
+    } catch (error) {
+      result.error = error.name === 'AbortError' ? `Timed out after ${limits.timeout / 1000}s` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return result;
+  }
+
+  // hreflang links belong in the <head>, the rest of the page is not downloaded
+  static async readHead(response, maxBytes) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let html = '';
+    let bytes = 0;
+
+    while (bytes < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) return html + decoder.decode();
+
+      bytes += value.byteLength;
+      html += decoder.decode(value, { stream: true });
+      if (/<\/head\s*>/i.test(html)) break;
+    }
+
+    reader.cancel().catch(() => {});
+    return html;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HreflangValidator;
+} else if (typeof window !== 'undefined') {
+  window.HreflangValidator = HreflangValidator;
+}
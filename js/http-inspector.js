@@ -0,0 +1,192 @@
+// HTTP Inspector
+// Captures status, redirect hops and SEO-relevant headers of the audited document (webRequest, or a re-fetch)
+
+class HttpInspector {
+  static getTrackedHeaders() {
+    return ['x-robots-tag', 'link', 'content-type', 'cache-control', 'content-encoding'];
+  }
+
+  // Crawlers whose X-Robots-Tag directives count for indexability, in addition to unprefixed ones
+  static getIndexingAgents() {
+    return ['googlebot', 'bingbot'];
+  }
+
+  // Directives written as "name: value", not to be confused with a user-agent prefix
+  static getValueDirectives() {
+    return ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+  }
+
+  // The re-fetch runs before the report is saved
+  static getTimeout() {
+    return 10000;
+  }
+
+  constructor() {
+    this.documents = new Map();
+    this.trackNavigations();
+  }
+
+  // The latest main-frame response per tab, keyed by tab id
+  trackNavigations() {
+    if (typeof chrome === 'undefined' || !chrome.webRequest) return;
+
+    const filter = { urls: ['http://*/*', 'https://*/*'], types: ['main_frame'] };
+    const getRecord = details => {
+      let record = this.documents.get(details.tabId);
+      if (!record || record.requestId !== details.requestId) {
+        record = HttpInspector.createRecord('webRequest', details.url);
+        record.requestId = details.requestId;
+        this.documents.set(details.tabId, record);
+      }
+      return record;
+    };
+
+    chrome.webRequest.onBeforeRedirect.addListener(details => {
+      getRecord(details).redirects.push({ url: details.url, status: details.statusCode, location: details.redirectUrl });
+    }, filter);
+
+    chrome.webRequest.onCompleted.addListener(details => {
+      const record = getRecord(details);
+      record.status = details.statusCode;
+      record.finalUrl = details.url;
+      record.headers = HttpInspector.pickHeaders((details.responseHeaders || []).map(header => [header.name, header.value]));
+    }, filter, ['responseHeaders']);
+
+    if (chrome.tabs?.onRemoved) {
+      chrome.tabs.onRemoved.addListener(tabId => this.documents.delete(tabId));
+    }
+  }
+
+  /**
+   * Response details of the analyzed document
+   * Falls back to a re-fetch when the worker missed the navigation (restarted worker, SPA route change)
+   * @param {string} url - Analyzed URL
+   * @param {number} [tabId] - Tab the analysis came from
+   * @returns {Promise<Object>} - Stored on the analysis as analysis.http
+   */
+  async inspect(url, tabId) {
+    const captured = this.documents.get(tabId);
+    const record = captured && captured.status && HttpInspector.stripHash(captured.finalUrl) === HttpInspector.stripHash(url)
+      ? captured
+      : await HttpInspector.refetch(url);
+
+    return HttpInspector.evaluate(record);
+  }
+
+  static async refetch(url, timeout = HttpInspector.getTimeout()) {
+    const record = HttpInspector.createRecord('refetch', url);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+
+      record.status = response.status;
+      record.finalUrl = response.url || url;
+      record.headers = HttpInspector.pickHeaders(Array.from(response.headers.entries()));
+      // fetch() only exposes the final URL, not the individual hops
+      if (response.redirected) {
+        record.redirects.push({ url: url, status: null, location: record.finalUrl });
+      }
+    } catch (error) {
+      record.error = error.name === 'AbortError' ? 'timeout' : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return record;
+  }
+
+  static createRecord(source, url) {
+    return { source: source, requestId: null, requestedUrl: url, finalUrl: url, status: 0, redirects: [], headers: {}, error: null };
+  }
+
+  // Repeated headers are combined the same way fetch() combines them
+  static pickHeaders(entries) {
+    const tracked = HttpInspector.getTrackedHeaders();
+    const headers = {};
+    entries.forEach(([name, value]) => {
+      const key = name.toLowerCase();
+      if (!tracked.includes(key)) return;
+      headers[key] = headers[key] ? `${headers[key]}, ${value}` : value;
+    });
+    return headers;
+  }
+
+  static stripHash(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Parse X-Robots-Tag, e.g. "noindex, nofollow" or "googlebot: noindex"
+   * @param {string} value - Header value
+   * @returns {Object} - { directives: [{ userAgent, directive }], noindex, nofollow }
+   */
+  static parseXRobotsTag(value) {
+    const directives = [];
+    let userAgent = null;
+
+    (value || '').split(',').forEach(part => {
+      let directive = part.trim().toLowerCase();
+      // "googlebot: noindex" starts a user-agent section
+      const prefix = directive.match(/^([a-z][\w-]*)\s*:\s*(.*)$/);
+      if (prefix && !HttpInspector.getValueDirectives().includes(prefix[1])) {
+        userAgent = prefix[1];
+        directive = prefix[2];
+      }
+      if (directive) {
+        directives.push({ userAgent: userAgent, directive: directive });
+      }
+    });
+
+    const applies = entry => !entry.userAgent || HttpInspector.getIndexingAgents().includes(entry.userAgent);
+    return {
+      directives: directives,
+      noindex: directives.some(entry => applies(entry) && (entry.directive === 'noindex' || entry.directive === 'none')),
+      nofollow: directives.some(entry => applies(entry) && (entry.directive === 'nofollow' || entry.directive === 'none'))
+    };
+  }
+
+  // Link: <https://example.com/page>; rel="canonical"
+  static getLinkCanonical(header, baseUrl) {
+    const part = (header || '').split(/,(?=\s*<)/).find(entry => /rel\s*=\s*"?[^";]*\bcanonical\b/i.test(entry));
+    const url = part?.match(/<([^>]*)>/)?.[1];
+    if (!url) return null;
+
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  static evaluate(record) {
+    return {
+      source: record.source,
+      requestedUrl: record.requestedUrl,
+      finalUrl: record.finalUrl,
+      status: record.status,
+      redirects: record.redirects,
+      headers: record.headers,
+      xRobotsTag: HttpInspector.parseXRobotsTag(record.headers['x-robots-tag']),
+      linkCanonical: HttpInspector.getLinkCanonical(record.headers.link, record.finalUrl),
+      error: record.error
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HttpInspector;
+} else if (typeof window !== 'undefined') {
+  window.HttpInspector = HttpInspector;
+}
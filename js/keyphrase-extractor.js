@@ -0,0 +1,153 @@
+// Keyphrase Extractor
+// Ranks 1-3 word phrases by frequency, spread across sentences and presence in the title and headings
+
+class KeyphraseExtractor {
+  static getStopwords() {
+    return {
+      en: 'a about above after again against all also am an and any are as at be because been before being below between both but by ' +
+        'can could did do does doing down during each few for from further get got had has have having he her here hers herself him ' +
+        'himself his how i if in into is it its itself just like may me might more most must my myself no nor not now of off on once ' +
+        'one only or other our ours ourselves out over own same she should so some such than that the their theirs them themselves ' +
+        'then there these they this those through to too under until up upon us very was we were what when where which while who whom ' +
+        'why will with would you your yours yourself yourselves new use used using via within without yet',
+      es: 'a al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas ellos en entre era es ' +
+        'esa ese eso esta este esto estos fue ha hay la las le les lo los mas me mi muy más ni no nos o otra otro para pero por porque ' +
+        'que qué se sea ser si sin sobre son su sus también te tiene todo tu un una unas uno unos y ya',
+      fr: 'a à au aux avec ce ces cette comme dans de des du elle en est et être eu il ils je la le les leur leurs lui ma mais me même ' +
+        'mes moi mon ne nos notre nous on ou où par pas pour qu que qui sa se ses si son sont sur ta te tes toi ton tous tout très tu ' +
+        'un une vos votre vous y été était plus peut faire fait',
+      de: 'aber alle als also am an auch auf aus bei bin bis bist da damit dass dem den der des die dies diese dieser dieses doch dort ' +
+        'du durch ein eine einem einen einer eines er es für hat hatte hier ich ihr ihre im in ist ja jetzt kann kein keine man mit ' +
+        'nach nicht noch nur ob oder ohne sein sich sie sind so über um und uns unter vom von vor war wie wir wird wo zu zum zur',
+      zh: '的 了 和 是 在 就 都 而 及 与 着 或 也 又 被 把 让 对 从 到 向 由 为 以 之 其 这 那 你 我 他 她 它 您 个 些 不 很 会 能 要 有 ' +
+        '一个 一些 没有 我们 你们 他们 她们 它们 这个 那个 这些 那些 这里 那里 以及 可以 因为 所以 但是 如果 虽然 而且 还是 就是 不是 ' +
+        '什么 怎么 如何 已经 进行 通过 关于 对于 其中 之后 之前 自己 非常 更多 所有 每个 然后 那么 还有 这种 同时',
+      ja: 'の に は を た が で て と し れ さ ある いる も する から な こと として い や れる など なっ ない この ため その あっ よう ' +
+        'また もの という あり まで られ なる へ か だ これ によって により おり より による ず なり られる において ば なかっ なく ' +
+        'しかし について せ だっ できる それ う ので なお のみ でき き つ における および いう さらに でも ら たり ます です ん',
+      ko: '이 그 저 것 수 등 및 에 의 를 을 는 은 가 과 와 도 으로 로 에서 한 하는 있는 있다 하다 되다 그리고 그러나 또는 또한 때문에 ' +
+        '위해 대한 통해 같은 다른 모든 많은 더 잘 안 못 우리 저희 여기 거기'
+    };
+  }
+
+  static getDefaultOptions() {
+    return {
+      maxLength: 3,
+      // CJK segmenters often split compounds into single characters, 搜索|引擎|优|化
+      cjkMaxLength: 4,
+      minCount: 2,
+      limit: 20,
+      titleBoost: 1,
+      headingBoost: 0.5
+    };
+  }
+
+  static getStopwordSet(language) {
+    const lists = KeyphraseExtractor.getStopwords();
+    return new Set((lists[language] || lists.en).split(' '));
+  }
+
+  /**
+   * Ranked keyphrases of a text
+   * @param {Object} input
+   * @param {string} input.text - Main content text
+   * @param {string} [input.title] - Document title, matching phrases get titleBoost
+   * @param {Array<string>} [input.headings] - Heading texts, matching phrases get headingBoost
+   * @param {string} [input.language] - Primary language subtag choosing the stopword list
+   * @param {string} [input.locale] - Segmentation locale for TextSegmenter
+   * @param {Object} [options] - Overrides of getDefaultOptions()
+   * @returns {Array} - [{ phrase, length, count, density, score, inTitle, inHeadings }], best first
+   */
+  static extract({ text, title = '', headings = [], language = 'en', locale }, options = {}) {
+    const settings = { ...KeyphraseExtractor.getDefaultOptions(), ...options };
+    const stopwords = KeyphraseExtractor.getStopwordSet(language);
+
+    // Phrases never cross sentence boundaries
+    const sentences = TextSegmenter.segmentSentences(text || '', locale)
+      .map(sentence => TextSegmenter.segmentWords(sentence.toLowerCase(), locale));
+    const totalWords = sentences.reduce((sum, words) => sum + words.length, 0);
+    if (totalWords === 0) return [];
+
+    const phrases = new Map();
+    const maxLength = Math.max(settings.maxLength, settings.cjkMaxLength);
+    sentences.forEach((words, sentenceIndex) => {
+      for (let start = 0; start < words.length; start++) {
+        for (let length = 1; length <= maxLength && start + length <= words.length; length++) {
+          const tokens = words.slice(start, start + length);
+          if (length > settings.maxLength && !tokens.every(token => TextSegmenter.isCjk(token))) break;
+          if (!KeyphraseExtractor.isCandidate(tokens, stopwords)) continue;
+
+          const phrase = KeyphraseExtractor.joinTokens(tokens);
+          const entry = phrases.get(phrase) || { phrase: phrase, length: length, count: 0, sentences: new Set() };
+          entry.count++;
+          entry.sentences.add(sentenceIndex);
+          phrases.set(phrase, entry);
+        }
+      }
+    });
+
+    const titleText = KeyphraseExtractor.normalizeForMatch(title, locale);
+    const headingTexts = headings.map(heading => KeyphraseExtractor.normalizeForMatch(heading, locale));
+    const candidates = Array.from(phrases.values()).filter(entry => entry.count >= settings.minCount);
+
+    return candidates
+      // A phrase that only ever occurs inside a longer candidate adds nothing
+      .filter(entry => !candidates.some(longer =>
+        longer.length > entry.length && longer.count === entry.count && KeyphraseExtractor.containsPhrase(longer.phrase, entry.phrase)))
+      .map(entry => {
+        const inTitle = KeyphraseExtractor.containsPhrase(titleText, entry.phrase);
+        const inHeadings = headingTexts.some(heading => KeyphraseExtractor.containsPhrase(heading, entry.phrase));
+        // Sentence frequency stands in for document frequency: phrases repeated in every sentence weigh less
+        const idf = Math.log((sentences.length + 1) / (entry.sentences.size + 1)) + 1;
+        const boost = 1 + (inTitle ? settings.titleBoost : 0) + (inHeadings ? settings.headingBoost : 0);
+
+        return {
+          phrase: entry.phrase,
+          length: entry.length,
+          count: entry.count,
+          // Occurrences per 100 words, as for a focus keyphrase
+          density: Math.round((entry.count / totalWords) * 100 * 100) / 100,
+          score: Math.round((entry.count / totalWords) * 1000 * idf * Math.sqrt(entry.length) * boost * 100) / 100,
+          inTitle: inTitle,
+          inHeadings: inHeadings
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, settings.limit);
+  }
+
+  // No stopword at either end, no numbers, and long enough to carry meaning
+  static isCandidate(tokens, stopwords) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    if (stopwords.has(first) || stopwords.has(last)) return false;
+
+    return tokens.every(token => {
+      if (/^\p{N}+$/u.test(token)) return false;
+      return TextSegmenter.isCjk(token) ? token.length >= 2 || tokens.length > 1 : token.length >= 3 || tokens.length > 1;
+    });
+  }
+
+  // CJK phrases are written without spaces
+  static joinTokens(tokens) {
+    return tokens.every(token => TextSegmenter.isCjk(token)) ? tokens.join('') : tokens.join(' ');
+  }
+
+  static normalizeForMatch(text, locale) {
+    return TextSegmenter.segmentWords((text || '').toLowerCase(), locale).join(' ');
+  }
+
+  static containsPhrase(text, phrase) {
+    if (TextSegmenter.isCjk(phrase)) {
+      return text.replace(/\s+/g, '').includes(phrase.replace(/\s+/g, ''));
+    }
+    return ` ${text} `.includes(` ${phrase} `);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyphraseExtractor;
+} else if (typeof window !== 'undefined') {
+  window.KeyphraseExtractor = KeyphraseExtractor;
+}
@@ -0,0 +1,167 @@
+// Link Checker
+// Checks on-page links from the background worker with a concurrency cap, rate limits and a per-origin politeness delay
+
+class LinkChecker {
+  static getDefaultOptions() {
+    return {
+      maxLinks: 100,
+      concurrency: 4,
+      minInterval: 100,
+      originDelay: 250,
+      timeout: 8000,
+      cacheTtl: 60 * 60 * 1000
+    };
+  }
+
+  constructor(options = {}) {
+    this.options = { ...LinkChecker.getDefaultOptions(), ...options };
+    this.cache = new Map();
+    this.nextStart = 0;
+    this.nextStartByOrigin = new Map();
+    this.pendingChains = new Map();
+    this.completedChains = new Map();
+    this.trackRedirects();
+  }
+
+  // fetch() hides intermediate hops, webRequest reports every redirect of the worker's own requests
+  trackRedirects() {
+    if (typeof chrome === 'undefined' || !chrome.webRequest) return;
+
+    const filter = { urls: ['http://*/*', 'https://*/*'], tabId: -1 };
+    chrome.webRequest.onBeforeRedirect.addListener(details => {
+      const chain = this.pendingChains.get(details.requestId) || [];
+      if (chain.length === 0) {
+        chain.push({ url: details.url, status: details.statusCode });
+      } else {
+        chain[chain.length - 1].status = details.statusCode;
+      }
+      chain.push({ url: details.redirectUrl, status: null });
+      this.pendingChains.set(details.requestId, chain);
+    }, filter);
+
+    const complete = details => {
+      const chain = this.pendingChains.get(details.requestId);
+      if (!chain) return;
+      chain[chain.length - 1].status = details.statusCode || null;
+      this.completedChains.set(chain[0].url, chain);
+      this.pendingChains.delete(details.requestId);
+    };
+    chrome.webRequest.onCompleted.addListener(complete, filter);
+    chrome.webRequest.onErrorOccurred.addListener(complete, filter);
+  }
+
+  /**
+   * Check a page's link inventory
+   * @param {Array} inventory - [{ url, internal, selectors }] from EnhancedContentAnalyzer.analyzeLinks
+   * @returns {Promise<Object>} - { checked: [{ ...inventoryEntry, ...result }], skipped }
+   */
+  async checkLinks(inventory) {
+    this.pruneCache();
+
+    // Internal links first, they are the ones the site owner controls
+    const queue = [...inventory]
+      .sort((a, b) => Number(b.internal) - Number(a.internal))
+      .slice(0, this.options.maxLinks);
+    const checked = [];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const link = queue.shift();
+        checked.push({ ...link, ...(await this.checkUrl(link.url)) });
+      }
+    };
+    await Promise.all(Array.from({ length: this.options.concurrency }, worker));
+
+    return {
+      checked: checked,
+      skipped: Math.max(0, inventory.length - this.options.maxLinks)
+    };
+  }
+
+  /**
+   * HEAD a URL (GET when HEAD is rejected), cached per URL for cacheTtl
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<Object>} - { status, redirected, finalUrl, chain: [{ url, status }], timedOut, error, checkedAt }
+   */
+  async checkUrl(url) {
+    const cached = this.cache.get(url);
+    if (cached && Date.now() - cached.checkedAt < this.options.cacheTtl) {
+      return cached;
+    }
+
+    await this.waitForSlot(new URL(url).origin);
+
+    const result = { status: 0, redirected: false, finalUrl: url, chain: [], timedOut: false, error: null, checkedAt: Date.now() };
+    try {
+      let response = await this.request(url, 'HEAD');
+      // Many servers answer HEAD with 403/404/405 while GET works
+      if (response.status >= 400) {
+        response = await this.request(url, 'GET');
+      }
+
+      result.status = response.status;
+      result.redirected = response.redirected;
+      result.finalUrl = response.url || url;
+    } catch (error) {
+      result.timedOut = error.name === 'AbortError';
+      result.error = result.timedOut ? `Timed out after ${this.options.timeout / 1000}s` : error.message;
+    }
+
+    result.chain = this.completedChains.get(url) ||
+      (result.redirected ? [{ url: url, status: null }, { url: result.finalUrl, status: result.status }] : []);
+    this.completedChains.delete(url);
+
+    this.cache.set(url, result);
+    return result;
+  }
+
+  async request(url, method) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await fetch(url, { method: method, cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+      // Only the status matters, don't download GET bodies
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Reserve the next start time allowed by both the global rate and the origin's politeness delay
+  async waitForSlot(origin) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart, this.nextStartByOrigin.get(origin) || 0);
+    this.nextStart = start + this.options.minInterval;
+    this.nextStartByOrigin.set(origin, start + this.options.originDelay);
+
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+  }
+
+  pruneCache() {
+    const now = Date.now();
+    this.cache.forEach((result, url) => {
+      if (now - result.checkedAt >= this.options.cacheTtl) {
+        this.cache.delete(url);
+      }
+    });
+    // Chains of requests made outside checkUrl (sitemaps, canonical targets) are never read
+    this.completedChains.clear();
+  }
+
+  static isBroken(link) {
+    return !!link.error || link.status >= 400;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinkChecker;
+} else if (typeof window !== 'undefined') {
+  window.LinkChecker = LinkChecker;
+}
@@ -0,0 +1,156 @@
+// Main Content Extractor
+// Readability-style scoring that picks the primary content block, so navigation, footers and banners stay out of text metrics
+
+class MainContentExtractor {
+  static getPatterns() {
+    return {
+      positive: /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i,
+      negative: /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|consent|footer|gdpr|masthead|media|meta|modal|outbrain|popup|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|breadcrumb|menu|nav/i
+    };
+  }
+
+  // Subtrees that never count as content, even inside the chosen block
+  static getNoiseSelector() {
+    return 'script, style, noscript, template, svg, iframe, nav, aside, footer, form, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="contentinfo"], [role="dialog"]';
+  }
+
+  // Only code that is never rendered, for whole-page numbers
+  static getScriptSelector() {
+    return 'script, style, noscript, template';
+  }
+
+  static getSemanticSelector() {
+    return 'article, main, [role="main"], [itemprop="articleBody"]';
+  }
+
+  static getBlockTags() {
+    return new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER',
+      'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL']);
+  }
+
+  /**
+   * Pick the primary content node of a document
+   * @param {Document} doc - Live or parsed document
+   * @returns {Object} - { element, method: 'scored'|'semantic'|'body', score, linkDensity }
+   */
+  static extract(doc) {
+    const body = doc.body;
+    const candidates = MainContentExtractor.scoreCandidates(body);
+
+    let top = null;
+    candidates.forEach((score, element) => {
+      const finalScore = score * (1 - MainContentExtractor.getLinkDensity(element));
+      if (!top || finalScore > top.score) {
+        top = { element: element, score: finalScore };
+      }
+    });
+
+    if (!top) {
+      const semantic = MainContentExtractor.getSemanticElement(body);
+      return semantic
+        ? { element: semantic, method: 'semantic', score: 0, linkDensity: MainContentExtractor.getLinkDensity(semantic) }
+        : { element: body, method: 'body', score: 0, linkDensity: MainContentExtractor.getLinkDensity(body) };
+    }
+
+    // A scored block inside <article>/<main> usually misses the title and lead, take the semantic container instead
+    const container = top.element.closest(MainContentExtractor.getSemanticSelector());
+    const element = container && container !== body && MainContentExtractor.getLinkDensity(container) < 0.5
+      ? container
+      : top.element;
+
+    return {
+      element: element,
+      method: element === top.element ? 'scored' : 'semantic',
+      score: Math.round(top.score * 10) / 10,
+      linkDensity: Math.round(MainContentExtractor.getLinkDensity(element) * 100) / 100
+    };
+  }
+
+  // Paragraph-like blocks vote for their parent (full score) and grandparent (half)
+  static scoreCandidates(body) {
+    const candidates = new Map();
+    const noise = MainContentExtractor.getNoiseSelector();
+
+    body.querySelectorAll('p, pre, td, blockquote').forEach(paragraph => {
+      if (paragraph.closest(noise)) return;
+
+      const text = MainContentExtractor.normalize(paragraph.textContent);
+      if (text.length < 25) return;
+
+      const score = 1 + (text.split(/[,，、]/).length - 1) + Math.min(Math.floor(text.length / 100), 3);
+      [paragraph.parentElement, paragraph.parentElement?.parentElement].forEach((ancestor, level) => {
+        if (!ancestor || ancestor === body.parentElement) return;
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, MainContentExtractor.getInitialScore(ancestor));
+        }
+        candidates.set(ancestor, candidates.get(ancestor) + score / (level + 1));
+      });
+    });
+
+    return candidates;
+  }
+
+  static getInitialScore(element) {
+    const tagScores = { DIV: 5, ARTICLE: 5, MAIN: 5, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, FORM: -3, OL: -3, UL: -3, DL: -3, LI: -3, TH: -5 };
+    return (tagScores[element.tagName] || 0) + MainContentExtractor.getClassWeight(element);
+  }
+
+  static getClassWeight(element) {
+    const { positive, negative } = MainContentExtractor.getPatterns();
+    let weight = 0;
+
+    [element.className, element.id].forEach(name => {
+      if (typeof name !== 'string' || !name) return;
+      if (negative.test(name)) weight -= 25;
+      if (positive.test(name)) weight += 25;
+    });
+
+    return weight;
+  }
+
+  // Share of the text that sits inside links
+  static getLinkDensity(element) {
+    const length = MainContentExtractor.normalize(element.textContent).length;
+    if (length === 0) return 0;
+
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((sum, link) => sum + MainContentExtractor.normalize(link.textContent).length, 0);
+    return Math.min(1, linkLength / length);
+  }
+
+  static getSemanticElement(body) {
+    const elements = Array.from(body.querySelectorAll(MainContentExtractor.getSemanticSelector()));
+    return elements.sort((a, b) => b.textContent.length - a.textContent.length)[0] || null;
+  }
+
+  /**
+   * Visible text of an element without boilerplate subtrees
+   * Block elements are separated by spaces so words of adjacent blocks don't run together
+   * @param {Element} element - Node to read
+   * @returns {string} - Whitespace-normalized text
+   */
+  static getText(element, noiseSelector = MainContentExtractor.getNoiseSelector()) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(noiseSelector).forEach(node => node.remove());
+
+    const blockTags = MainContentExtractor.getBlockTags();
+    clone.querySelectorAll('*').forEach(node => {
+      if (blockTags.has(node.tagName)) {
+        node.appendChild(node.ownerDocument.createTextNode(' '));
+      }
+    });
+
+    return MainContentExtractor.normalize(clone.textContent);
+  }
+
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MainContentExtractor;
+} else if (typeof window !== 'undefined') {
+  window.MainContentExtractor = MainContentExtractor;
+}
@@ -0,0 +1,136 @@
+// Readability Scorer
+// Language-specific readability formulas; every result carries a 0-100 ease score and a school grade level
+
+class ReadabilityScorer {
+  static getFormulas() {
+    return {
+      en: { name: 'Flesch-Kincaid', scorer: 'scoreEnglish' },
+      es: { name: 'Fernández-Huerta', scorer: 'scoreSpanish' },
+      fr: { name: 'Kandel-Moles', scorer: 'scoreFrench' },
+      de: { name: 'Amstad', scorer: 'scoreGerman' },
+      zh: { name: 'Chinese sentence length', scorer: 'scoreCharacters' },
+      ja: { name: 'Japanese sentence length', scorer: 'scoreCharacters' }
+    };
+  }
+
+  static getVowels() {
+    return {
+      en: 'aeiouy',
+      es: 'aeiouáéíóúü',
+      fr: 'aeiouyàâæéèêëîïôœùûü',
+      de: 'aeiouyäöü'
+    };
+  }
+
+  /**
+   * Score a text with the formula of its language
+   * @param {string} text - Main content text
+   * @param {string} language - Primary language subtag from html[lang] or detectLanguage
+   * @param {Object} counts - { words: Array<string>, sentences: number } from TextSegmenter
+   * @returns {Object|null} - { language, formula, score, grade, fallback, fog? }, null for empty text
+   */
+  static score(text, language, counts) {
+    if (counts.words.length === 0 || counts.sentences === 0) return null;
+
+    const formulas = ReadabilityScorer.getFormulas();
+    const code = formulas[language] ? language : 'en';
+    const formula = formulas[code];
+    const result = ReadabilityScorer[formula.scorer](text, counts);
+
+    return {
+      language: code,
+      formula: formula.name,
+      // Other languages get the English formula, its score is only indicative
+      fallback: code !== language,
+      ...result,
+      score: Math.max(0, Math.min(100, Math.round(result.score))),
+      grade: Math.max(0, Math.round(result.grade * 10) / 10)
+    };
+  }
+
+  // Flesch Reading Ease, Flesch-Kincaid grade and Gunning Fog
+  static scoreEnglish(text, { words, sentences }) {
+    const syllables = words.map(word => ReadabilityScorer.countSyllables(word, 'en'));
+    const wordsPerSentence = words.length / sentences;
+    const syllablesPerWord = syllables.reduce((sum, count) => sum + count, 0) / words.length;
+    const complexShare = syllables.filter(count => count >= 3).length / words.length;
+
+    return {
+      score: 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+      grade: 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59,
+      fog: Math.round(0.4 * (wordsPerSentence + 100 * complexShare) * 10) / 10
+    };
+  }
+
+  // Syllables and sentences per 100 words
+  static scoreSpanish(text, { words, sentences }) {
+    const { syllablesPerWord } = ReadabilityScorer.getAverages(words, sentences, 'es');
+    const score = 206.84 - 0.60 * (syllablesPerWord * 100) - 1.02 * (sentences / words.length * 100);
+    return { score: score, grade: ReadabilityScorer.getGradeForEase(score) };
+  }
+
+  static scoreFrench(text, { words, sentences }) {
+    const { wordsPerSentence, syllablesPerWord } = ReadabilityScorer.getAverages(words, sentences, 'fr');
+    const score = 207 - 1.015 * wordsPerSentence - 73.6 * syllablesPerWord;
+    return { score: score, grade: ReadabilityScorer.getGradeForEase(score) };
+  }
+
+  static scoreGerman(text, { words, sentences }) {
+    const { wordsPerSentence, syllablesPerWord } = ReadabilityScorer.getAverages(words, sentences, 'de');
+    const score = 180 - wordsPerSentence - 58.5 * syllablesPerWord;
+    return { score: score, grade: ReadabilityScorer.getGradeForEase(score) };
+  }
+
+  // Characters per sentence and characters per word drive the grade, about 20 characters per sentence reads at grade 6
+  static scoreCharacters(text, { words, sentences }) {
+    const characters = (text.match(new RegExp(TextSegmenter.getCjkPattern().source, 'g')) || []).length;
+    const cjkWords = words.filter(word => TextSegmenter.isCjk(word));
+    if (characters === 0 || cjkWords.length === 0) {
+      return ReadabilityScorer.scoreEnglish(text, { words, sentences });
+    }
+
+    const charactersPerSentence = characters / sentences;
+    const charactersPerWord = cjkWords.reduce((sum, word) => sum + word.length, 0) / cjkWords.length;
+    const grade = 0.25 * charactersPerSentence + 4 * (charactersPerWord - 1) - 1;
+
+    return {
+      score: 110 - 6 * grade,
+      grade: grade,
+      charactersPerSentence: Math.round(charactersPerSentence * 10) / 10
+    };
+  }
+
+  static getAverages(words, sentences, language) {
+    const syllables = words.reduce((sum, word) => sum + ReadabilityScorer.countSyllables(word, language), 0);
+    return {
+      wordsPerSentence: words.length / sentences,
+      syllablesPerWord: syllables / words.length
+    };
+  }
+
+  // Flesch's ease bands mapped to US school grades, for formulas that only define an ease score
+  static getGradeForEase(score) {
+    const bands = [[90, 5], [80, 6], [70, 7], [60, 9], [50, 11], [30, 14]];
+    const band = bands.find(([minScore]) => score >= minScore);
+    return band ? band[1] : 17;
+  }
+
+  // Vowel groups, minus a silent final "e" in English and French; at least one per word
+  static countSyllables(word, language) {
+    const vowels = ReadabilityScorer.getVowels()[language] || ReadabilityScorer.getVowels().en;
+    let lower = word.toLowerCase();
+    if ((language === 'en' || language === 'fr') && lower.length > 3) {
+      lower = lower.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
+    }
+
+    const groups = lower.match(new RegExp(`[${vowels}]+`, 'g')) || [];
+    return Math.max(1, groups.length);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadabilityScorer;
+} else if (typeof window !== 'undefined') {
+  window.ReadabilityScorer = ReadabilityScorer;
+}
@@ -0,0 +1,202 @@
+// Report Diff
+// Structured differences between two stored reports, runs of one page or two pages such as staging and production
+
+class ReportDiff {
+  static getScoreCategories() {
+    return [
+      { key: 'overall', label: 'Overall' },
+      { key: 'technical', label: 'Technical SEO' },
+      { key: 'content', label: 'Content Quality' },
+      { key: 'performance', label: 'Performance' }
+    ];
+  }
+
+  // Meta values compared as text, read from the report sections
+  static getMetaFields() {
+    return [
+      { key: 'title', label: 'Title', read: report => report.technicalResults?.metaTags?.title || '' },
+      { key: 'description', label: 'Meta Description', read: report => report.technicalResults?.metaTags?.description || '' },
+      { key: 'canonical', label: 'Canonical URL', read: report => report.technicalResults?.canonicalUrl?.canonicalUrl || '' },
+      { key: 'robots', label: 'Robots Directives', read: report => (report.technicalResults?.robotsTxt?.robotsDirectives || []).join(', ') },
+      { key: 'indexable', label: 'Indexable', read: report => (report.technicalResults?.robotsTxt?.isIndexable === false ? 'No' : 'Yes') },
+      { key: 'focusKeyword', label: 'Focus Keyphrase', read: report => report.focusKeyword || '' },
+      { key: 'profile', label: 'Scoring Profile', read: report => report.profile?.name || '' }
+    ];
+  }
+
+  static getLinkFields() {
+    return [
+      { key: 'internal', label: 'Internal Links', read: report => report.technicalResults?.internalLinks?.internalLinksCount || 0 },
+      { key: 'external', label: 'External Links', read: report => report.technicalResults?.internalLinks?.externalLinksCount || 0 },
+      { key: 'broken', label: 'Broken Links', read: report => report.technicalResults?.internalLinks?.brokenLinksCount || 0 },
+      { key: 'redirected', label: 'Redirected Links', read: report => (report.technicalResults?.internalLinks?.redirectedLinks || []).length },
+      { key: 'words', label: 'Word Count', read: report => report.contentResults?.wordCount || 0 }
+    ];
+  }
+
+  /**
+   * Compare two reports, base is the earlier or reference one
+   * @param {Object} base - Stored report
+   * @param {Object} target - Stored report
+   * @returns {Object} - { base, target, sameUrl, scores, issues: { added, resolved, changed, unchanged }, meta, headings, links, structuredData }
+   */
+  static compare(base, target) {
+    return {
+      base: ReportDiff.describe(base),
+      target: ReportDiff.describe(target),
+      sameUrl: base.url === target.url,
+      scores: ReportDiff.compareScores(base.score || {}, target.score || {}),
+      issues: ReportDiff.compareIssues(base.issues || [], target.issues || []),
+      meta: ReportDiff.getMetaFields()
+        .map(field => ({ key: field.key, label: field.label, base: field.read(base), target: field.read(target) }))
+        .filter(change => change.base !== change.target),
+      headings: ReportDiff.compareHeadings(base.technicalResults?.headingStructure, target.technicalResults?.headingStructure),
+      links: ReportDiff.getLinkFields()
+        .map(field => ({ key: field.key, label: field.label, base: field.read(base), target: field.read(target) }))
+        .map(change => ({ ...change, delta: change.target - change.base }))
+        .filter(change => change.delta !== 0),
+      structuredData: ReportDiff.compareStructuredData(base.technicalResults?.structuredData, target.technicalResults?.structuredData)
+    };
+  }
+
+  static describe(report) {
+    return { id: report.id, url: report.url, timestamp: report.timestamp, score: report.score?.overall ?? null };
+  }
+
+  static compareScores(base, target) {
+    return ReportDiff.getScoreCategories().map(category => ({
+      key: category.key,
+      label: category.label,
+      base: base[category.key] ?? 0,
+      target: target[category.key] ?? 0,
+      delta: (target[category.key] ?? 0) - (base[category.key] ?? 0)
+    }));
+  }
+
+  // Issue ids are rule ids, or `${rule.id}:${key}` for findings, so they match across runs and pages
+  static compareIssues(baseIssues, targetIssues) {
+    const baseById = new Map(baseIssues.map(issue => [issue.id, issue]));
+    const targetById = new Map(targetIssues.map(issue => [issue.id, issue]));
+
+    const changed = targetIssues
+      .filter(issue => baseById.has(issue.id) && baseById.get(issue.id).severity !== issue.severity)
+      .map(issue => ({ ...issue, previousSeverity: baseById.get(issue.id).severity }));
+
+    return {
+      added: targetIssues.filter(issue => !baseById.has(issue.id)),
+      resolved: baseIssues.filter(issue => !targetById.has(issue.id)),
+      changed: changed,
+      unchanged: targetIssues.filter(issue => baseById.has(issue.id)).length - changed.length
+    };
+  }
+
+  /**
+   * Headings added or removed by level and text, plus count changes per level
+   * Reports without an outline fall back to the H1-H3 text lists
+   */
+  static compareHeadings(base = {}, target = {}) {
+    const list = structure => (structure?.outline?.length > 0
+      ? structure.outline.map(heading => ({ level: heading.level, text: heading.text }))
+      : [1, 2, 3].flatMap(level => (structure?.[`h${level}Content`] || []).map(text => ({ level: level, text: text }))));
+    const baseHeadings = list(base);
+    const targetHeadings = list(target);
+
+    const counts = [1, 2, 3, 4, 5, 6]
+      .map(level => ({
+        level: level,
+        base: base?.headingDistribution?.[`h${level}`] ?? baseHeadings.filter(heading => heading.level === level).length,
+        target: target?.headingDistribution?.[`h${level}`] ?? targetHeadings.filter(heading => heading.level === level).length
+      }))
+      .filter(count => count.base !== count.target);
+
+    return {
+      added: ReportDiff.subtract(targetHeadings, baseHeadings, heading => `${heading.level}:${heading.text}`),
+      removed: ReportDiff.subtract(baseHeadings, targetHeadings, heading => `${heading.level}:${heading.text}`),
+      counts: counts
+    };
+  }
+
+  static compareStructuredData(base = {}, target = {}) {
+    const types = data => (data?.items || []).flatMap(item => (item.types?.length > 0 ? item.types : ['Untyped item']).map(type => ({ format: item.format, type: type })));
+    const problemKey = problem => `${problem.level}:${problem.type}:${problem.property}:${problem.message}`;
+
+    return {
+      addedTypes: ReportDiff.subtract(types(target), types(base), item => `${item.format}:${item.type}`),
+      removedTypes: ReportDiff.subtract(types(base), types(target), item => `${item.format}:${item.type}`),
+      addedProblems: ReportDiff.subtract(target?.problems || [], base?.problems || [], problemKey),
+      resolvedProblems: ReportDiff.subtract(base?.problems || [], target?.problems || [], problemKey)
+    };
+  }
+
+  // Multiset difference: a heading repeated twice in from and once in other leaves one
+  static subtract(from, other, keyOf) {
+    const remaining = new Map();
+    other.forEach(entry => remaining.set(keyOf(entry), (remaining.get(keyOf(entry)) || 0) + 1));
+
+    return from.filter(entry => {
+      const key = keyOf(entry);
+      if (remaining.get(key) > 0) {
+        remaining.set(key, remaining.get(key) - 1);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  static hasChanges(diff) {
+    return diff.scores.some(score => score.delta !== 0) ||
+      diff.issues.added.length + diff.issues.resolved.length + diff.issues.changed.length > 0 ||
+      diff.meta.length + diff.links.length > 0 ||
+      diff.headings.added.length + diff.headings.removed.length + diff.headings.counts.length > 0 ||
+      Object.values(diff.structuredData).some(entries => entries.length > 0);
+  }
+
+  /**
+   * Markdown export of a diff, e.g. for a release ticket
+   * @param {Object} diff - Result of compare
+   * @returns {string}
+   */
+  static toMarkdown(diff) {
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+    const code = value => (value === '' ? '_(empty)_' : `\`${String(value).replace(/`/g, "'")}\``);
+    const lines = [
+      '# SEO Report Diff',
+      '',
+      `- Base: ${diff.base.url} (${diff.base.timestamp})`,
+      `- Target: ${diff.target.url} (${diff.target.timestamp})`,
+      '',
+      '## Scores',
+      '',
+      '| Category | Base | Target | Change |',
+      '| --- | --- | --- | --- |',
+      ...diff.scores.map(score => `| ${score.label} | ${score.base} | ${score.target} | ${signed(score.delta)} |`)
+    ];
+
+    const section = (title, entries, format) => {
+      if (entries.length === 0) return;
+      lines.push('', `## ${title}`, '', ...entries.map(format));
+    };
+
+    section('New Issues', diff.issues.added, issue => `- [${issue.severity}] ${issue.title} (\`${issue.id}\`)`);
+    section('Resolved Issues', diff.issues.resolved, issue => `- [${issue.severity}] ${issue.title} (\`${issue.id}\`)`);
+    section('Severity Changes', diff.issues.changed, issue => `- ${issue.title} (\`${issue.id}\`): ${issue.previousSeverity} → ${issue.severity}`);
+    section('Meta Changes', diff.meta, change => `- ${change.label}: ${code(change.base)} → ${code(change.target)}`);
+    section('Heading Count Changes', diff.headings.counts, count => `- H${count.level}: ${count.base} → ${count.target}`);
+    section('Added Headings', diff.headings.added, heading => `- H${heading.level}: ${heading.text}`);
+    section('Removed Headings', diff.headings.removed, heading => `- H${heading.level}: ${heading.text}`);
+    section('Links and Content', diff.links, change => `- ${change.label}: ${change.base} → ${change.target} (${signed(change.delta)})`);
+    section('Added Structured Data', diff.structuredData.addedTypes, item => `- ${item.type} (${item.format})`);
+    section('Removed Structured Data', diff.structuredData.removedTypes, item => `- ${item.type} (${item.format})`);
+    section('New Structured Data Problems', diff.structuredData.addedProblems, problem => `- [${problem.level}] ${problem.message}`);
+    section('Resolved Structured Data Problems', diff.structuredData.resolvedProblems, problem => `- [${problem.level}] ${problem.message}`);
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportDiff;
+} else if (typeof window !== 'undefined') {
+  window.ReportDiff = ReportDiff;
+}
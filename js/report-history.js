@@ -0,0 +1,85 @@
+// Report History
+// Turns the stored runs of a page into score and issue series plus the runs where rules started or stopped failing
+
+class ReportHistory {
+  static getSeverities() {
+    return ['critical', 'high', 'medium', 'low'];
+  }
+
+  // Finding issues are `${rule.id}:${key}`, several findings of one rule count as one failing rule
+  static getRuleId(issue) {
+    return String(issue.id).split(':')[0];
+  }
+
+  /**
+   * Oldest-first runs with their scores and issue counts
+   * @param {Array} reports - Stored reports or ReportStore summaries of one page, any order
+   * @returns {Array} - [{ id, timestamp, score, counts: { critical, high, medium, low, total }, rules: Map(ruleId -> title) }]
+   */
+  static buildTimeline(reports) {
+    return reports
+      .slice()
+      .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+      .map(report => {
+        const issues = report.issues || [];
+        const counts = { total: issues.length };
+        ReportHistory.getSeverities().forEach(severity => {
+          counts[severity] = issues.filter(issue => issue.severity === severity).length;
+        });
+
+        const rules = new Map();
+        issues.forEach(issue => {
+          const ruleId = ReportHistory.getRuleId(issue);
+          if (!rules.has(ruleId)) rules.set(ruleId, issue.title || ruleId);
+        });
+
+        return {
+          id: report.id,
+          timestamp: report.timestamp,
+          score: report.score || { overall: 0, technical: 0, content: 0, performance: 0 },
+          counts: counts,
+          rules: rules
+        };
+      });
+  }
+
+  /**
+   * Rules that started or stopped failing between consecutive runs; the first run is the baseline
+   * @param {Array} timeline - Result of buildTimeline
+   * @returns {Array} - [{ runIndex, reportId, timestamp, changes: [{ ruleId, title, change: 'started'|'stopped' }] }]
+   */
+  static getRuleChanges(timeline) {
+    const markers = [];
+
+    for (let index = 1; index < timeline.length; index++) {
+      const previous = timeline[index - 1].rules;
+      const current = timeline[index].rules;
+      const changes = [];
+
+      current.forEach((title, ruleId) => {
+        if (!previous.has(ruleId)) changes.push({ ruleId: ruleId, title: title, change: 'started' });
+      });
+      previous.forEach((title, ruleId) => {
+        if (!current.has(ruleId)) changes.push({ ruleId: ruleId, title: title, change: 'stopped' });
+      });
+
+      if (changes.length > 0) {
+        markers.push({
+          runIndex: index,
+          reportId: timeline[index].id,
+          timestamp: timeline[index].timestamp,
+          changes: changes
+        });
+      }
+    }
+
+    return markers;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportHistory;
+} else if (typeof window !== 'undefined') {
+  window.ReportHistory = ReportHistory;
+}
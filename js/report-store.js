@@ -0,0 +1,348 @@
+// Report Store
+// IndexedDB history of every audit run, indexed by URL, origin and time, with the compressed analysis of each run
+
+class ReportStore {
+  constructor(name = ReportStore.DB_NAME) {
+    this.name = name;
+    this.dbPromise = null;
+  }
+
+  // Retention from SEOSettings, 0 keeps every run
+  static getRetention(settings = {}) {
+    return {
+      runsPerUrl: settings.historyRunsPerUrl || 0,
+      maxAgeDays: settings.historyMaxAgeDays || 0
+    };
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, ReportStore.DB_VERSION);
+        request.onupgradeneeded = () => ReportStore.upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async db => {
+        await this.migrate(db);
+        return db;
+      });
+
+      // A failed open is retried on the next call instead of being cached
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  static upgrade(db) {
+    if (!db.objectStoreNames.contains('reports')) {
+      const reports = db.createObjectStore('reports', { keyPath: 'id' });
+      reports.createIndex('url', 'url');
+      reports.createIndex('origin', 'origin');
+      reports.createIndex('timestamp', 'timestamp');
+      reports.createIndex('url_timestamp', ['url', 'timestamp']);
+      reports.createIndex('origin_timestamp', ['origin', 'timestamp']);
+    }
+    if (!db.objectStoreNames.contains('analyses')) {
+      db.createObjectStore('analyses', { keyPath: 'reportId' });
+    }
+  }
+
+  // Move reports from the single chrome.storage.local list used before this store existed
+  async migrate(db) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+    const result = await chrome.storage.local.get(ReportStore.LEGACY_KEY);
+    const legacyReports = result[ReportStore.LEGACY_KEY];
+    if (!Array.isArray(legacyReports)) return;
+
+    const analysisKeys = legacyReports.map(report => `seo_analysis_${report.id}`);
+    const analyses = analysisKeys.length > 0 ? await chrome.storage.local.get(analysisKeys) : {};
+
+    const tx = db.transaction(['reports', 'analyses'], 'readwrite');
+    legacyReports.forEach(report => {
+      tx.objectStore('reports').put(ReportStore.normalizeReport(report));
+      const archive = analyses[`seo_analysis_${report.id}`];
+      if (archive) {
+        tx.objectStore('analyses').put({ reportId: report.id, archive: archive });
+      }
+    });
+    await ReportStore.complete(tx);
+
+    await chrome.storage.local.remove([ReportStore.LEGACY_KEY, ...analysisKeys]);
+  }
+
+  /**
+   * Origin and an ISO timestamp, both are index keys
+   * chrome.storage turned Date timestamps into {}, those are recovered from the time prefix of the report id
+   */
+  static normalizeReport(report) {
+    let date = new Date(report.timestamp);
+    if (Number.isNaN(date.getTime())) {
+      date = new Date(parseInt(String(report.id).slice(0, 8), 36) || 0);
+    }
+
+    let origin = '';
+    try {
+      origin = new URL(report.url).origin;
+    } catch (error) {
+      // Reports of unparseable URLs are only reachable by URL and time
+    }
+
+    return { ...report, origin: origin, timestamp: date.toISOString() };
+  }
+
+  // Enough of a run for history charts, without the per-section results
+  static summarize(report) {
+    return {
+      id: report.id,
+      url: report.url,
+      origin: report.origin,
+      timestamp: report.timestamp,
+      score: report.score,
+      issues: (report.issues || []).map(issue => ({
+        id: issue.id,
+        category: issue.category,
+        title: issue.title,
+        severity: issue.severity
+      }))
+    };
+  }
+
+  async saveReport(report) {
+    const db = await this.open();
+    const tx = db.transaction('reports', 'readwrite');
+    tx.objectStore('reports').put(ReportStore.normalizeReport(report));
+    await ReportStore.complete(tx);
+  }
+
+  // Same as saveReport, the id is the key so the run keeps its place in the history
+  async updateReport(report) {
+    await this.saveReport(report);
+  }
+
+  async getReport(id) {
+    const db = await this.open();
+    return (await ReportStore.request(db.transaction('reports').objectStore('reports').get(id))) || null;
+  }
+
+  async getLatestReport(url) {
+    const { reports } = await this.queryReports({ url: url, limit: 1 });
+    return reports[0] || null;
+  }
+
+  /**
+   * Runs newest first
+   * @param {Object} [query]
+   * @param {string} [query.url] - Runs of one page
+   * @param {string} [query.origin] - Runs of one site, ignored when url is set
+   * @param {string} [query.since] - ISO time, inclusive
+   * @param {string} [query.until] - ISO time, inclusive
+   * @param {number} [query.limit] - Page size
+   * @param {number} [query.offset] - Runs to skip
+   * @returns {Promise<Object>} - { reports, total } where total counts every match
+   */
+  async queryReports({ url, origin, since, until, limit = 50, offset = 0 } = {}) {
+    const db = await this.open();
+    const store = db.transaction('reports').objectStore('reports');
+    const from = since || '';
+    // Any ISO timestamp sorts below this
+    const to = until || '\uffff';
+
+    let index;
+    let range;
+    if (url) {
+      index = store.index('url_timestamp');
+      range = IDBKeyRange.bound([url, from], [url, to]);
+    } else if (origin) {
+      index = store.index('origin_timestamp');
+      range = IDBKeyRange.bound([origin, from], [origin, to]);
+    } else {
+      index = store.index('timestamp');
+      range = IDBKeyRange.bound(from, to);
+    }
+
+    const total = await ReportStore.request(index.count(range));
+    const reports = await ReportStore.collect(index.openCursor(range, 'prev'), offset, limit);
+    return { reports: reports, total: total };
+  }
+
+  // What the sitemap, canonical and duplicate checks read from other pages' runs, same paths as the full report
+  static slim(report) {
+    const technical = report.technicalResults || {};
+    return {
+      id: report.id,
+      url: report.url,
+      origin: report.origin,
+      timestamp: report.timestamp,
+      technicalResults: {
+        metaTags: { title: technical.metaTags?.title, description: technical.metaTags?.description },
+        headingStructure: { h1Content: technical.headingStructure?.h1Content || [] },
+        canonicalUrl: { canonicalUrl: technical.canonicalUrl?.canonicalUrl || '' },
+        robotsTxt: { isIndexable: technical.robotsTxt?.isIndexable },
+        http: technical.http ? { status: technical.http.status } : null
+      }
+    };
+  }
+
+  /**
+   * Newest run of every URL, newest first, reduced by slim; getReport loads a full run
+   * Reads one run per URL: the cursor skips the older runs of a URL instead of reading the whole history
+   * @param {Object} [query] - { origin } to restrict to one site
+   * @returns {Promise<Array>} - Slim reports
+   */
+  async getLatestReports({ origin } = {}) {
+    const db = await this.open();
+    const index = db.transaction('reports').objectStore('reports').index('url_timestamp');
+    // Every URL of an origin starts with the origin and a slash
+    const range = origin ? IDBKeyRange.bound([`${origin}/`, ''], [`${origin}/\uffff`, '\uffff']) : null;
+
+    const reports = await new Promise((resolve, reject) => {
+      const latest = [];
+      const request = index.openCursor(range, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(latest);
+          return;
+        }
+        latest.push(ReportStore.slim(cursor.value));
+        // [url] sorts below every [url, timestamp], so the cursor moves on to the previous URL
+        cursor.continue([cursor.value.url]);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return reports.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  async deleteReports(ids) {
+    if (ids.length === 0) return;
+
+    const db = await this.open();
+    const tx = db.transaction(['reports', 'analyses'], 'readwrite');
+    ids.forEach(id => {
+      tx.objectStore('reports').delete(id);
+      tx.objectStore('analyses').delete(id);
+    });
+    await ReportStore.complete(tx);
+  }
+
+  /**
+   * Drop runs beyond the per-URL limit and runs older than the age limit
+   * The newest run of a URL is always kept, so every audited page stays reachable
+   * @param {Object} retention - { runsPerUrl, maxAgeDays } from getRetention
+   * @param {string} [url] - Only prune this page's runs
+   * @returns {Promise<number>} - Deleted runs
+   */
+  async applyRetention(retention, url) {
+    const db = await this.open();
+    const index = db.transaction('reports').objectStore('reports').index('url_timestamp');
+    const range = url ? IDBKeyRange.bound([url, ''], [url, '\uffff']) : null;
+    const cutoff = retention.maxAgeDays > 0
+      ? new Date(Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+      : '';
+
+    // The index key holds [url, timestamp] and the primary key is the id, no report is read
+    const expired = await new Promise((resolve, reject) => {
+      const ids = [];
+      const runsSeen = new Map();
+      const request = index.openKeyCursor(range, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(ids);
+          return;
+        }
+
+        const [runUrl, timestamp] = cursor.key;
+        const position = (runsSeen.get(runUrl) || 0) + 1;
+        runsSeen.set(runUrl, position);
+        if (position > 1 && ((retention.runsPerUrl > 0 && position > retention.runsPerUrl) || timestamp < cutoff)) {
+          ids.push(cursor.primaryKey);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    await this.deleteReports(expired);
+    return expired.length;
+  }
+
+  // Compressed analyzer output, see AnalysisArchive
+  async saveAnalysis(reportId, archive) {
+    try {
+      const db = await this.open();
+      const tx = db.transaction('analyses', 'readwrite');
+      tx.objectStore('analyses').put({ reportId: reportId, archive: archive });
+      await ReportStore.complete(tx);
+    } catch (error) {
+      console.error('[Report Store] Failed to store raw analysis:', error);
+    }
+  }
+
+  async getAnalysis(reportId) {
+    try {
+      const db = await this.open();
+      const record = await ReportStore.request(db.transaction('analyses').objectStore('analyses').get(reportId));
+      return await AnalysisArchive.unpack(record?.archive);
+    } catch (error) {
+      console.error('[Report Store] Failed to read raw analysis:', error);
+      return null;
+    }
+  }
+
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Cursor values after skipping offset, up to limit
+  static collect(request, offset = 0, limit = Infinity) {
+    return new Promise((resolve, reject) => {
+      const values = [];
+      let skipped = offset === 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || values.length >= limit) {
+          resolve(values);
+          return;
+        }
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        values.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+ReportStore.DB_NAME = 'seo_checker';
+ReportStore.DB_VERSION = 1;
+ReportStore.LEGACY_KEY = 'seo_reports';
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportStore;
+} else if (typeof window !== 'undefined') {
+  window.ReportStore = ReportStore;
+}
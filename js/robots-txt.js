@@ -0,0 +1,239 @@
+// robots.txt Parser
+// Fetches and evaluates robots.txt with Google's matching semantics (RFC 9309)
+
+class RobotsTxt {
+  static getDefaultUserAgents() {
+    return ['Googlebot', 'Bingbot'];
+  }
+
+  /**
+   * Parse robots.txt into user-agent groups
+   * @param {string} text - robots.txt body
+   * @returns {Object} - { groups: [{ userAgents, rules: [{ type, path, line }] }], sitemaps: [] }
+   */
+  static parse(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let collectingAgents = false;
+
+    (text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!collectingAgents) {
+          current = { userAgents: [], rules: [] };
+          groups.push(current);
+          collectingAgents = true;
+        }
+        current.userAgents.push(value.toLowerCase());
+        return;
+      }
+
+      // Sitemap lines are independent of groups
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        return;
+      }
+
+      collectingAgents = false;
+      // An empty Disallow matches nothing, rules before the first user-agent are ignored
+      if ((field === 'allow' || field === 'disallow') && current && value) {
+        current.rules.push({ type: field, path: value, line: index + 1 });
+      }
+    });
+
+    return { groups, sitemaps };
+  }
+
+  // "Googlebot/2.1 (+http://...)" -> "googlebot"
+  static getProductToken(userAgent) {
+    return String(userAgent).trim().split(/[\/\s]/)[0].toLowerCase();
+  }
+
+  // The most specific matching user-agent wins, all groups naming it are merged, "*" is the fallback
+  static getGroup(parsed, userAgent) {
+    const token = RobotsTxt.getProductToken(userAgent);
+    let matchedAgent = null;
+
+    parsed.groups.forEach(group => {
+      group.userAgents.forEach(agent => {
+        if (agent !== '*' && token.startsWith(agent) && (!matchedAgent || agent.length > matchedAgent.length)) {
+          matchedAgent = agent;
+        }
+      });
+    });
+
+    if (!matchedAgent && parsed.groups.some(group => group.userAgents.includes('*'))) {
+      matchedAgent = '*';
+    }
+
+    return {
+      userAgent: matchedAgent,
+      rules: parsed.groups
+        .filter(group => group.userAgents.includes(matchedAgent))
+        .flatMap(group => group.rules)
+    };
+  }
+
+  /**
+   * Check whether a URL may be crawled
+   * @param {Object} parsed - Result of RobotsTxt.parse
+   * @param {string} userAgent - Crawler name or full user-agent string
+   * @param {string} url - Absolute URL or path
+   * @returns {Object} - { allowed, matchedRule, group }
+   */
+  static isAllowed(parsed, userAgent, url) {
+    const path = RobotsTxt.getPath(url);
+    const group = RobotsTxt.getGroup(parsed, userAgent);
+
+    if (path === '/robots.txt') {
+      return { allowed: true, matchedRule: null, group: group.userAgent };
+    }
+
+    // Longest matching pattern wins, on a tie the least restrictive (Allow) rule wins
+    let matchedRule = null;
+    group.rules.forEach(rule => {
+      if (!RobotsTxt.matches(rule.path, path)) return;
+      if (!matchedRule ||
+          rule.path.length > matchedRule.path.length ||
+          (rule.path.length === matchedRule.path.length && rule.type === 'allow')) {
+        matchedRule = rule;
+      }
+    });
+
+    return {
+      allowed: !matchedRule || matchedRule.type === 'allow',
+      matchedRule: matchedRule,
+      group: group.userAgent
+    };
+  }
+
+  // "*" matches any sequence, a trailing "$" anchors the end of the path
+  static matches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+      .split('*')
+      .map(part => RobotsTxt.normalizePath(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(RobotsTxt.normalizePath(path));
+  }
+
+  // Compare percent-encoded and literal characters the same way
+  static normalizePath(path) {
+    try {
+      return encodeURI(decodeURI(path));
+    } catch (e) {
+      return path;
+    }
+  }
+
+  static getPath(url) {
+    try {
+      const parsedUrl = new URL(url, 'http://localhost');
+      return parsedUrl.pathname + parsedUrl.search;
+    } catch (e) {
+      return '/';
+    }
+  }
+
+  static getLimits() {
+    return {
+      timeout: 10000,
+      // RFC 9309 parsers must accept at least 500 KiB, the rest of a larger file is ignored
+      maxBytes: 500 * 1024
+    };
+  }
+
+  /**
+   * Fetch robots.txt for an origin
+   * 4xx means no restrictions, 5xx, a network failure or a timeout means the whole site is disallowed
+   * @param {string} origin - e.g. https://example.com
+   * @param {Object} [limits] - { timeout, maxBytes }
+   * @returns {Promise<Object>} - { url, status, found, unreachable, error, parsed }
+   */
+  static async load(origin, limits = RobotsTxt.getLimits()) {
+    const url = `${origin}/robots.txt`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limits.timeout);
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+
+      if (response.ok) {
+        return { url, status: response.status, found: true, unreachable: false, error: null, parsed: RobotsTxt.parse(await RobotsTxt.readText(response, limits.maxBytes)) };
+      }
+      response.body?.cancel().catch(() => {});
+      if (response.status >= 400 && response.status < 500) {
+        return { url, status: response.status, found: false, unreachable: false, error: null, parsed: RobotsTxt.parse('') };
+      }
+      return { url, status: response.status, found: false, unreachable: true, error: `HTTP ${response.status}`, parsed: RobotsTxt.parse('') };
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `Timed out after ${limits.timeout / 1000}s` : error.message;
+      return { url, status: 0, found: false, unreachable: true, error: message, parsed: RobotsTxt.parse('') };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Body text up to maxBytes, the download stops there
+  static async readText(response, maxBytes) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+
+    while (bytes < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+
+      const chunk = value.subarray(0, maxBytes - bytes);
+      bytes += chunk.byteLength;
+      text += decoder.decode(chunk, { stream: true });
+    }
+
+    reader.cancel().catch(() => {});
+    return text + decoder.decode();
+  }
+
+  /**
+   * Summarize crawlability of a page for the given crawlers
+   * @param {Object} robots - Result of RobotsTxt.load
+   * @param {string} pageUrl - Analyzed URL
+   * @param {Array<string>} userAgents - Crawlers to check
+   * @returns {Object} - Stored on the analysis as analysis.robotsTxt
+   */
+  static evaluate(robots, pageUrl, userAgents) {
+    return {
+      url: robots.url,
+      status: robots.status,
+      found: robots.found,
+      unreachable: robots.unreachable,
+      error: robots.error,
+      sitemaps: robots.parsed.sitemaps,
+      groupCount: robots.parsed.groups.length,
+      agents: userAgents.map(userAgent => {
+        if (robots.unreachable) {
+          return { userAgent, allowed: false, matchedRule: null, group: null };
+        }
+        return { userAgent, ...RobotsTxt.isAllowed(robots.parsed, userAgent, pageUrl) };
+      })
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RobotsTxt;
+} else if (typeof window !== 'undefined') {
+  window.RobotsTxt = RobotsTxt;
+}
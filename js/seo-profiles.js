@@ -0,0 +1,101 @@
+// SEO Scoring Profiles
+// Site-type profiles that swap rule sets, weights and expectations
+
+class SEOProfiles {
+  static getProfiles() {
+    return [
+      {
+        id: 'general',
+        name: 'General',
+        categoryWeights: {},
+        rules: {}
+      },
+      {
+        id: 'blog',
+        name: 'Blog Article',
+        categoryWeights: { technical: 0.35, content: 0.45, performance: 0.20 },
+        rules: {
+          content_length: { thresholds: { minWords: 600 } },
+          article_schema: { enabled: true }
+        }
+      },
+      {
+        id: 'ecommerce',
+        name: 'E-commerce Product',
+        categoryWeights: { technical: 0.45, content: 0.25, performance: 0.30 },
+        rules: {
+          content_length: { thresholds: { minWords: 150 } },
+          external_links: { enabled: false },
+          product_schema: { enabled: true }
+        }
+      },
+      {
+        id: 'landing',
+        name: 'Landing Page',
+        categoryWeights: { technical: 0.40, content: 0.25, performance: 0.35 },
+        rules: {
+          content_length: { thresholds: { minWords: 150 } },
+          internal_links: { thresholds: { minLinks: 1 } },
+          external_links: { enabled: false }
+        }
+      },
+      {
+        id: 'docs',
+        name: 'Documentation',
+        categoryWeights: { technical: 0.35, content: 0.45, performance: 0.20 },
+        rules: {
+          content_length: { thresholds: { minWords: 200 } },
+          keyword_density: { thresholds: { maxDensity: 8 } },
+          external_links: { thresholds: { maxLinks: 20 } }
+        }
+      }
+    ];
+  }
+
+  static getProfile(profileId) {
+    const profiles = SEOProfiles.getProfiles();
+    return profiles.find(profile => profile.id === profileId) || profiles[0];
+  }
+
+  /**
+   * Pick the profile for an analysis
+   * @param {string} selected - Profile id from settings, or 'auto'
+   * @param {Object} analysis - EnhancedContentAnalyzer output
+   * @returns {Object} - { id, name, detected }
+   */
+  static resolve(selected, analysis) {
+    if (selected && selected !== SEOProfiles.AUTO) {
+      const profile = SEOProfiles.getProfile(selected);
+      return { id: profile.id, name: profile.name, detected: false };
+    }
+
+    const profile = SEOProfiles.getProfile(SEOProfiles.detect(analysis));
+    return { id: profile.id, name: profile.name, detected: true };
+  }
+
+  // Detect the site type from JSON-LD @type values and og:type
+  static detect(analysis) {
+    const types = EnhancedSEORules.getStructuredDataTypes(analysis);
+    const ogType = (analysis.metaTags?.ogTags?.['og:type'] || '').toLowerCase();
+
+    if (types.includes('product') || ogType === 'product' || ogType === 'og:product') {
+      return 'ecommerce';
+    }
+    if (types.some(type => ['techarticle', 'apireference'].includes(type))) {
+      return 'docs';
+    }
+    if (types.some(type => ['article', 'blogposting', 'newsarticle'].includes(type)) || ogType === 'article') {
+      return 'blog';
+    }
+    return 'general';
+  }
+}
+
+SEOProfiles.AUTO = 'auto';
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SEOProfiles;
+} else if (typeof window !== 'undefined') {
+  window.SEOProfiles = SEOProfiles;
+}
@@ -0,0 +1,133 @@
+// SEO Rule Registry
+// Holds self-contained rule definitions so rule packs can be added at runtime
+
+class SEORuleRegistry {
+  constructor() {
+    this.rules = new Map();
+    this.packs = new Map();
+  }
+
+  /**
+   * Register a single rule
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Unique rule id, also used as issue id
+   * @param {string} rule.category - Score category (technical, content, performance)
+   * @param {string} rule.name - Issue title shown when the rule fails
+   * @param {number} rule.weight - Weight inside its category
+   * @param {string} rule.severity - critical, high, medium or low
+   * @param {Function} rule.check - (analysis) => boolean, true when the page passes
+   * @param {Function} [rule.applies] - (analysis) => boolean, the rule is neither scored nor reported when false
+   * @param {Function} [rule.findings] - (analysis) => [{ key, ...issue fields }], reports one issue per finding instead of one per rule
+   * @param {string|Function} [rule.description] - Issue description or builder
+   * @param {string|Function} [rule.recommendation] - Fix recommendation or builder
+   * @param {string|Function} [rule.location] - Where the issue lives on the page
+   * @param {string|Function} [rule.currentValue] - Current value or builder
+   * @param {string|Function} [rule.expectedValue] - Expected value or builder
+   * @param {string|Function} [rule.impact] - SEO impact or builder
+   * @param {string|Function} [rule.selector] - CSS selector used by PageHighlighter
+   * @returns {SEORuleRegistry}
+   */
+  register(rule) {
+    this.validateRule(rule);
+    this.rules.set(rule.id, { autoFix: false, ...rule });
+    return this;
+  }
+
+  /**
+   * Register a pack of rules, e.g. an in-house rule set
+   * @param {Object} pack - { id, name, rules: [] }
+   * @returns {SEORuleRegistry}
+   */
+  registerPack(pack) {
+    if (!pack || !pack.id || !Array.isArray(pack.rules)) {
+      throw new Error('Rule pack must have an id and a rules array');
+    }
+
+    pack.rules.forEach(rule => this.register({ ...rule, pack: pack.id }));
+    this.packs.set(pack.id, {
+      id: pack.id,
+      name: pack.name || pack.id,
+      ruleIds: pack.rules.map(rule => rule.id)
+    });
+    return this;
+  }
+
+  unregister(ruleId) {
+    return this.rules.delete(ruleId);
+  }
+
+  unregisterPack(packId) {
+    const pack = this.packs.get(packId);
+    if (!pack) return false;
+
+    pack.ruleIds.forEach(ruleId => this.rules.delete(ruleId));
+    this.packs.delete(packId);
+    return true;
+  }
+
+  has(ruleId) {
+    return this.rules.has(ruleId);
+  }
+
+  get(ruleId) {
+    return this.rules.get(ruleId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.rules.values());
+  }
+
+  getRules(category) {
+    return this.getAll().filter(rule => rule.category === category);
+  }
+
+  getCategories() {
+    return Array.from(new Set(this.getAll().map(rule => rule.category)));
+  }
+
+  getPacks() {
+    return Array.from(this.packs.values());
+  }
+
+  // Resolve a rule field that may be a plain value or a builder function
+  resolve(rule, field, analysis, fallback = null) {
+    const value = rule[field];
+    if (typeof value === 'function') {
+      return value(analysis, rule);
+    }
+    return value !== undefined ? value : fallback;
+  }
+
+  validateRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('Rule must have a string id');
+    }
+    if (typeof rule.category !== 'string' || !rule.category) {
+      throw new Error(`Rule "${rule.id}" must have a category`);
+    }
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Rule "${rule.id}" must have a check function`);
+    }
+    if (rule.applies !== undefined && typeof rule.applies !== 'function') {
+      throw new Error(`Rule "${rule.id}" applies must be a function`);
+    }
+    if (rule.findings !== undefined && typeof rule.findings !== 'function') {
+      throw new Error(`Rule "${rule.id}" findings must be a function`);
+    }
+    if (typeof rule.weight !== 'number' || rule.weight < 0) {
+      throw new Error(`Rule "${rule.id}" must have a non-negative weight`);
+    }
+    if (!SEORuleRegistry.SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule "${rule.id}" has invalid severity "${rule.severity}"`);
+    }
+  }
+}
+
+SEORuleRegistry.SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SEORuleRegistry;
+} else if (typeof window !== 'undefined') {
+  window.SEORuleRegistry = SEORuleRegistry;
+}
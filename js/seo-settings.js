@@ -0,0 +1,62 @@
+// SEO Settings
+// User overrides for rule thresholds, weights, severity and enabled flags (chrome.storage.sync)
+
+class SEOSettings {
+  static getDefaults() {
+    return {
+      profile: 'auto',
+      robotsUserAgent: '',
+      hreflangReturnLinks: true,
+      checkLinks: true,
+      historyRunsPerUrl: 50,
+      historyMaxAgeDays: 365,
+      duplicateSimilarity: 90,
+      categoryWeights: {},
+      rules: {}
+    };
+  }
+
+  static async load() {
+    try {
+      const result = await chrome.storage.sync.get(SEOSettings.STORAGE_KEY);
+      return SEOSettings.normalize(result[SEOSettings.STORAGE_KEY]);
+    } catch (error) {
+      return SEOSettings.getDefaults();
+    }
+  }
+
+  static async save(settings) {
+    const normalized = SEOSettings.normalize(settings);
+    await chrome.storage.sync.set({
+      [SEOSettings.STORAGE_KEY]: normalized
+    });
+    return normalized;
+  }
+
+  static async reset() {
+    await chrome.storage.sync.remove(SEOSettings.STORAGE_KEY);
+    return SEOSettings.getDefaults();
+  }
+
+  static normalize(settings) {
+    const defaults = SEOSettings.getDefaults();
+    if (!settings || typeof settings !== 'object') {
+      return defaults;
+    }
+    return {
+      ...defaults,
+      ...settings,
+      categoryWeights: { ...defaults.categoryWeights, ...(settings.categoryWeights || {}) },
+      rules: { ...defaults.rules, ...(settings.rules || {}) }
+    };
+  }
+}
+
+SEOSettings.STORAGE_KEY = 'seo_settings';
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SEOSettings;
+} else if (typeof window !== 'undefined') {
+  window.SEOSettings = SEOSettings;
+}
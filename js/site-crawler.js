@@ -0,0 +1,192 @@
+// Site Crawler
+// Breadth-first same-origin crawl with depth and page limits, robots.txt checks and a politeness delay
+
+class SiteCrawler {
+  static getDefaultOptions() {
+    return {
+      maxDepth: 2,
+      maxPages: 50,
+      delayMs: 1000
+    };
+  }
+
+  static getLimits() {
+    return {
+      maxDepth: 10,
+      maxPages: 1000,
+      minDelayMs: 250,
+      // Backoff after 429/503 stays below the service worker's idle timeout
+      maxDelayMs: 20000
+    };
+  }
+
+  // Links to these are files, not pages
+  static getSkippedExtensions() {
+    return [
+      'pdf', 'zip', 'gz', 'rar', '7z', 'exe', 'dmg', 'apk',
+      'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg', 'ico', 'bmp', 'tif', 'tiff',
+      'mp3', 'mp4', 'm4a', 'wav', 'ogg', 'webm', 'mov', 'avi',
+      'css', 'js', 'json', 'xml', 'txt', 'csv', 'rss', 'atom',
+      'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'woff', 'woff2', 'ttf', 'eot'
+    ];
+  }
+
+  // Form values arrive as strings, clamp them to the limits
+  static normalizeOptions(options = {}) {
+    const defaults = SiteCrawler.getDefaultOptions();
+    const limits = SiteCrawler.getLimits();
+    const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+    return {
+      maxDepth: Math.min(limits.maxDepth, Math.max(0, Math.floor(number(options.maxDepth, defaults.maxDepth)))),
+      maxPages: Math.min(limits.maxPages, Math.max(1, Math.floor(number(options.maxPages, defaults.maxPages)))),
+      delayMs: Math.min(limits.maxDelayMs, Math.max(limits.minDelayMs, Math.floor(number(options.delayMs, defaults.delayMs))))
+    };
+  }
+
+  /**
+   * @param {string} origin - Only URLs of this origin are crawled
+   * @param {Object} options - { maxDepth, maxPages, delayMs }, see normalizeOptions
+   * @param {Object} callbacks
+   * @param {Function} callbacks.analyzePage - async (url, depth) => { status, finalUrl, links, skipped, ...fields kept on the page }
+   * @param {Function} callbacks.isAllowed - url => boolean, robots.txt check
+   * @param {Function} [callbacks.onUpdate] - (pages, queued) => void after every page state change
+   */
+  constructor(origin, options, callbacks) {
+    this.origin = origin;
+    this.options = SiteCrawler.normalizeOptions(options);
+    this.callbacks = callbacks;
+    this.delayMs = this.options.delayMs;
+    this.queue = [];
+    this.seen = new Set();
+    this.pages = [];
+    this.stopped = false;
+    this.wake = null;
+  }
+
+  /**
+   * Crawl from the seed URLs, all seeds are depth 0
+   * @param {Array<string>} seeds - Start URL, or the site's sitemap URLs
+   * @returns {Promise<Array>} - [{ url, depth, state: 'done'|'failed'|'skipped'|'blocked', reason, status, ... }]
+   */
+  async crawl(seeds) {
+    seeds.forEach(url => this.enqueue(url, 0));
+    let analyzed = 0;
+
+    while (this.queue.length > 0 && analyzed < this.options.maxPages && !this.stopped) {
+      const entry = this.queue.shift();
+
+      if (!this.callbacks.isAllowed(entry.url)) {
+        this.record({ url: entry.url, depth: entry.depth, state: 'blocked', reason: 'Disallowed by robots.txt' });
+        continue;
+      }
+
+      // The delay separates requests, the first page starts right away
+      if (analyzed > 0 || entry.attempts > 0) {
+        await this.sleep(this.delayMs);
+        if (this.stopped) break;
+      }
+
+      const page = await this.crawlPage(entry);
+      if (page) {
+        analyzed++;
+        this.record(page);
+      }
+    }
+
+    return this.pages;
+  }
+
+  // null when the page was put back into the queue after a rate limit response
+  async crawlPage(entry) {
+    const page = { url: entry.url, depth: entry.depth, state: 'done', reason: null, status: 0 };
+
+    try {
+      const { links = [], skipped = null, retryAfter = 0, ...result } = await this.callbacks.analyzePage(entry.url, entry.depth);
+      Object.assign(page, result);
+
+      // The server asks for slower requests, back off and retry the page once
+      if ((page.status === 429 || page.status === 503) && entry.attempts === 0) {
+        this.delayMs = Math.min(SiteCrawler.getLimits().maxDelayMs, Math.max(this.delayMs * 2, retryAfter * 1000));
+        this.queue.unshift({ ...entry, attempts: 1 });
+        return null;
+      }
+
+      if (skipped) {
+        page.state = 'skipped';
+        page.reason = skipped;
+      }
+
+      // A redirect target is the same page, don't crawl it again
+      const finalUrl = SiteCrawler.normalizeUrl(page.finalUrl || entry.url);
+      if (finalUrl) this.seen.add(finalUrl);
+
+      if (entry.depth < this.options.maxDepth) {
+        links.forEach(url => this.enqueue(url, entry.depth + 1));
+      }
+    } catch (error) {
+      page.state = 'failed';
+      page.reason = error.message;
+    }
+
+    return page;
+  }
+
+  enqueue(url, depth) {
+    const normalized = SiteCrawler.normalizeUrl(url);
+    if (!normalized || this.seen.has(normalized) || !SiteCrawler.isCrawlable(normalized, this.origin)) return;
+
+    this.seen.add(normalized);
+    this.queue.push({ url: normalized, depth: depth, attempts: 0 });
+  }
+
+  record(page) {
+    this.pages.push(page);
+    if (this.callbacks.onUpdate) {
+      this.callbacks.onUpdate(this.pages, this.queue.length);
+    }
+  }
+
+  // Ends the crawl after the page in progress
+  stop() {
+    this.stopped = true;
+    if (this.wake) this.wake();
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  // Absolute http(s) URL without the fragment, null for anything else
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (!/^https?:$/.test(parsed.protocol)) return null;
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static isCrawlable(url, origin) {
+    const parsed = new URL(url);
+    if (parsed.origin !== origin) return false;
+
+    const extension = parsed.pathname.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase();
+    return !extension || !SiteCrawler.getSkippedExtensions().includes(extension);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteCrawler;
+} else if (typeof window !== 'undefined') {
+  window.SiteCrawler = SiteCrawler;
+}
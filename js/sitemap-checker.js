@@ -0,0 +1,250 @@
+// Sitemap Checker
+// Discovers and parses XML sitemaps (indexes, urlsets, gzip) to check URL inclusion
+
+class SitemapChecker {
+  static getDefaultLimits() {
+    return {
+      maxSitemaps: 25,
+      maxEntries: 200000,
+      timeout: 15000,
+      // Total for all sitemaps, the check runs before the report is saved
+      budget: 20000
+    };
+  }
+
+  // Sitemaps declared in robots.txt plus the conventional /sitemap.xml
+  static discover(origin, robotsSitemaps = []) {
+    return Array.from(new Set([...robotsSitemaps, `${origin}/sitemap.xml`]));
+  }
+
+  /**
+   * Load every sitemap reachable from the start URLs, following sitemap indexes
+   * @param {Array<string>} startUrls - Sitemap URLs from SitemapChecker.discover
+   * @param {Object} [limits] - { maxSitemaps, maxEntries, timeout, budget }
+   * @returns {Promise<Object>} - { sitemaps: [{ url, type, status, urlCount, error }], entries: Map<url, entry>, partial }
+   *   partial when the time budget ran out before every sitemap was loaded
+   */
+  static async crawl(startUrls, limits = SitemapChecker.getDefaultLimits()) {
+    const queue = [...startUrls];
+    const visited = new Set();
+    const sitemaps = [];
+    const entries = new Map();
+    const deadline = Date.now() + limits.budget;
+    let partial = false;
+
+    while (queue.length > 0 && visited.size < limits.maxSitemaps) {
+      const url = queue.shift();
+      if (visited.has(url)) continue;
+      if (Date.now() >= deadline) {
+        partial = true;
+        break;
+      }
+      visited.add(url);
+
+      const sitemap = { url: url, type: 'unknown', status: 0, urlCount: 0, error: null };
+      sitemaps.push(sitemap);
+
+      try {
+        const { status, xml } = await SitemapChecker.load(url, Math.min(limits.timeout, deadline - Date.now()));
+        sitemap.status = status;
+        if (xml === null) {
+          sitemap.error = `HTTP ${status}`;
+          continue;
+        }
+
+        const parsed = SitemapChecker.parse(xml);
+        sitemap.type = parsed.type;
+        sitemap.urlCount = parsed.entries.length;
+
+        if (parsed.type === 'index') {
+          parsed.entries.forEach(entry => queue.push(entry.loc));
+        } else {
+          parsed.entries.forEach(entry => {
+            if (entries.size < limits.maxEntries) {
+              entries.set(SitemapChecker.normalizeUrl(entry.loc), { ...entry, sitemap: url });
+            }
+          });
+        }
+      } catch (error) {
+        sitemap.error = error.message;
+        // A download cut short by the budget leaves the sitemap unchecked, not broken
+        partial = partial || Date.now() >= deadline;
+      }
+    }
+
+    return { sitemaps, entries, partial };
+  }
+
+  // The timeout covers the download too, a stalled sitemap must not hold up the analysis
+  static async load(url, timeout = SitemapChecker.getDefaultLimits().timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+      if (!response.ok) {
+        response.body?.cancel().catch(() => {});
+        return { status: response.status, xml: null };
+      }
+
+      // .xml.gz files are served as binary, Content-Encoding: gzip is already decoded by fetch
+      const buffer = await response.arrayBuffer();
+      const bytes = new Uint8Array(buffer);
+      if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return { status: response.status, xml: await new Response(stream).text() };
+      }
+      return { status: response.status, xml: new TextDecoder().decode(buffer) };
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? `Timed out after ${timeout / 1000}s` : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Compact, JSON-safe form of a crawl result, entries become arrays that refer to their sitemap by position
+   * @param {Object} index - Result of SitemapChecker.crawl
+   * @returns {Object} - { sitemaps, entries: [[url, lastmod, priority, changefreq, sitemapIndex]] }
+   */
+  static pack(index) {
+    const positions = new Map(index.sitemaps.map((sitemap, position) => [sitemap.url, position]));
+    return {
+      sitemaps: index.sitemaps,
+      partial: !!index.partial,
+      entries: Array.from(index.entries, ([url, entry]) => [url, entry.lastmod, entry.priority, entry.changefreq, positions.get(entry.sitemap)])
+    };
+  }
+
+  static unpack(packed) {
+    return {
+      sitemaps: packed.sitemaps,
+      partial: !!packed.partial,
+      entries: new Map(packed.entries.map(([url, lastmod, priority, changefreq, position]) => [
+        url,
+        { loc: url, lastmod: lastmod, priority: priority, changefreq: changefreq, sitemap: packed.sitemaps[position]?.url || null }
+      ]))
+    };
+  }
+
+  /**
+   * Parse a sitemap document (no DOMParser in the service worker)
+   * @param {string} xml - Sitemap XML
+   * @returns {Object} - { type: 'index'|'urlset'|'unknown', entries: [{ loc, lastmod, priority, changefreq }] }
+   */
+  static parse(xml) {
+    const type = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml) ? 'index'
+      : /<(?:\w+:)?urlset[\s>]/i.test(xml) ? 'urlset'
+        : 'unknown';
+    if (type === 'unknown') {
+      return { type, entries: [] };
+    }
+
+    const tag = type === 'index' ? 'sitemap' : 'url';
+    const blockPattern = new RegExp(`<(?:\\w+:)?${tag}[\\s>]([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'gi');
+    const entries = [];
+    let match;
+
+    while ((match = blockPattern.exec(xml)) !== null) {
+      const loc = SitemapChecker.getTagValue(match[1], 'loc');
+      if (!loc) continue;
+
+      const priority = SitemapChecker.getTagValue(match[1], 'priority');
+      entries.push({
+        loc: loc,
+        lastmod: SitemapChecker.getTagValue(match[1], 'lastmod'),
+        priority: priority ? parseFloat(priority) : null,
+        changefreq: SitemapChecker.getTagValue(match[1], 'changefreq')
+      });
+    }
+
+    return { type, entries };
+  }
+
+  static getTagValue(block, name) {
+    const match = block.match(new RegExp(`<(?:\\w+:)?${name}>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'i'));
+    if (!match) return null;
+
+    const value = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim();
+    return SitemapChecker.decodeEntities(value) || null;
+  }
+
+  static decodeEntities(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(value);
+      }
+      return entities[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  static normalizeUrl(url, base) {
+    try {
+      const parsed = new URL(url, base);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Check the analyzed page and previously audited pages against the sitemap entries
+   * @param {Object} index - Result of SitemapChecker.crawl
+   * @param {Object} analysis - Current analysis (metaTags.robots, metaTags.canonical, http.xRobotsTag), noindex as in EnhancedSEORules.isNoindex
+   * @param {Array} reports - Stored reports of audited pages
+   * @returns {Object} - Stored on the analysis as analysis.sitemap
+   */
+  static evaluate(index, analysis, reports = []) {
+    const pageUrl = SitemapChecker.normalizeUrl(analysis.url);
+    const entry = index.entries.get(pageUrl) || null;
+
+    // The current analysis supersedes any stored report of the same URL
+    const audited = [
+      {
+        url: pageUrl,
+        noindex: EnhancedSEORules.isNoindex(analysis),
+        canonical: analysis.metaTags?.canonical || ''
+      },
+      ...reports
+        .filter(report => SitemapChecker.normalizeUrl(report.url) !== pageUrl)
+        .map(report => ({
+          url: SitemapChecker.normalizeUrl(report.url),
+          noindex: report.technicalResults?.robotsTxt?.isIndexable === false,
+          canonical: report.technicalResults?.canonicalUrl?.canonicalUrl || ''
+        }))
+    ];
+
+    const invalidEntries = [];
+    audited.forEach(page => {
+      if (!index.entries.has(page.url)) return;
+
+      if (page.noindex) {
+        invalidEntries.push({ url: page.url, reason: 'noindex', canonical: null });
+      }
+      const canonical = page.canonical ? SitemapChecker.normalizeUrl(page.canonical, page.url) : '';
+      if (canonical && canonical !== page.url) {
+        invalidEntries.push({ url: page.url, reason: 'non-canonical', canonical: canonical });
+      }
+    });
+
+    return {
+      sitemaps: index.sitemaps,
+      found: index.sitemaps.some(sitemap => !sitemap.error),
+      partial: !!index.partial,
+      urlCount: index.entries.size,
+      listed: !!entry,
+      entry: entry,
+      invalidEntries: invalidEntries
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SitemapChecker;
+} else if (typeof window !== 'undefined') {
+  window.SitemapChecker = SitemapChecker;
+}
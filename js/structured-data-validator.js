@@ -0,0 +1,204 @@
+// Structured Data Validator
+// Checks JSON-LD, Microdata and RDFa items against rich-result property requirements
+
+class StructuredDataValidator {
+  static getSchemas() {
+    return {
+      Article: {
+        required: ['headline'],
+        recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher']
+      },
+      Product: {
+        required: ['name'],
+        requiredOneOf: [['offers', 'review', 'aggregateRating']],
+        recommended: ['image', 'description', 'brand', 'sku']
+      },
+      Offer: {
+        requiredOneOf: [['price', 'priceSpecification']],
+        recommended: ['priceCurrency', 'availability', 'url']
+      },
+      AggregateRating: {
+        required: ['ratingValue'],
+        requiredOneOf: [['ratingCount', 'reviewCount']]
+      },
+      FAQPage: {
+        required: ['mainEntity']
+      },
+      Question: {
+        required: ['name', 'acceptedAnswer']
+      },
+      Answer: {
+        required: ['text']
+      },
+      BreadcrumbList: {
+        required: ['itemListElement']
+      },
+      ListItem: {
+        required: ['position'],
+        recommended: ['name', 'item']
+      },
+      Organization: {
+        required: ['name'],
+        recommended: ['url', 'logo', 'sameAs', 'contactPoint']
+      },
+      LocalBusiness: {
+        required: ['name', 'address'],
+        recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'priceRange', 'image']
+      },
+      Recipe: {
+        required: ['name', 'image'],
+        recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'recipeYield', 'totalTime', 'nutrition', 'aggregateRating']
+      },
+      Event: {
+        required: ['name', 'startDate', 'location'],
+        recommended: ['endDate', 'description', 'image', 'offers', 'organizer', 'eventStatus', 'performer']
+      },
+      HowTo: {
+        required: ['name', 'step'],
+        recommended: ['image', 'totalTime', 'supply', 'tool', 'estimatedCost']
+      },
+      HowToStep: {
+        requiredOneOf: [['text', 'itemListElement']],
+        recommended: ['name', 'image', 'url']
+      }
+    };
+  }
+
+  // Subtypes validated with their parent type's requirements
+  static getTypeAliases() {
+    return {
+      NewsArticle: 'Article',
+      BlogPosting: 'Article',
+      TechArticle: 'Article',
+      ScholarlyArticle: 'Article',
+      Corporation: 'Organization',
+      NGO: 'Organization',
+      Restaurant: 'LocalBusiness',
+      Store: 'LocalBusiness',
+      Hotel: 'LocalBusiness',
+      MedicalBusiness: 'LocalBusiness',
+      ProfessionalService: 'LocalBusiness',
+      AggregateOffer: 'Offer',
+      BusinessEvent: 'Event',
+      MusicEvent: 'Event',
+      SportsEvent: 'Event',
+      EducationEvent: 'Event'
+    };
+  }
+
+  static getSchema(type) {
+    const schemas = StructuredDataValidator.getSchemas();
+    return schemas[type] || schemas[StructuredDataValidator.getTypeAliases()[type]] || null;
+  }
+
+  // "https://schema.org/Product", "schema:name" -> "Product", "name"
+  static normalizeName(name) {
+    return String(name).trim().replace(/^https?:\/\/schema\.org\//, '').replace(/^schema:/, '');
+  }
+
+  static getTypes(node) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.filter(Boolean).map(type => StructuredDataValidator.normalizeName(type));
+  }
+
+  // Types of the top-level entities in an item, including @graph members
+  static getItemTypes(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap(node => StructuredDataValidator.getItemTypes(node));
+    }
+    if (!data || typeof data !== 'object') return [];
+    return [
+      ...StructuredDataValidator.getTypes(data),
+      ...(data['@graph'] ? StructuredDataValidator.getItemTypes(data['@graph']) : [])
+    ];
+  }
+
+  static hasProperty(node, property) {
+    const value = node[property];
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Validate extracted items
+   * @param {Array} items - [{ format, path, selector, data }] from EnhancedContentAnalyzer.analyzeStructuredData
+   * @returns {Array} - [{ level: 'error'|'warning', format, type, path, property, message, selector }]
+   */
+  static validate(items) {
+    const problems = [];
+    items.forEach(item => {
+      if (item.format === 'json-ld' && !(item.data && typeof item.data === 'object')) {
+        problems.push(StructuredDataValidator.createProblem(item, 'error', null, item.path, null,
+          'Invalid JSON-LD: the block must be an object or an array'));
+        return;
+      }
+      if (item.format === 'json-ld' && !Array.isArray(item.data) && !item.data['@context']) {
+        problems.push(StructuredDataValidator.createProblem(item, 'error', null, item.path, '@context',
+          'JSON-LD block is missing "@context": "https://schema.org"'));
+      }
+      StructuredDataValidator.validateNode(item.data, item.path, item, problems);
+    });
+    return problems;
+  }
+
+  static validateNode(node, path, item, problems) {
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => StructuredDataValidator.validateNode(child, `${path}[${index}]`, item, problems));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    StructuredDataValidator.getTypes(node).forEach(type => {
+      const schema = StructuredDataValidator.getSchema(type);
+      if (!schema) return;
+
+      (schema.required || []).forEach(property => {
+        if (!StructuredDataValidator.hasProperty(node, property)) {
+          problems.push(StructuredDataValidator.createProblem(item, 'error', type, path, property,
+            `${type} is missing required property "${property}"`));
+        }
+      });
+
+      (schema.requiredOneOf || []).forEach(properties => {
+        if (!properties.some(property => StructuredDataValidator.hasProperty(node, property))) {
+          problems.push(StructuredDataValidator.createProblem(item, 'error', type, path, properties.join('|'),
+            `${type} needs at least one of: ${properties.join(', ')}`));
+        }
+      });
+
+      (schema.recommended || []).forEach(property => {
+        if (!StructuredDataValidator.hasProperty(node, property)) {
+          problems.push(StructuredDataValidator.createProblem(item, 'warning', type, path, property,
+            `${type} is missing recommended property "${property}"`));
+        }
+      });
+    });
+
+    Object.keys(node).forEach(key => {
+      if (key === '@context' || key === '@type') return;
+      const childPath = /^[A-Za-z_]\w*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+      StructuredDataValidator.validateNode(node[key], childPath, item, problems);
+    });
+  }
+
+  static createProblem(item, level, type, path, property, message) {
+    return {
+      level: level,
+      format: item.format,
+      type: type,
+      path: path,
+      property: property,
+      message: message,
+      selector: item.selector
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredDataValidator;
+} else if (typeof window !== 'undefined') {
+  window.StructuredDataValidator = StructuredDataValidator;
+}
@@ -0,0 +1,102 @@
+// SVG Chart
+// Dependency-free line charts rendered as SVG markup for the extension pages
+
+class SvgChart {
+  static getDefaultOptions() {
+    return {
+      width: 760,
+      height: 240,
+      padding: { top: 16, right: 16, bottom: 36, left: 40 },
+      yMax: null,
+      yTicks: 5
+    };
+  }
+
+  /**
+   * Line chart with evenly spaced runs on the x axis
+   * @param {Object} data
+   * @param {Array<string>} data.labels - X axis label per point
+   * @param {Array} data.series - [{ name, color, values: Array<number> }], one value per label
+   * @param {Array} [data.markers] - [{ index, color, title }] vertical lines at a point
+   * @param {Array<Object>} [data.pointAttributes] - Extra data-* attributes per point index, e.g. { 'report-id': id }
+   * @param {Object} [options] - Overrides of getDefaultOptions()
+   * @returns {string} - <svg> markup
+   */
+  static lineChart({ labels, series, markers = [], pointAttributes = [] }, options = {}) {
+    const settings = { ...SvgChart.getDefaultOptions(), ...options };
+    const { width, height, padding } = settings;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const maxValue = Math.max(1, ...series.flatMap(line => line.values));
+    const yMax = settings.yMax || SvgChart.getNiceMax(maxValue);
+    // A single run sits in the middle instead of on the axis
+    const x = index => padding.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+    const y = value => padding.top + plotHeight - (value / yMax) * plotHeight;
+
+    const parts = [];
+
+    // Counts below the tick count would get fractional ticks
+    const yTicks = Math.min(settings.yTicks, yMax);
+    for (let tick = 0; tick <= yTicks; tick++) {
+      const value = (yMax / yTicks) * tick;
+      const lineY = y(value).toFixed(1);
+      parts.push(`<line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${lineY}" y2="${lineY}"/>`);
+      parts.push(`<text class="chart-axis" x="${padding.left - 6}" y="${lineY}" text-anchor="end" dominant-baseline="middle">${Math.round(value)}</text>`);
+    }
+
+    // Every label would overlap on long histories
+    const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+    labels.forEach((label, index) => {
+      if (index % labelStep !== 0 && index !== labels.length - 1) return;
+      parts.push(`<text class="chart-axis" x="${x(index).toFixed(1)}" y="${height - padding.bottom + 18}" text-anchor="middle">${SvgChart.escape(label)}</text>`);
+    });
+
+    markers.forEach(marker => {
+      const markerX = x(marker.index).toFixed(1);
+      parts.push(`<line class="chart-marker" x1="${markerX}" x2="${markerX}" y1="${padding.top}" y2="${padding.top + plotHeight}" stroke="${marker.color || '#6c757d'}"><title>${SvgChart.escape(marker.title)}</title></line>`);
+    });
+
+    series.forEach(line => {
+      const points = line.values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+      parts.push(`<polyline class="chart-line" fill="none" stroke="${line.color}" points="${points}"/>`);
+      line.values.forEach((value, index) => {
+        const attributes = Object.entries(pointAttributes[index] || {})
+          .map(([name, attribute]) => ` data-${name}="${SvgChart.escape(attribute)}"`)
+          .join('');
+        parts.push(`<circle class="chart-point" cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4" fill="${line.color}"${attributes}><title>${SvgChart.escape(`${line.name}: ${value} (${labels[index]})`)}</title></circle>`);
+      });
+    });
+
+    return `<svg class="svg-chart" viewBox="0 0 ${width} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">${parts.join('')}</svg>`;
+  }
+
+  // Legend entries matching the series colors
+  static legend(series) {
+    return `<div class="chart-legend">${series.map(line => `
+      <span class="chart-legend-item"><span class="chart-swatch" style="background: ${line.color}"></span>${SvgChart.escape(line.name)}</span>
+    `).join('')}</div>`;
+  }
+
+  // Round the axis maximum up to 1, 2 or 5 times a power of ten
+  static getNiceMax(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+    return step * magnitude;
+  }
+
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgChart;
+} else if (typeof window !== 'undefined') {
+  window.SvgChart = SvgChart;
+}
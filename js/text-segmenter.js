@@ -0,0 +1,140 @@
+// Text Segmenter
+// Word and sentence segmentation that works for Chinese, Japanese and Korean, where words are not separated by spaces
+
+class TextSegmenter {
+  static getCjkPattern() {
+    return /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+  }
+
+  // Common Chinese words for the fallback when Intl.Segmenter is unavailable, longest match wins
+  static getDictionary() {
+    return new Set((
+      '我们 你们 他们 她们 它们 自己 什么 怎么 为什么 如何 这个 那个 这些 那些 这里 那里 这样 那样 因为 所以 但是 而且 如果 虽然 ' +
+      '可以 可能 应该 需要 已经 没有 不是 就是 还是 或者 以及 通过 进行 提供 使用 包括 关于 对于 根据 作为 成为 其中 之后 之前 ' +
+      '时候 时间 今天 现在 目前 一个 一些 一种 所有 每个 很多 更多 非常 比较 最新 最好 重要 主要 相关 问题 方法 方式 内容 信息 ' +
+      '服务 产品 公司 企业 用户 客户 市场 行业 技术 系统 数据 网站 网页 页面 首页 搜索 引擎 搜索引擎 优化 排名 关键词 关键字 ' +
+      '流量 链接 标题 描述 文章 新闻 博客 视频 图片 下载 注册 登录 联系 我们的 关于我们 价格 免费 在线 中国 北京 上海 广州 深圳 ' +
+      '世界 国际 经济 发展 管理 设计 开发 工作 学习 教育 学生 老师 学校 大学 健康 医疗 生活 旅游 手机 电脑 软件 应用 平台 ' +
+      '营销 推广 品牌 质量 安全 解决 方案 解决方案 支持 帮助 了解 查看 选择 开始 完成 更新 发布 分享 评论 点击 阅读 全文 ' +
+      '人工 智能 人工智能 互联网 移动 社交 媒体 电子 商务 电子商务 购物 订单 支付 物流 地址 电话 邮箱 时代 未来 研究 分析 ' +
+      '报告 结果 效果 影响 能够 不同 同时 其他 以上 以下 之间 一样 一直 一定 只是 只有 不能 不会 不要 就会 还有 这种 那么 然后'
+    ).split(' '));
+  }
+
+  static getSegmenter(locale, granularity) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+
+    TextSegmenter.segmenters = TextSegmenter.segmenters || new Map();
+    const key = `${locale || ''}:${granularity}`;
+    if (!TextSegmenter.segmenters.has(key)) {
+      try {
+        TextSegmenter.segmenters.set(key, new Intl.Segmenter(locale || undefined, { granularity: granularity }));
+      } catch (e) {
+        TextSegmenter.segmenters.set(key, new Intl.Segmenter(undefined, { granularity: granularity }));
+      }
+    }
+    return TextSegmenter.segmenters.get(key);
+  }
+
+  static isCjk(text) {
+    return TextSegmenter.getCjkPattern().test(text || '');
+  }
+
+  /**
+   * CJK language of a text by character share, the declared page language wins when it is a CJK one
+   * @param {string} text - Text to inspect
+   * @param {string} [declared] - <html lang> value
+   * @returns {string|null} - 'zh', 'ja', 'ko' or null for non-CJK text
+   */
+  static detectCjkLanguage(text, declared = '') {
+    const declaredLanguage = (declared || '').toLowerCase().split(/[-_]/)[0];
+    if (['zh', 'ja', 'ko'].includes(declaredLanguage)) return declaredLanguage;
+
+    const sample = (text || '').slice(0, 5000);
+    const kana = (sample.match(/[\u3040-\u30ff]/g) || []).length;
+    const hangul = (sample.match(/[\uac00-\ud7af]/g) || []).length;
+    const han = (sample.match(/[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g) || []).length;
+    const letters = (sample.match(/[a-z]/gi) || []).length;
+
+    if (kana + hangul + han === 0 || kana + hangul + han < letters / 4) return null;
+    if (hangul > kana && hangul > han) return 'ko';
+    return kana > 0 && kana >= han / 10 ? 'ja' : 'zh';
+  }
+
+  /**
+   * Split text into words; punctuation, symbols and whitespace are dropped
+   * @param {string} text - Text to segment
+   * @param {string} [locale] - BCP 47 language, e.g. 'zh' or 'ja', improves Intl.Segmenter's dictionary choice
+   * @returns {Array<string>} - Words in document order
+   */
+  static segmentWords(text, locale) {
+    const segmenter = TextSegmenter.getSegmenter(locale, 'word');
+    if (segmenter) {
+      return Array.from(segmenter.segment(text || ''))
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
+    }
+    return TextSegmenter.segmentWordsFallback(text);
+  }
+
+  // Latin-like words by letters/digits, CJK runs by script and then by dictionary
+  static segmentWordsFallback(text) {
+    const dictionary = TextSegmenter.getDictionary();
+    const words = [];
+    const cjk = TextSegmenter.getCjkPattern().source;
+    const runs = (text || '').match(new RegExp(
+      `[\\u3040-\\u309f]+|[\\u30a0-\\u30ff]+|[\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff]+|[\\uac00-\\ud7af]+|(?:(?!${cjk})[\\p{L}\\p{N}])+(?:['’](?:(?!${cjk})\\p{L})+)*`,
+      'gu'
+    )) || [];
+
+    runs.forEach(run => {
+      if (/^[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+$/.test(run)) {
+        words.push(...TextSegmenter.matchDictionary(run, dictionary));
+      } else {
+        words.push(run);
+      }
+    });
+
+    return words;
+  }
+
+  // Forward maximum matching, unknown characters become single-character words
+  static matchDictionary(run, dictionary = TextSegmenter.getDictionary(), maxLength = 4) {
+    const words = [];
+    let index = 0;
+
+    while (index < run.length) {
+      let length = Math.min(maxLength, run.length - index);
+      while (length > 1 && !dictionary.has(run.substr(index, length))) {
+        length--;
+      }
+      words.push(run.substr(index, length));
+      index += length;
+    }
+
+    return words;
+  }
+
+  static segmentSentences(text, locale) {
+    const segmenter = TextSegmenter.getSegmenter(locale, 'sentence');
+    const sentences = segmenter
+      ? Array.from(segmenter.segment(text || '')).map(segment => segment.segment)
+      : (text || '').split(/[.!?。！？]+/);
+    return sentences.filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+  }
+
+  static countWords(text, locale) {
+    return TextSegmenter.segmentWords(text, locale).length;
+  }
+
+  static countSentences(text, locale) {
+    return TextSegmenter.segmentSentences(text, locale).length;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextSegmenter;
+} else if (typeof window !== 'undefined') {
+  window.TextSegmenter = TextSegmenter;
+}
@@ -0,0 +1,155 @@
+// Web Vitals Collector
+// Buffered PerformanceObservers for LCP, CLS, INP, FID, FCP and TTFB, started as soon as the content script loads
+
+class WebVitals {
+  // Google's good / poor boundaries (ms, CLS is unitless)
+  static getThresholds() {
+    return {
+      lcp: { good: 2500, poor: 4000 },
+      cls: { good: 0.1, poor: 0.25 },
+      inp: { good: 200, poor: 500 },
+      fid: { good: 100, poor: 300 },
+      fcp: { good: 1800, poor: 3000 },
+      ttfb: { good: 800, poor: 1800 }
+    };
+  }
+
+  static rate(metric, value) {
+    if (value === null || value === undefined) return null;
+    const thresholds = WebVitals.getThresholds()[metric];
+    return value <= thresholds.good ? 'good' : value <= thresholds.poor ? 'needs-improvement' : 'poor';
+  }
+
+  constructor() {
+    this.lcpEntry = null;
+    this.fcp = null;
+    this.fidEntry = null;
+    this.layoutShifts = [];
+    this.interactions = new Map();
+  }
+
+  observe() {
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    this.observeType('largest-contentful-paint', entries => {
+      this.lcpEntry = entries[entries.length - 1];
+    });
+    this.observeType('layout-shift', entries => {
+      // Shifts right after user input are expected
+      this.layoutShifts.push(...entries.filter(entry => !entry.hadRecentInput));
+    });
+    this.observeType('paint', entries => {
+      const entry = entries.find(paint => paint.name === 'first-contentful-paint');
+      if (entry) this.fcp = entry.startTime;
+    });
+    this.observeType('first-input', entries => {
+      this.fidEntry = this.fidEntry || entries[0];
+    });
+    // Only entries with an interactionId belong to a user interaction
+    this.observeType('event', entries => {
+      entries.filter(entry => entry.interactionId).forEach(entry => {
+        const current = this.interactions.get(entry.interactionId);
+        if (!current || entry.duration > current.duration) {
+          this.interactions.set(entry.interactionId, entry);
+        }
+      });
+    }, { durationThreshold: 16 });
+  }
+
+  observeType(type, callback, options = {}) {
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type: type, buffered: true, ...options });
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  getLcpElement() {
+    return this.lcpEntry?.element || null;
+  }
+
+  // Largest session window: shifts less than 1s apart, at most 5s long
+  getCls() {
+    let worst = { value: 0, entries: [] };
+    let current = { value: 0, entries: [] };
+
+    this.layoutShifts.forEach(entry => {
+      const first = current.entries[0];
+      const last = current.entries[current.entries.length - 1];
+      if (last && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+        current = { value: 0, entries: [] };
+      }
+      current.value += entry.value;
+      current.entries.push(entry);
+      if (current.value > worst.value) {
+        worst = current;
+      }
+    });
+
+    return worst;
+  }
+
+  // 98th percentile of interaction latency, i.e. the worst one for pages with fewer than 50 interactions
+  getInp() {
+    const interactions = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+    if (interactions.length === 0) return null;
+    return interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))];
+  }
+
+  getTtfb() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    if (!navigation) return null;
+    return Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+  }
+
+  /**
+   * Current metric values
+   * @param {Function} getSelector - Maps an element to a selector PageHighlighter can find
+   * @returns {Object} - { lcp, cls, inp, fid, fcp, ttfb }, each { value, rating, ... } with value null when not measured
+   */
+  getMetrics(getSelector) {
+    const selectorFor = node => (node && node.nodeType === Node.ELEMENT_NODE && node.isConnected ? getSelector(node) : null);
+    const metric = (name, value, details = {}) => ({ value: value, rating: WebVitals.rate(name, value), ...details });
+
+    const lcp = this.lcpEntry;
+    const cls = this.getCls();
+    const inp = this.getInp();
+
+    // Attribute each shift to its source nodes, the biggest movers first
+    const sources = new Map();
+    cls.entries.forEach(entry => {
+      (entry.sources || []).forEach(source => {
+        const selector = selectorFor(source.node);
+        if (selector) sources.set(selector, (sources.get(selector) || 0) + entry.value);
+      });
+    });
+
+    return {
+      lcp: metric('lcp', lcp ? Math.round(lcp.startTime) : null, {
+        selector: lcp ? selectorFor(lcp.element) : null,
+        url: lcp?.url || ''
+      }),
+      cls: metric('cls', Math.round(cls.value * 1000) / 1000, {
+        sources: Array.from(sources.entries())
+          .map(([selector, value]) => ({ selector: selector, value: Math.round(value * 1000) / 1000 }))
+          .sort((a, b) => b.value - a.value)
+          .slice(0, 5)
+      }),
+      inp: metric('inp', inp ? Math.round(inp.duration) : null, {
+        selector: inp ? selectorFor(inp.target) : null,
+        interactions: this.interactions.size
+      }),
+      fid: metric('fid', this.fidEntry ? Math.round(this.fidEntry.processingStart - this.fidEntry.startTime) : null),
+      fcp: metric('fcp', this.fcp !== null ? Math.round(this.fcp) : null),
+      ttfb: metric('ttfb', this.getTtfb() !== null ? Math.round(this.getTtfb()) : null)
+    };
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebVitals;
+} else if (typeof window !== 'undefined') {
+  window.WebVitals = WebVitals;
+}
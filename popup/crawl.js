@@ -0,0 +1,252 @@
+// Site Crawl Dashboard Script
+
+class CrawlDashboard {
+  // First click on a column sorts worst first
+  static getDefaultDirections() {
+    return { url: 'asc', depth: 'asc', status: 'desc', score: 'asc', issueCount: 'desc' };
+  }
+
+  constructor() {
+    this.elements = this.getUIElements();
+    this.crawl = null;
+    this.sort = { key: 'score', direction: 'asc' };
+    this.initializeEventListeners();
+    this.loadCrawl();
+  }
+
+  getUIElements() {
+    return {
+      status: document.getElementById('status'),
+      form: document.getElementById('crawl-form'),
+      url: document.getElementById('crawl-url'),
+      source: document.getElementById('crawl-source'),
+      maxDepth: document.getElementById('crawl-max-depth'),
+      maxPages: document.getElementById('crawl-max-pages'),
+      delay: document.getElementById('crawl-delay'),
+      startBtn: document.getElementById('start-btn'),
+      stopBtn: document.getElementById('stop-btn'),
+      progress: document.getElementById('crawl-progress'),
+      summary: document.getElementById('crawl-summary'),
+      results: document.getElementById('crawl-results'),
+      sortHeaders: document.querySelectorAll('.crawl-table th[data-sort]'),
+      pages: document.getElementById('crawl-pages')
+    };
+  }
+
+  initializeEventListeners() {
+    if (this.elements.form) {
+      this.elements.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.startCrawl();
+      });
+    }
+
+    if (this.elements.stopBtn) {
+      this.elements.stopBtn.addEventListener('click', () => {
+        this.stopCrawl();
+      });
+    }
+
+    this.elements.sortHeaders.forEach(header => {
+      header.addEventListener('click', () => {
+        this.setSort(header.dataset.sort);
+      });
+    });
+
+    if (this.elements.pages) {
+      this.elements.pages.addEventListener('click', (event) => {
+        const row = event.target.closest('[data-report-url]');
+        if (row) {
+          chrome.runtime.sendMessage({ action: 'openDetailedReport', url: row.dataset.reportUrl });
+        }
+      });
+    }
+
+    // Progress of the running crawl, broadcast by the background worker
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'CRAWL_PROGRESS') {
+        this.crawl = message.crawl;
+        this.render();
+      }
+    });
+  }
+
+  async loadCrawl() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCrawlStatus' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      this.crawl = response.crawl;
+    } catch (error) {
+      this.showStatus('Failed to load crawl: ' + error.message, 'error');
+    }
+
+    this.renderForm();
+    this.render();
+  }
+
+  // The page the dashboard was opened from, with the options of the last crawl
+  renderForm() {
+    const options = this.crawl?.options || SiteCrawler.getDefaultOptions();
+    const pageUrl = new URLSearchParams(window.location.search).get('url');
+
+    this.elements.url.value = pageUrl || this.crawl?.startUrl || '';
+    this.elements.source.value = this.crawl?.source || 'page';
+    this.elements.maxDepth.value = options.maxDepth;
+    this.elements.maxPages.value = options.maxPages;
+    this.elements.delay.value = options.delayMs;
+  }
+
+  async startCrawl() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'startCrawl',
+        url: this.elements.url.value.trim(),
+        source: this.elements.source.value,
+        maxDepth: this.elements.maxDepth.value,
+        maxPages: this.elements.maxPages.value,
+        delayMs: this.elements.delay.value
+      });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      this.crawl = response.crawl;
+      this.render();
+    } catch (error) {
+      this.showStatus('Failed to start crawl: ' + error.message, 'error');
+    }
+  }
+
+  async stopCrawl() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'stopCrawl' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      this.showStatus('Failed to stop crawl: ' + error.message, 'error');
+    }
+  }
+
+  setSort(key) {
+    this.sort = this.sort.key === key
+      ? { key: key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { key: key, direction: CrawlDashboard.getDefaultDirections()[key] };
+    this.render();
+  }
+
+  render() {
+    const running = this.crawl?.status === 'running' || this.crawl?.status === 'stopping';
+    this.elements.startBtn.disabled = running;
+    this.elements.stopBtn.disabled = this.crawl?.status !== 'running';
+
+    if (!this.crawl) {
+      this.elements.progress.classList.add('hidden');
+      this.elements.results.classList.add('hidden');
+      return;
+    }
+
+    this.elements.progress.classList.remove('hidden');
+    this.elements.summary.innerHTML = this.renderSummary(this.crawl);
+
+    this.elements.results.classList.toggle('hidden', this.crawl.pages.length === 0);
+    this.elements.sortHeaders.forEach(header => {
+      header.classList.toggle('sorted', header.dataset.sort === this.sort.key);
+      header.dataset.direction = header.dataset.sort === this.sort.key ? this.sort.direction : '';
+    });
+    this.elements.pages.innerHTML = this.sortPages(this.crawl.pages).map(page => this.renderPage(page)).join('');
+  }
+
+  renderSummary(crawl) {
+    const count = state => crawl.pages.filter(page => page.state === state).length;
+    const scores = crawl.pages.filter(page => typeof page.score === 'number').map(page => page.score);
+    const average = scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+    const statusLabels = {
+      running: 'Crawling',
+      stopping: 'Stopping after the current page',
+      stopped: 'Stopped',
+      completed: 'Completed',
+      failed: 'Failed',
+      interrupted: 'Interrupted, the browser stopped the background worker'
+    };
+
+    return `
+      <div class="crawl-status ${crawl.status}">${statusLabels[crawl.status] || crawl.status}${crawl.error ? `: ${this.escapeHtml(crawl.error)}` : ''}</div>
+      <div class="crawl-meta">
+        ${this.escapeHtml(crawl.startUrl)} · ${crawl.source === 'sitemap' ? 'from the sitemap' : `link depth ${crawl.options.maxDepth}`} · up to ${crawl.options.maxPages} pages · ${crawl.options.delayMs} ms delay · robots.txt rules for ${this.escapeHtml(crawl.userAgent)}
+      </div>
+      <div class="crawl-counts">
+        <div class="crawl-count"><span class="crawl-count-value">${count('done')}</span><span class="crawl-count-label">Analyzed</span></div>
+        <div class="crawl-count"><span class="crawl-count-value">${average ?? '--'}</span><span class="crawl-count-label">Average Score</span></div>
+        <div class="crawl-count"><span class="crawl-count-value">${crawl.queued}</span><span class="crawl-count-label">Queued</span></div>
+        <div class="crawl-count"><span class="crawl-count-value">${count('blocked')}</span><span class="crawl-count-label">Blocked</span></div>
+        <div class="crawl-count"><span class="crawl-count-value">${count('skipped')}</span><span class="crawl-count-label">Skipped</span></div>
+        <div class="crawl-count"><span class="crawl-count-value">${count('failed')}</span><span class="crawl-count-label">Failed</span></div>
+      </div>
+    `;
+  }
+
+  // Pages without a value (blocked, skipped, failed) stay at the bottom in both directions
+  sortPages(pages) {
+    const { key, direction } = this.sort;
+    const sign = direction === 'asc' ? 1 : -1;
+    const value = page => (key === 'status' ? page.status || null : page[key] ?? null);
+
+    return pages.slice().sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      if (left === null || right === null) return (left === null) - (right === null);
+      return sign * (typeof left === 'string' ? left.localeCompare(right) : left - right);
+    });
+  }
+
+  renderPage(page) {
+    const stateLabels = { blocked: 'Blocked', skipped: 'Skipped', failed: 'Failed' };
+    const scoreClass = page.score >= 80 ? 'good' : page.score >= 50 ? 'neutral' : 'bad';
+    const reportUrl = page.reportId ? page.finalUrl || page.url : null;
+
+    return `
+      <tr class="crawl-page ${page.state}"${reportUrl ? ` data-report-url="${this.escapeHtml(reportUrl)}"` : ''}>
+        <td class="crawl-page-url">
+          ${page.title ? `<div class="crawl-page-title">${this.escapeHtml(page.title)}</div>` : ''}
+          <div class="crawl-page-link">${this.escapeHtml(page.url)}</div>
+          ${page.finalUrl && page.finalUrl !== page.url ? `<div class="crawl-page-detail">Redirects to ${this.escapeHtml(page.finalUrl)}</div>` : ''}
+          ${page.reason ? `<div class="crawl-page-detail">${stateLabels[page.state] || ''}: ${this.escapeHtml(page.reason)}</div>` : ''}
+        </td>
+        <td>${page.depth}</td>
+        <td>${page.status ? `<span class="crawl-value ${page.status < 400 ? 'good' : 'bad'}">${page.status}</span>` : '--'}</td>
+        <td>${typeof page.score === 'number' ? `<span class="crawl-value ${scoreClass}">${page.score}</span>` : '--'}</td>
+        <td>${typeof page.issueCount === 'number' ? `${page.issueCount}${page.criticalCount > 0 ? ` <span class="crawl-critical">(${page.criticalCount} critical)</span>` : ''}` : '--'}</td>
+      </tr>
+    `;
+  }
+
+  showStatus(message, type) {
+    if (!this.elements.status) return;
+
+    this.elements.status.textContent = message;
+    this.elements.status.className = `status ${type}`;
+
+    setTimeout(() => {
+      this.elements.status.classList.add('hidden');
+    }, 5000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize the dashboard when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.crawlDashboard = new CrawlDashboard();
+});
@@ -17,6 +17,17 @@ class DetailedReportUI {
       
       // Header elements
       reportUrl: document.getElementById('report-url'),
+      reportProfile: document.getElementById('report-profile'),
+      reportRun: document.getElementById('report-run'),
+      reportTabs: document.querySelectorAll('.report-tab'),
+      historyContent: document.getElementById('history-content'),
+      compareBase: document.getElementById('compare-base'),
+      compareTarget: document.getElementById('compare-target'),
+      compareBtn: document.getElementById('compare-btn'),
+      compareExportMd: document.getElementById('compare-export-md'),
+      compareExportJson: document.getElementById('compare-export-json'),
+      compareContent: document.getElementById('compare-content'),
+      duplicatesContent: document.getElementById('duplicates-content'),
       
       // Score elements
       overallScore: document.getElementById('overall-score'),
@@ -43,9 +54,18 @@ class DetailedReportUI {
       // Content analysis elements
       contentStats: document.getElementById('content-stats'),
       readabilityAnalysis: document.getElementById('readability-analysis'),
+      focusKeywordAnalysis: document.getElementById('focus-keyword-analysis'),
+      structuredDataAnalysis: document.getElementById('structured-data-analysis'),
+      robotsAnalysis: document.getElementById('robots-analysis'),
+      sitemapAnalysis: document.getElementById('sitemap-analysis'),
+      canonicalAnalysis: document.getElementById('canonical-analysis'),
+      httpAnalysis: document.getElementById('http-analysis'),
+      hreflangAnalysis: document.getElementById('hreflang-analysis'),
       
       // Performance analysis elements
       pagePerformance: document.getElementById('page-performance'),
+      webVitals: document.getElementById('web-vitals'),
+      resourceBreakdown: document.getElementById('resource-breakdown'),
       
       // AI suggestions elements
       aiSuggestionsContent: document.getElementById('ai-suggestions-content'),
@@ -82,15 +102,98 @@ class DetailedReportUI {
         this.exportToPDF();
       });
     }
+
+    this.elements.reportTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.showTab(tab.dataset.tab);
+      });
+    });
+
+    // Chart points, rule change dates and run rows open that run
+    document.addEventListener('click', (event) => {
+      const target = event.target.closest('[data-report-id]');
+      if (target) {
+        this.loadReport(target.dataset.reportId);
+      }
+
+      const compare = event.target.closest('[data-compare-id]');
+      if (compare) {
+        this.showTab('compare', compare.dataset.compareId);
+      }
+
+      // Pages named by a duplicate issue open at their latest run
+      const page = event.target.closest('[data-report-url]');
+      if (page) {
+        chrome.runtime.sendMessage({ action: 'openDetailedReport', url: page.dataset.reportUrl });
+      }
+    });
+
+    if (this.elements.compareBtn) {
+      this.elements.compareBtn.addEventListener('click', () => {
+        this.compareReports();
+      });
+    }
+
+    if (this.elements.compareExportMd) {
+      this.elements.compareExportMd.addEventListener('click', () => {
+        this.downloadFile(ReportDiff.toMarkdown(this.diff), 'seo-report-diff.md', 'text/markdown');
+      });
+    }
+
+    if (this.elements.compareExportJson) {
+      this.elements.compareExportJson.addEventListener('click', () => {
+        this.downloadFile(JSON.stringify(this.diff, null, 2), 'seo-report-diff.json', 'application/json');
+      });
+    }
+
+    // The broken link check finishes after the run is saved
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'REPORT_UPDATED' && message.reportId === this.report?.id) {
+        this.refreshReport(message.reportId);
+      }
+    });
+
+    // "Show on page" buttons are re-rendered with every report
+    document.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-highlight-selector]');
+      if (button) {
+        // Inside <summary> the click would also collapse the outline node
+        event.preventDefault();
+        this.highlightOnPage(button.dataset.highlightSelector, button.dataset.highlightTitle);
+      }
+    });
   }
 
-  async loadReport() {
+  // Highlight an element in the tab the report was generated from
+  async highlightOnPage(selector, title) {
+    try {
+      const tabs = await chrome.tabs.query({});
+      const tab = tabs.find(candidate => candidate.url === this.report?.url);
+      if (!tab) {
+        alert('Open the analyzed page in a tab to highlight elements on it.');
+        return;
+      }
+
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'HIGHLIGHT_ISSUES',
+        issues: [{ selector: selector, severity: 'low', title: title, originalIndex: 0 }]
+      });
+      await chrome.tabs.sendMessage(tab.id, { type: 'SCROLL_TO_ISSUE', issueIndex: 0 });
+      await chrome.tabs.update(tab.id, { active: true });
+    } catch (error) {
+      console.error('Failed to highlight element:', error);
+    }
+  }
+
+  // Without a reportId the latest run of the page the popup opened the report for
+  async loadReport(reportId = null) {
     try {
       this.showLoading();
       
       // Get the latest report from storage
       const response = await chrome.runtime.sendMessage({
-        action: 'getLatestReport'
+        action: 'getLatestReport',
+        reportId: reportId
       });
 
       if (response.error) {
@@ -102,16 +205,46 @@ class DetailedReportUI {
       }
 
       this.displayReport(response.report);
+      this.showTab('report');
+      window.scrollTo(0, 0);
     } catch (error) {
       this.showError(error.message);
     }
   }
 
+  // Re-render the open run in place, keeping the tab and scroll position
+  async refreshReport(reportId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLatestReport', reportId: reportId });
+      if (response.error || !response.report) return;
+
+      // The run's scores in the history charts changed too
+      this.history = null;
+      this.displayReport(response.report);
+    } catch (error) {
+      console.error('Failed to refresh report:', error);
+    }
+  }
+
   displayReport(report) {
+    this.report = report;
+
     // Update header information
     if (this.elements.reportUrl) {
       this.elements.reportUrl.textContent = report.url;
     }
+    if (this.elements.reportProfile && report.profile) {
+      this.elements.reportProfile.textContent = `Scoring profile: ${report.profile.name}${report.profile.detected ? ' (auto-detected)' : ''}`;
+    }
+    if (this.elements.reportRun && report.timestamp) {
+      this.elements.reportRun.textContent = `Analyzed ${this.formatRunDate(report.timestamp)}${report.rescoredAt ? `, re-scored ${this.formatRunDate(report.rescoredAt)}` : ''}`;
+    }
+
+    // Runs of another page need a fresh history
+    if (this.history && this.history.url !== report.url) {
+      this.history = null;
+    }
+    this.duplicates = null;
 
     // Update scores
     this.displayScores(report.score);
@@ -267,6 +400,16 @@ class DetailedReportUI {
             <strong>Location:</strong> ${issue.location}
           </div>` : ''}
           
+          ${issue.urls?.length > 0 ? `
+          <div class="issue-detail">
+            <strong>Also on:</strong>
+            <ul class="issue-urls">
+              ${issue.urls.map(url => `
+                <li><button class="history-run-link" data-report-url="${this.escapeHtml(url).replace(/"/g, '&quot;')}">${this.escapeHtml(url)}</button></li>
+              `).join('')}
+            </ul>
+          </div>` : ''}
+          
           ${issue.impact ? `
           <div class="issue-detail">
             <strong>Impact:</strong> ${issue.impact}
@@ -354,6 +497,291 @@ class DetailedReportUI {
     if (this.elements.imagesAnalysis && performanceResults.imageOptimization) {
       this.elements.imagesAnalysis.innerHTML = this.renderImagesAnalysis(performanceResults.imageOptimization);
     }
+
+    if (this.elements.httpAnalysis) {
+      this.elements.httpAnalysis.innerHTML = this.renderHttpAnalysis(technicalResults.http);
+    }
+
+    if (this.elements.canonicalAnalysis) {
+      this.elements.canonicalAnalysis.innerHTML = this.renderCanonicalAnalysis(technicalResults.canonicalUrl);
+    }
+
+    if (this.elements.robotsAnalysis) {
+      this.elements.robotsAnalysis.innerHTML = this.renderRobotsTxtAnalysis(technicalResults.robotsTxt?.file);
+    }
+
+    if (this.elements.sitemapAnalysis) {
+      this.elements.sitemapAnalysis.innerHTML = this.renderSitemapAnalysis(technicalResults.sitemap);
+    }
+
+    if (this.elements.structuredDataAnalysis) {
+      this.elements.structuredDataAnalysis.innerHTML = this.renderStructuredData(technicalResults.structuredData);
+    }
+
+    if (this.elements.hreflangAnalysis) {
+      this.elements.hreflangAnalysis.innerHTML = this.renderHreflangAnalysis(technicalResults.hreflang);
+    }
+  }
+
+  renderRobotsTxtAnalysis(robotsTxt) {
+    if (!robotsTxt) {
+      return '<p class="analysis-value neutral">robots.txt was not checked for this report</p>';
+    }
+
+    const fileStatus = robotsTxt.unreachable
+      ? `<span class="analysis-value bad">✗ Unreachable (${this.escapeHtml(robotsTxt.error || '')})</span>`
+      : robotsTxt.found
+        ? `<span class="analysis-value good">✓ Found</span>`
+        : `<span class="analysis-value neutral">○ Not found (HTTP ${robotsTxt.status}), all crawling allowed</span>`;
+
+    return `
+      <div class="analysis-section">
+        <h4>robots.txt</h4>
+        <div class="analysis-items">
+          <div class="analysis-item">
+            <span class="analysis-label">File:</span>
+            ${fileStatus}
+            <span class="analysis-detail">${this.escapeHtml(robotsTxt.url)}</span>
+          </div>
+          ${robotsTxt.agents.map(agent => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(agent.userAgent)}:</span>
+            <span class="analysis-value ${agent.allowed ? 'good' : 'bad'}">${agent.allowed ? '✓ Allowed' : '✗ Blocked'}</span>
+            ${agent.matchedRule ? `<span class="analysis-detail">${agent.matchedRule.type === 'allow' ? 'Allow' : 'Disallow'}: ${this.escapeHtml(agent.matchedRule.path)} (line ${agent.matchedRule.line})</span>` : ''}
+          </div>`).join('')}
+          <div class="analysis-item">
+            <span class="analysis-label">Sitemaps:</span>
+            <span class="analysis-value">${robotsTxt.sitemaps.length}</span>
+            ${robotsTxt.sitemaps.length > 0 ? `<span class="analysis-detail">${robotsTxt.sitemaps.map(sitemap => this.escapeHtml(sitemap)).join('<br>')}</span>` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderHttpAnalysis(http) {
+    if (!http) {
+      return '<p class="analysis-value neutral">HTTP response was not captured for this report</p>';
+    }
+    if (http.error) {
+      return `<p class="analysis-value bad">✗ ${http.error === 'timeout' ? 'The request timed out' : this.escapeHtml(http.error)}</p>`;
+    }
+
+    const headerNames = {
+      'content-type': 'Content-Type',
+      'content-encoding': 'Content-Encoding',
+      'cache-control': 'Cache-Control',
+      'x-robots-tag': 'X-Robots-Tag',
+      link: 'Link'
+    };
+
+    return `
+      <div class="analysis-section">
+        <h4>HTTP Response</h4>
+        <div class="analysis-items">
+          <div class="analysis-item">
+            <span class="analysis-label">Status:</span>
+            <span class="analysis-value ${http.status < 400 ? 'good' : 'bad'}">HTTP ${http.status}</span>
+            <span class="analysis-detail">${{ webRequest: 'captured from the page load', crawl: 'fetched by the site crawl' }[http.source] || 're-fetched'}</span>
+          </div>
+          <div class="analysis-item">
+            <span class="analysis-label">Redirects:</span>
+            <span class="analysis-value ${http.redirects.length === 0 ? 'good' : http.redirects.length === 1 ? 'neutral' : 'bad'}">${http.redirects.length}</span>
+            ${http.redirects.length > 0 ? `<span class="analysis-detail">${http.redirects.map(hop => `${this.escapeHtml(hop.url)}${hop.status ? ` (${hop.status})` : ''}`).join(' →<br>')} →<br>${this.escapeHtml(http.finalUrl)}</span>` : ''}
+          </div>
+          ${Object.keys(headerNames).map(name => `
+          <div class="analysis-item">
+            <span class="analysis-label">${headerNames[name]}:</span>
+            <span class="analysis-value ${name === 'x-robots-tag' && http.xRobotsTag.noindex ? 'bad' : 'neutral'} link-url">${this.escapeHtml(http.headers[name] || '-')}</span>
+          </div>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderCanonicalAnalysis(canonicalUrl) {
+    const tags = canonicalUrl?.tags || [];
+    if (tags.length === 0) {
+      return `<p class="analysis-value ${canonicalUrl?.hasCanonical ? 'neutral' : 'bad'}">${canonicalUrl?.hasCanonical ? this.escapeHtml(canonicalUrl.canonicalUrl) : '✗ No canonical tag'}</p>`;
+    }
+
+    const target = canonicalUrl.target;
+    const targetStatus = !target
+      ? '<span class="analysis-value good">✓ Self-referencing</span>'
+      : target.error
+        ? `<span class="analysis-value bad">✗ ${this.escapeHtml(target.error)}</span>`
+        : `<span class="analysis-value ${target.status < 400 && !target.redirected && !target.noindex ? 'good' : 'bad'}">HTTP ${target.status}${target.redirected ? ', redirects' : ''}${target.noindex ? ', noindex' : ''}</span>`;
+
+    return `
+      <div class="analysis-section">
+        <h4>Canonical URL</h4>
+        <div class="analysis-items">
+          ${tags.map(tag => `
+          <div class="analysis-item">
+            <span class="analysis-label">${tag.inHead ? '&lt;head&gt;' : '&lt;body&gt;'}:</span>
+            <span class="analysis-value ${tag.inHead && tag.isAbsolute ? 'good' : 'bad'}">${this.escapeHtml(tag.href)}</span>
+            ${tag.href !== tag.resolved ? `<span class="analysis-detail">→ ${this.escapeHtml(tag.resolved)}</span>` : ''}
+          </div>`).join('')}
+          <div class="analysis-item">
+            <span class="analysis-label">Target:</span>
+            ${targetStatus}
+            ${target?.redirected ? `<span class="analysis-detail">→ ${this.escapeHtml(target.finalUrl)}</span>` : ''}
+          </div>
+          ${canonicalUrl.ogUrl ? `
+          <div class="analysis-item">
+            <span class="analysis-label">og:url:</span>
+            <span class="analysis-value">${this.escapeHtml(canonicalUrl.ogUrl)}</span>
+          </div>` : ''}
+          ${(canonicalUrl.problems || []).map(problem => `
+          <div class="analysis-item">
+            <span class="analysis-value bad">✗ ${this.escapeHtml(problem)}</span>
+          </div>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderSitemapAnalysis(sitemap) {
+    if (!sitemap) {
+      return '<p class="analysis-value neutral">Sitemaps were not checked for this report</p>';
+    }
+
+    const entry = sitemap.entry;
+
+    return `
+      <div class="analysis-section">
+        <h4>XML Sitemaps</h4>
+        <div class="analysis-items">
+          <div class="analysis-item">
+            <span class="analysis-label">This URL:</span>
+            <span class="analysis-value ${sitemap.listed ? 'good' : sitemap.partial ? 'neutral' : 'bad'}">${sitemap.listed ? '✓ Listed' : sitemap.partial ? 'Not in the sitemaps loaded in time' : '✗ Not listed'}</span>
+            ${entry ? `<span class="analysis-detail">lastmod ${this.escapeHtml(entry.lastmod || '-')}, priority ${entry.priority ?? '-'}</span>` : ''}
+          </div>
+          ${sitemap.partial ? `
+          <div class="analysis-item">
+            <span class="analysis-label">Partial check:</span>
+            <span class="analysis-value neutral">The time limit ran out before every sitemap was loaded</span>
+          </div>` : ''}
+          ${sitemap.sitemaps.map(file => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(file.url)}</span>
+            <span class="analysis-value ${file.error ? 'bad' : 'good'}">
+              ${file.error ? `✗ ${this.escapeHtml(file.error)}` : `${file.type === 'index' ? 'Index' : 'URL set'}, ${file.urlCount} entries`}
+            </span>
+          </div>`).join('')}
+          ${sitemap.invalidEntries.map(invalid => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(invalid.url)}</span>
+            <span class="analysis-value bad">${invalid.reason === 'noindex' ? '✗ noindex' : '✗ Non-canonical'}</span>
+            ${invalid.canonical ? `<span class="analysis-detail">→ ${this.escapeHtml(invalid.canonical)}</span>` : ''}
+          </div>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderStructuredData(structuredData) {
+    const items = structuredData?.items || [];
+    const problems = structuredData?.problems || [];
+    const formatNames = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' };
+
+    // Group problems under the top-level item their path starts from, e.g. "jsonld[0]"
+    const groups = new Map(items.map(item => [item.path, { item: item, problems: [] }]));
+    problems.forEach(problem => {
+      const root = problem.path.match(/^\w+\[\d+\]/)?.[0] || problem.path;
+      if (!groups.has(root)) {
+        groups.set(root, { item: { format: problem.format, path: root, types: [] }, problems: [] });
+      }
+      groups.get(root).problems.push(problem);
+    });
+
+    if (groups.size === 0) {
+      return `
+        <div class="tech-card">
+          <p class="analysis-value neutral">No JSON-LD, Microdata or RDFa structured data found</p>
+        </div>
+      `;
+    }
+
+    return Array.from(groups.values()).map(({ item, problems: itemProblems }) => {
+      const errorCount = itemProblems.filter(problem => problem.level === 'error').length;
+      const warningCount = itemProblems.length - errorCount;
+
+      return `
+        <div class="tech-card">
+          <h3>${formatNames[item.format] || item.format}: ${this.escapeHtml(item.types.join(', ') || 'Untyped item')}</h3>
+          <div class="tech-content">
+            <div class="tech-item">
+              <span class="tech-label">Path:</span>
+              <code class="sd-path">${this.escapeHtml(item.path)}</code>
+            </div>
+            <div class="tech-item">
+              <span class="tech-label">Status:</span>
+              <span class="tech-value ${errorCount > 0 ? 'error' : warningCount > 0 ? 'warning' : 'good'}">
+                ${errorCount > 0 ? `${errorCount} errors` : '✓ Valid'}${warningCount > 0 ? `, ${warningCount} warnings` : ''}
+              </span>
+            </div>
+            ${itemProblems.map(problem => `
+            <div class="sd-problem ${problem.level}">
+              <span class="sd-problem-message">${this.escapeHtml(problem.message)}</span>
+              <code class="sd-path">${this.escapeHtml(problem.path)}</code>
+            </div>`).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderHreflangAnalysis(hreflang) {
+    const alternates = hreflang?.alternates || [];
+    if (alternates.length === 0) {
+      return '<p class="analysis-value neutral">No hreflang alternates on this page</p>';
+    }
+
+    // Cluster-wide problems (missing self-reference, x-default) are not tied to a row
+    const clusterProblems = hreflang.problems.filter(problem => !problem.hreflang);
+    const getReturnStatus = (result) => {
+      if (!hreflang.returnLinksChecked) return '<span class="tech-value">-</span>';
+      if (!result) return '<span class="tech-value good">Self</span>';
+      if (result.error) return `<span class="tech-value error">✗ ${this.escapeHtml(result.error)}</span>`;
+      if (result.status >= 400) return `<span class="tech-value error">✗ HTTP ${result.status}</span>`;
+      return result.returnLink
+        ? `<span class="tech-value good">✓ HTTP ${result.status}, links back</span>`
+        : `<span class="tech-value error">✗ HTTP ${result.status}, no return link</span>`;
+    };
+
+    return `
+      <table class="hreflang-table">
+        <thead>
+          <tr>
+            <th>hreflang</th>
+            <th>URL</th>
+            <th>Code</th>
+            <th>Return link</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${alternates.map(alternate => {
+            const rowProblems = hreflang.problems.filter(problem =>
+              problem.hreflang && problem.hreflang.toLowerCase() === alternate.hreflang.toLowerCase() && problem.type !== 'invalid-code');
+            return `
+          <tr>
+            <td><code>${this.escapeHtml(alternate.hreflang)}</code></td>
+            <td class="hreflang-url">${this.escapeHtml(alternate.resolved || alternate.href)}</td>
+            <td>
+              <span class="tech-value ${alternate.valid ? 'good' : 'error'}">${alternate.valid ? '✓ Valid' : `✗ ${this.escapeHtml(alternate.error)}`}</span>
+              ${rowProblems.map(problem => `<div class="hreflang-problem">${this.escapeHtml(problem.message)}</div>`).join('')}
+            </td>
+            <td>${getReturnStatus(alternate.returnLink)}</td>
+          </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+      ${clusterProblems.map(problem => `
+      <div class="sd-problem">
+        <span class="sd-problem-message">${this.escapeHtml(problem.message)}</span>
+      </div>`).join('')}
+    `;
   }
 
   renderMetaAnalysis(metaTags) {
@@ -425,6 +853,52 @@ class DetailedReportUI {
           </div>
         </div>
       </div>
+      ${this.renderHeadingOutline(headingStructure.outline || [])}
+    `;
+  }
+
+  // Nest the flat outline: each heading belongs to the closest preceding heading of a higher level
+  buildHeadingTree(outline) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    outline.forEach(heading => {
+      const node = { ...heading, children: [] };
+      while (stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+
+    return root.children;
+  }
+
+  renderHeadingOutline(outline) {
+    if (outline.length === 0) {
+      return '';
+    }
+
+    const issueLabels = { 'skipped-level': 'Skipped level', empty: 'Empty', hidden: 'Hidden', duplicate: 'Duplicate' };
+    const renderNode = (node) => {
+      const label = `
+        <span class="outline-node ${node.issues.length > 0 ? 'has-issues' : ''}" data-highlight-selector="${this.escapeHtml(node.selector).replace(/"/g, '&quot;')}" data-highlight-title="H${node.level}: ${this.escapeHtml(node.text).replace(/"/g, '&quot;')}">
+          <span class="outline-level">H${node.level}</span>
+          <span class="outline-text">${node.text ? this.escapeHtml(node.text) : '<em>(empty)</em>'}</span>
+          ${node.issues.map(issue => `<span class="outline-issue" title="${this.escapeHtml(issue.message).replace(/"/g, '&quot;')}">${issueLabels[issue.type] || issue.type}</span>`).join('')}
+        </span>`;
+
+      return node.children.length > 0
+        ? `<li><details open><summary>${label}</summary><ul>${node.children.map(renderNode).join('')}</ul></details></li>`
+        : `<li class="outline-leaf">${label}</li>`;
+    };
+
+    const issueCount = outline.filter(heading => heading.issues.length > 0).length;
+    return `
+      <div class="analysis-section">
+        <h4>Outline (${outline.length} headings${issueCount > 0 ? `, ${issueCount} with issues` : ''})</h4>
+        <ul class="heading-outline">${this.buildHeadingTree(outline).map(renderNode).join('')}</ul>
+      </div>
     `;
   }
 
@@ -445,16 +919,37 @@ class DetailedReportUI {
           
           <div class="analysis-item">
             <span class="analysis-label">Broken Links:</span>
-            <span class="analysis-value ${linksData.brokenLinksCount === 0 ? 'good' : 'bad'}">
-              ${linksData.brokenLinksCount} count
+            <span class="analysis-value ${!linksData.checked ? 'neutral' : linksData.brokenLinksCount === 0 ? 'good' : 'bad'}">
+              ${linksData.checked ? `${linksData.brokenLinksCount} count` : linksData.checkPending ? 'Checking...' : 'Not checked'}
             </span>
+            ${linksData.checked ? `<span class="analysis-detail">${linksData.checkedCount} checked${linksData.skippedCount > 0 ? `, ${linksData.skippedCount} skipped` : ''}</span>` : ''}
           </div>
+          ${(linksData.brokenLinks || []).map(link => `
+          <div class="analysis-item">
+            <span class="analysis-label link-url">${this.escapeHtml(link.url)}</span>
+            <span class="analysis-value bad">✗ ${this.escapeHtml(link.error || `HTTP ${link.status}`)}</span>
+          </div>`).join('')}
+          ${(linksData.redirectedLinks || []).map(link => `
+          <div class="analysis-item">
+            <span class="analysis-label link-url">${this.escapeHtml(link.url)}</span>
+            <span class="analysis-value neutral">↪ ${link.chain.length > 2 ? `${link.chain.length - 1} redirects` : 'Redirects'}</span>
+            <span class="analysis-detail link-url">→ ${this.escapeHtml(link.finalUrl)}</span>
+          </div>`).join('')}
         </div>
       </div>
     `;
   }
 
   renderImagesAnalysis(imageData) {
+    const imageProblems = {
+      oversized: 'Oversized',
+      'legacy-format': 'Legacy format',
+      'missing-dimensions': 'No width/height',
+      'not-lazy': 'Not lazy',
+      'lazy-lcp': 'Lazy LCP',
+      'missing-srcset': 'No srcset'
+    };
+
     return `
       <div class="analysis-section">
         <h4>Image Optimization</h4>
@@ -477,6 +972,19 @@ class DetailedReportUI {
               ${imageData.unoptimizedFormats || 0} unoptimized
             </span>
           </div>
+
+          <div class="analysis-item">
+            <span class="analysis-label">Oversized:</span>
+            <span class="analysis-value ${!imageData.oversizedImages ? 'good' : 'bad'}">
+              ${imageData.oversizedImages || 0} images
+            </span>
+          </div>
+          ${(imageData.audit || []).map(image => `
+          <div class="analysis-item">
+            <span class="analysis-label link-url" title="${this.escapeHtml(image.src)}">${this.escapeHtml(image.src.split(/[?#]/)[0].split('/').pop() || image.selector)}</span>
+            <span class="analysis-value bad">${image.problems.map(problem => imageProblems[problem]).join(', ')}</span>
+            <span class="analysis-detail">${image.naturalWidth}×${image.naturalHeight} → ${image.displayWidth}×${image.displayHeight}${image.bytes ? `, ${(image.bytes / 1024).toFixed(1)} KB` : ''}</span>
+          </div>`).join('')}
         </div>
       </div>
     `;
@@ -490,9 +998,16 @@ class DetailedReportUI {
     if (this.elements.readabilityAnalysis) {
       this.elements.readabilityAnalysis.innerHTML = this.renderReadabilityAnalysis(contentResults);
     }
+
+    if (this.elements.focusKeywordAnalysis) {
+      this.elements.focusKeywordAnalysis.innerHTML = this.renderFocusKeywordAnalysis(contentResults.focusKeyword);
+    }
   }
 
   renderContentStats(contentResults) {
+    const mainContent = contentResults.mainContent;
+    const methods = { scored: 'scored block', semantic: 'semantic element', body: 'whole body' };
+
     return `
       <div class="analysis-section">
         <h4>Content Statistics</h4>
@@ -500,7 +1015,15 @@ class DetailedReportUI {
           <div class="analysis-item">
             <span class="analysis-label">Word Count:</span>
             <span class="analysis-value">${contentResults.wordCount} words</span>
+            ${contentResults.page ? `<span class="analysis-detail">${contentResults.page.wordCount} words on the whole page</span>` : ''}
           </div>
+          ${mainContent ? `
+          <div class="analysis-item">
+            <span class="analysis-label">Main Content:</span>
+            <span class="analysis-value neutral">&lt;${this.escapeHtml(mainContent.tagName)}&gt;, ${methods[mainContent.method] || mainContent.method}</span>
+            <span class="analysis-detail">${mainContent.share}% of page words, ${Math.round(mainContent.linkDensity * 100)}% link text</span>
+            <button class="copy-btn" data-highlight-selector="${this.escapeHtml(mainContent.selector).replace(/"/g, '&quot;')}" data-highlight-title="Main content">Show on page</button>
+          </div>` : ''}
           
           <div class="analysis-item">
             <span class="analysis-label">Paragraph Count:</span>
@@ -518,6 +1041,33 @@ class DetailedReportUI {
           </div>
         </div>
       </div>
+      ${this.renderKeyphrases(contentResults.keyphrases || [])}
+    `;
+  }
+
+  renderKeyphrases(keyphrases) {
+    if (keyphrases.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="analysis-section">
+        <h4>Top Keyphrases</h4>
+        <table class="resource-table">
+          <thead>
+            <tr><th>Keyphrase</th><th>Occurrences</th><th>Density</th><th>Also in</th></tr>
+          </thead>
+          <tbody>
+            ${keyphrases.slice(0, 15).map(keyphrase => `
+            <tr>
+              <td>${this.escapeHtml(keyphrase.phrase)}</td>
+              <td>${keyphrase.count}</td>
+              <td>${keyphrase.density}%</td>
+              <td>${[keyphrase.inTitle ? 'Title' : '', keyphrase.inHeadings ? 'Headings' : ''].filter(Boolean).join(', ') || '-'}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
     `;
   }
 
@@ -529,7 +1079,19 @@ class DetailedReportUI {
           <div class="analysis-item">
             <span class="analysis-label">Readability Score:</span>
             <span class="analysis-value">${contentResults.readabilityScore || 'No Data'}</span>
+            ${contentResults.page ? `<span class="analysis-detail">${contentResults.page.readabilityScore} for the whole page</span>` : ''}
+          </div>
+          ${contentResults.readability ? `
+          <div class="analysis-item">
+            <span class="analysis-label">Formula:</span>
+            <span class="analysis-value neutral">${this.escapeHtml(contentResults.readability.formula)}${contentResults.readability.fallback ? ' (no formula for this language)' : ''}</span>
           </div>
+
+          <div class="analysis-item">
+            <span class="analysis-label">Grade Level:</span>
+            <span class="analysis-value ${contentResults.readability.grade <= 9 ? 'good' : contentResults.readability.grade <= 12 ? 'neutral' : 'bad'}">${contentResults.readability.grade}</span>
+            ${contentResults.readability.fog !== undefined ? `<span class="analysis-detail">Gunning Fog ${contentResults.readability.fog}</span>` : ''}
+          </div>` : ''}
           
           <div class="analysis-item">
             <span class="analysis-label">Text/HTML Ratio:</span>
@@ -547,10 +1109,204 @@ class DetailedReportUI {
     `;
   }
 
+  renderFocusKeywordAnalysis(focusKeyword) {
+    if (!focusKeyword) {
+      return `
+        <div class="analysis-section">
+          <p class="analysis-value neutral">No focus keyphrase set, enter one in the extension popup</p>
+        </div>
+      `;
+    }
+
+    const check = (passed) => passed ? '✓ Yes' : '✗ No';
+    const status = (passed) => passed ? 'good' : 'bad';
+    const placements = [
+      { label: 'Title', passed: focusKeyword.inTitle },
+      { label: 'Meta Description', passed: focusKeyword.inDescription },
+      { label: 'H1 Title', passed: focusKeyword.inH1 },
+      { label: 'First Paragraph', passed: focusKeyword.inFirstParagraph },
+      { label: 'URL Slug', passed: focusKeyword.inUrlSlug }
+    ];
+
+    return `
+      <div class="analysis-section">
+        <h4>"${this.escapeHtml(focusKeyword.keyword)}"</h4>
+        <div class="analysis-items">
+          ${placements.map(item => `
+          <div class="analysis-item">
+            <span class="analysis-label">${item.label}:</span>
+            <span class="analysis-value ${status(item.passed)}">${check(item.passed)}</span>
+          </div>`).join('')}
+
+          <div class="analysis-item">
+            <span class="analysis-label">Image Alt Text:</span>
+            <span class="analysis-value">${focusKeyword.imagesWithKeyphraseAlt} of ${focusKeyword.imagesWithAlt} images</span>
+          </div>
+
+          <div class="analysis-item">
+            <span class="analysis-label">Subheadings:</span>
+            <span class="analysis-value">${focusKeyword.subheadingsWithKeyphrase} of ${focusKeyword.subheadingCount} subheadings</span>
+          </div>
+
+          <div class="analysis-item">
+            <span class="analysis-label">Density:</span>
+            <span class="analysis-value">${focusKeyword.density}% (${focusKeyword.occurrences} occurrences)</span>
+          </div>
+
+          <div class="analysis-item">
+            <span class="analysis-label">Distribution:</span>
+            <span class="analysis-value">${focusKeyword.distribution.sections.join(' / ')}</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
   displayPerformanceAnalysis(performanceResults) {
     if (this.elements.pagePerformance) {
       this.elements.pagePerformance.innerHTML = this.renderPagePerformance(performanceResults);
     }
+
+    if (this.elements.webVitals) {
+      this.elements.webVitals.innerHTML = this.renderWebVitals(performanceResults.coreWebVitals);
+    }
+
+    if (this.elements.resourceBreakdown) {
+      this.elements.resourceBreakdown.innerHTML = this.renderResourceBreakdown(performanceResults.resources);
+    }
+  }
+
+  renderResourceBreakdown(resources) {
+    if (!resources) {
+      return '<p class="analysis-value neutral">Resource timing was not recorded for this report</p>';
+    }
+
+    const typeNames = { script: 'JavaScript', css: 'CSS', image: 'Images', font: 'Fonts', xhr: 'XHR / Fetch', other: 'Other' };
+    const formatBytes = bytes => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+    const share = bytes => resources.totalBytes > 0 ? `${Math.round((bytes / resources.totalBytes) * 100)}%` : '-';
+    const fileName = url => {
+      try {
+        const parsed = new URL(url);
+        return `${parsed.hostname}${parsed.pathname}`;
+      } catch (e) {
+        return url;
+      }
+    };
+
+    return `
+      <table class="resource-table">
+        <thead>
+          <tr><th>Type</th><th>Requests</th><th>Size</th><th>Share</th></tr>
+        </thead>
+        <tbody>
+          ${Object.keys(typeNames).filter(type => resources.byType[type]?.count > 0).map(type => `
+          <tr>
+            <td>${typeNames[type]}</td>
+            <td>${resources.byType[type].count}</td>
+            <td>${formatBytes(resources.byType[type].bytes)}</td>
+            <td>${share(resources.byType[type].bytes)}</td>
+          </tr>`).join('')}
+          <tr class="resource-total">
+            <td>Total</td>
+            <td>${Object.values(resources.byType).reduce((sum, type) => sum + type.count, 0)}</td>
+            <td>${formatBytes(resources.totalBytes)}</td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+      ${resources.unknownSizeCount > 0 ? `<p class="analysis-detail">${resources.unknownSizeCount} cross-origin or cached resources did not report a size</p>` : ''}
+
+      <table class="resource-table">
+        <thead>
+          <tr><th>Largest resources</th><th>Type</th><th>Size</th><th>Time</th></tr>
+        </thead>
+        <tbody>
+          ${resources.largest.map(resource => `
+          <tr>
+            <td class="link-url" title="${this.escapeHtml(resource.url)}">${this.escapeHtml(fileName(resource.url))}</td>
+            <td>${typeNames[resource.type]}</td>
+            <td>${formatBytes(resource.bytes)}</td>
+            <td>${resource.duration} ms</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+
+      ${resources.thirdParty.origins.length > 0 ? `
+      <table class="resource-table">
+        <thead>
+          <tr><th>Third-party origins (${resources.thirdParty.share}% of bytes)</th><th>Requests</th><th>Size</th><th>Share</th></tr>
+        </thead>
+        <tbody>
+          ${resources.thirdParty.origins.map(origin => `
+          <tr>
+            <td class="link-url">${this.escapeHtml(origin.origin)}</td>
+            <td>${origin.count}</td>
+            <td>${formatBytes(origin.bytes)}</td>
+            <td>${origin.share}%</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+
+      ${resources.renderBlocking.length > 0 || resources.uncompressed.length > 0 ? `
+      <div class="analysis-items">
+        ${resources.renderBlocking.map(resource => `
+        <div class="analysis-item">
+          <span class="analysis-label link-url">${this.escapeHtml(fileName(resource.url))}</span>
+          <span class="analysis-value bad">Render-blocking ${resource.type === 'css' ? 'stylesheet' : 'script'}</span>
+        </div>`).join('')}
+        ${resources.uncompressed.map(resource => `
+        <div class="analysis-item">
+          <span class="analysis-label link-url">${this.escapeHtml(fileName(resource.url))}</span>
+          <span class="analysis-value bad">Not compressed</span>
+        </div>`).join('')}
+      </div>` : ''}
+    `;
+  }
+
+  renderWebVitals(webVitals) {
+    const metrics = [
+      ['lcp', 'LCP (Largest Contentful Paint)'],
+      ['cls', 'CLS (Cumulative Layout Shift)'],
+      ['inp', 'INP (Interaction to Next Paint)'],
+      ['fid', 'FID (First Input Delay)'],
+      ['fcp', 'FCP (First Contentful Paint)'],
+      ['ttfb', 'TTFB (Time to First Byte)']
+    ].filter(([key]) => webVitals?.[key]);
+
+    if (metrics.length === 0) {
+      return '<p class="analysis-value neutral">Core Web Vitals were not measured for this report</p>';
+    }
+
+    const ratingClasses = { good: 'good', 'needs-improvement': 'neutral', poor: 'bad' };
+    const ratingNames = { good: '✓ Good', 'needs-improvement': '○ Needs improvement', poor: '✗ Poor' };
+    const format = (key, value) => key === 'cls' ? String(value) : value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value} ms`;
+    const getDetail = (key, metric) => {
+      if (key === 'lcp' && metric.selector) return `Element: ${this.escapeHtml(metric.selector)}`;
+      if (key === 'cls' && metric.sources.length > 0) {
+        return `Shifted: ${metric.sources.map(source => `${this.escapeHtml(source.selector)} (${source.value})`).join('<br>')}`;
+      }
+      if (key === 'inp') return `${metric.interactions} interactions`;
+      return '';
+    };
+
+    return `
+      <div class="analysis-section">
+        <div class="analysis-items">
+          ${metrics.map(([key, label]) => {
+            const metric = webVitals[key];
+            const detail = metric.value !== null ? getDetail(key, metric) : '';
+            return `
+          <div class="analysis-item">
+            <span class="analysis-label">${label}:</span>
+            <span class="analysis-value ${metric.value === null ? 'neutral' : ratingClasses[metric.rating]}">
+              ${metric.value === null ? 'Not measured' : `${format(key, metric.value)} ${ratingNames[metric.rating]}`}
+            </span>
+            ${detail ? `<span class="analysis-detail link-url">${detail}</span>` : ''}
+          </div>`;
+          }).join('')}
+        </div>
+      </div>
+    `;
   }
 
   renderPagePerformance(performanceResults) {
@@ -890,6 +1646,370 @@ class DetailedReportUI {
     this.elements.aiSuggestionsList.appendChild(section);
   }
 
+  // baseId preselects the base run of the Compare tab
+  showTab(tab, baseId = null) {
+    this.elements.reportTabs.forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    if (this.elements.reportContent) {
+      this.elements.reportContent.dataset.tab = tab;
+    }
+
+    if (tab === 'history') {
+      this.loadHistory();
+    } else if (tab === 'compare') {
+      this.loadCompareOptions(baseId);
+    } else if (tab === 'duplicates') {
+      this.loadDuplicates();
+    }
+  }
+
+  async loadHistory() {
+    if (!this.elements.historyContent || !this.report) return;
+
+    try {
+      if (!this.history) {
+        this.elements.historyContent.innerHTML = '<p class="history-note">Loading history...</p>';
+        const response = await chrome.runtime.sendMessage({
+          action: 'getReportHistory',
+          url: this.report.url,
+          limit: 200,
+          summary: true
+        });
+        if (response.error) {
+          throw new Error(response.error);
+        }
+        this.history = { url: this.report.url, reports: response.reports, total: response.total };
+      }
+
+      this.renderHistory(this.history);
+    } catch (error) {
+      this.elements.historyContent.innerHTML = `<p class="history-note">Failed to load history: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  renderHistory({ reports, total }) {
+    const timeline = ReportHistory.buildTimeline(reports);
+    const markers = ReportHistory.getRuleChanges(timeline);
+    const labels = timeline.map(run => new Date(run.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+    const pointAttributes = timeline.map(run => ({ 'report-id': run.id }));
+
+    const scoreSeries = [
+      { name: 'Overall', color: '#007bff', values: timeline.map(run => run.score.overall) },
+      { name: 'Technical SEO', color: '#6f42c1', values: timeline.map(run => run.score.technical) },
+      { name: 'Content Quality', color: '#28a745', values: timeline.map(run => run.score.content) },
+      { name: 'Performance', color: '#fd7e14', values: timeline.map(run => run.score.performance) }
+    ];
+    const severityColors = { critical: '#dc3545', high: '#fd7e14', medium: '#ffc107', low: '#28a745' };
+    const severitySeries = ReportHistory.getSeverities().map(severity => ({
+      name: this.getSeverityText(severity),
+      color: severityColors[severity],
+      values: timeline.map(run => run.counts[severity])
+    }));
+    const chartMarkers = markers.map(marker => ({
+      index: marker.runIndex,
+      color: marker.changes.some(change => change.change === 'started') ? '#dc3545' : '#28a745',
+      title: marker.changes.map(change => `${change.change === 'started' ? 'Started failing' : 'Fixed'}: ${change.title}`).join('\n')
+    }));
+
+    this.elements.historyContent.innerHTML = `
+      ${timeline.length < 2 ? '<p class="history-note">Only one run of this page is stored. Analyze the page again after changes to see trends.</p>' : ''}
+      ${total > reports.length ? `<p class="history-note">Showing the latest ${reports.length} of ${total} runs.</p>` : ''}
+
+      <h3>Scores</h3>
+      ${SvgChart.lineChart({ labels: labels, series: scoreSeries, markers: chartMarkers, pointAttributes: pointAttributes }, { yMax: 100 })}
+      ${SvgChart.legend(scoreSeries)}
+      <p class="history-note">Dashed lines mark runs where rules started failing (red) or were fixed (green). Click a point to open that run.</p>
+
+      <h3>Issues by Severity</h3>
+      ${SvgChart.lineChart({ labels: labels, series: severitySeries, markers: chartMarkers, pointAttributes: pointAttributes })}
+      ${SvgChart.legend(severitySeries)}
+
+      ${markers.length > 0 ? `
+        <h3>Rule Changes</h3>
+        <ul class="rule-changes">
+          ${markers.slice().reverse().map(marker => `
+            <li class="rule-change-run">
+              <button class="history-run-link" data-report-id="${marker.reportId}">${this.formatRunDate(marker.timestamp)}</button>
+              ${marker.changes.map(change => `
+                <div class="rule-change ${change.change}">${change.change === 'started' ? '▲ Started failing' : '▼ Fixed'}: ${this.escapeHtml(change.title)}</div>
+              `).join('')}
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+
+      <h3>Runs</h3>
+      <table class="resource-table">
+        <thead><tr><th>Analyzed</th><th>Overall</th><th>Technical</th><th>Content</th><th>Performance</th><th>Issues</th><th></th></tr></thead>
+        <tbody>
+          ${timeline.slice().reverse().map(run => `
+            <tr class="${run.id === this.report?.id ? 'current-run' : ''}">
+              <td><button class="history-run-link" data-report-id="${run.id}">${this.formatRunDate(run.timestamp)}</button></td>
+              <td>${run.score.overall}</td>
+              <td>${run.score.technical}</td>
+              <td>${run.score.content}</td>
+              <td>${run.score.performance}</td>
+              <td>${run.counts.total}</td>
+              <td>${run.id === this.report?.id ? '' : `<button class="history-run-link" data-compare-id="${run.id}">Compare with open run</button>`}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    // The open run stands out on the charts
+    this.elements.historyContent.querySelectorAll(`.chart-point[data-report-id="${this.report?.id}"]`).forEach(point => {
+      point.classList.add('current');
+    });
+  }
+
+  // Latest run of every stored page of the report's site
+  async loadDuplicates() {
+    if (!this.elements.duplicatesContent || !this.report) return;
+
+    try {
+      if (!this.duplicates) {
+        this.elements.duplicatesContent.innerHTML = '<p class="history-note">Loading duplicates...</p>';
+        const response = await chrome.runtime.sendMessage({
+          action: 'getDuplicates',
+          origin: new URL(this.report.url).origin
+        });
+        if (response.error) {
+          throw new Error(response.error);
+        }
+        this.duplicates = response;
+      }
+
+      this.renderDuplicates(this.duplicates);
+    } catch (error) {
+      this.elements.duplicatesContent.innerHTML = `<p class="history-note">Failed to load duplicates: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  renderDuplicates({ threshold, pageCount, groups }) {
+    const fields = [
+      { key: 'title', label: 'Titles', column: 'Title' },
+      { key: 'description', label: 'Meta Descriptions', column: 'Meta Description' },
+      { key: 'h1', label: 'H1 Headings', column: 'H1' }
+    ];
+
+    this.elements.duplicatesContent.innerHTML = `
+      <p class="history-note">
+        ${pageCount} stored page${pageCount === 1 ? '' : 's'} of ${this.escapeHtml(new URL(this.report.url).origin)} compared at ${threshold}% similarity.
+        Noindex and error pages are left out. Crawl the site to compare more pages.
+      </p>
+      ${fields.map(field => `
+        <h3>${field.label} (${groups[field.key].length})</h3>
+        ${groups[field.key].length === 0 ? '<p class="history-note">No duplicates found.</p>' : groups[field.key].map(group => `
+          <table class="resource-table duplicate-group">
+            <thead><tr><th>Page</th><th>${field.column}</th></tr></thead>
+            <tbody>
+              ${group.pages.map(page => `
+                <tr class="${page.url === this.report.url ? 'current-run' : ''}">
+                  <td><button class="history-run-link" data-report-id="${page.reportId}">${this.escapeHtml(page.url)}</button></td>
+                  <td>${this.escapeHtml(page.value)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `).join('')}
+      `).join('')}
+    `;
+  }
+
+  // Runs of every stored page, so staging can be compared with production
+  async loadCompareOptions(baseId = null) {
+    if (!this.elements.compareBase || !this.report) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getReportHistory', limit: 200, summary: true });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      const runs = response.reports;
+      if (!runs.some(run => run.id === this.report.id)) {
+        runs.unshift(this.report);
+      }
+
+      // The previous run of the open page is the natural base
+      const pageRuns = runs.filter(run => run.url === this.report.url);
+      const previous = pageRuns[pageRuns.findIndex(run => run.id === this.report.id) + 1];
+      const defaultBase = baseId || this.elements.compareBase.value || previous?.id || runs.find(run => run.id !== this.report.id)?.id;
+      const defaultTarget = baseId ? this.report.id : this.elements.compareTarget.value || this.report.id;
+
+      const groups = new Map();
+      runs.forEach(run => {
+        if (!groups.has(run.url)) groups.set(run.url, []);
+        groups.get(run.url).push(run);
+      });
+      const options = selectedId => Array.from(groups.entries()).map(([url, urlRuns]) => `
+        <optgroup label="${this.escapeHtml(url).replace(/"/g, '&quot;')}">
+          ${urlRuns.map(run => `
+            <option value="${run.id}" ${run.id === selectedId ? 'selected' : ''}>${this.formatRunDate(run.timestamp)} · score ${run.score?.overall ?? '-'}</option>
+          `).join('')}
+        </optgroup>
+      `).join('');
+
+      this.elements.compareBase.innerHTML = options(defaultBase);
+      this.elements.compareTarget.innerHTML = options(defaultTarget);
+
+      if (baseId) {
+        this.compareReports();
+      }
+    } catch (error) {
+      this.elements.compareContent.innerHTML = `<p class="history-note">Failed to load runs: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  async compareReports() {
+    const baseId = this.elements.compareBase.value;
+    const targetId = this.elements.compareTarget.value;
+    if (!baseId || !targetId) {
+      this.elements.compareContent.innerHTML = '<p class="history-note">Analyze at least two pages or two runs of a page to compare them.</p>';
+      return;
+    }
+
+    try {
+      const [base, target] = await Promise.all([baseId, targetId].map(async reportId => {
+        const response = await chrome.runtime.sendMessage({ action: 'getLatestReport', reportId: reportId });
+        if (!response.report) {
+          throw new Error(response.error || 'Report not found');
+        }
+        return response.report;
+      }));
+
+      this.diff = ReportDiff.compare(base, target);
+      this.elements.compareContent.innerHTML = this.renderDiff(this.diff);
+      this.elements.compareExportMd.disabled = false;
+      this.elements.compareExportJson.disabled = false;
+    } catch (error) {
+      this.elements.compareContent.innerHTML = `<p class="history-note">Failed to compare runs: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  renderDiff(diff) {
+    const delta = value => `<span class="${value > 0 ? 'delta-up' : value < 0 ? 'delta-down' : ''}">${value > 0 ? '+' : ''}${value}</span>`;
+    const issueItems = (issues, className, label) => issues.map(issue => `
+      <div class="analysis-item">
+        <span class="analysis-label"><span class="severity-badge ${issue.severity}">${this.getSeverityText(issue.severity)}</span> ${this.escapeHtml(issue.title)}</span>
+        <span class="analysis-value ${className}">${label}</span>
+        <span class="analysis-detail">${this.escapeHtml(issue.id)}</span>
+      </div>
+    `).join('');
+    const section = (title, items) => (items ? `
+      <div class="analysis-section">
+        <h4>${title}</h4>
+        <div class="analysis-items">${items}</div>
+      </div>
+    ` : '');
+    const valueChange = (before, after) => `
+      <span class="diff-value removed">${this.escapeHtml(before) || '(empty)'}</span>
+      <span class="diff-value added">${this.escapeHtml(after) || '(empty)'}</span>
+    `;
+
+    return `
+      <p class="history-note">
+        ${diff.sameUrl ? 'Two runs of the same page.' : 'Two different pages.'}
+        Base: ${this.escapeHtml(diff.base.url)}, ${this.formatRunDate(diff.base.timestamp)}.
+        Target: ${this.escapeHtml(diff.target.url)}, ${this.formatRunDate(diff.target.timestamp)}.
+      </p>
+
+      <table class="resource-table">
+        <thead><tr><th>Score</th><th>Base</th><th>Target</th><th>Change</th></tr></thead>
+        <tbody>
+          ${diff.scores.map(score => `
+            <tr><td>${score.label}</td><td>${score.base}</td><td>${score.target}</td><td>${delta(score.delta)}</td></tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      ${!ReportDiff.hasChanges(diff) ? '<p class="history-note">No differences between the two runs.</p>' : ''}
+
+      ${section(`New Issues (${diff.issues.added.length})`, issueItems(diff.issues.added, 'bad', 'New'))}
+      ${section(`Resolved Issues (${diff.issues.resolved.length})`, issueItems(diff.issues.resolved, 'good', 'Resolved'))}
+      ${section('Severity Changes', diff.issues.changed.map(issue => `
+        <div class="analysis-item">
+          <span class="analysis-label">${this.escapeHtml(issue.title)}</span>
+          <span class="analysis-value neutral">${this.getSeverityText(issue.previousSeverity)} → ${this.getSeverityText(issue.severity)}</span>
+        </div>
+      `).join(''))}
+      ${section('Meta Changes', diff.meta.map(change => `
+        <div class="analysis-item">
+          <span class="analysis-label">${change.label}</span>
+          <span class="analysis-detail">${valueChange(change.base, change.target)}</span>
+        </div>
+      `).join(''))}
+      ${section('Headings', [
+        ...diff.headings.counts.map(count => `
+          <div class="analysis-item">
+            <span class="analysis-label">H${count.level} count</span>
+            <span class="analysis-value neutral">${count.base} → ${count.target}</span>
+          </div>
+        `),
+        ...diff.headings.added.map(heading => `
+          <div class="analysis-item">
+            <span class="analysis-label">H${heading.level}: ${this.escapeHtml(heading.text)}</span>
+            <span class="analysis-value good">Added</span>
+          </div>
+        `),
+        ...diff.headings.removed.map(heading => `
+          <div class="analysis-item">
+            <span class="analysis-label">H${heading.level}: ${this.escapeHtml(heading.text)}</span>
+            <span class="analysis-value bad">Removed</span>
+          </div>
+        `)
+      ].join(''))}
+      ${section('Links and Content', diff.links.map(change => `
+        <div class="analysis-item">
+          <span class="analysis-label">${change.label}</span>
+          <span class="analysis-value neutral">${change.base} → ${change.target}</span>
+          <span class="analysis-detail">${delta(change.delta)}</span>
+        </div>
+      `).join(''))}
+      ${section('Structured Data', [
+        ...diff.structuredData.addedTypes.map(item => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(item.type)} (${item.format})</span>
+            <span class="analysis-value good">Added</span>
+          </div>
+        `),
+        ...diff.structuredData.removedTypes.map(item => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(item.type)} (${item.format})</span>
+            <span class="analysis-value bad">Removed</span>
+          </div>
+        `),
+        ...diff.structuredData.addedProblems.map(problem => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(problem.message)}</span>
+            <span class="analysis-value bad">New ${problem.level}</span>
+          </div>
+        `),
+        ...diff.structuredData.resolvedProblems.map(problem => `
+          <div class="analysis-item">
+            <span class="analysis-label">${this.escapeHtml(problem.message)}</span>
+            <span class="analysis-value good">Resolved ${problem.level}</span>
+          </div>
+        `)
+      ].join(''))}
+    `;
+  }
+
+  downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  formatRunDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
   exportToPDF() {
     // Simple print functionality - browsers handle PDF export
     window.print();
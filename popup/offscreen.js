@@ -0,0 +1,90 @@
+// Offscreen Document Script
+// Fetches and analyzes pages for the site crawl, the background worker sends one URL at a time
+
+const CRAWL_FETCH_TIMEOUT = 15000;
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  // Extension pages receive each other's broadcasts, only answer crawl requests
+  if (message.target !== 'offscreen' || message.type !== 'CRAWL_ANALYZE') {
+    return false;
+  }
+
+  analyzeCrawledPage(message.url, message.focusKeyword, message.origin)
+    .then(result => sendResponse(result))
+    .catch(error => sendResponse({ error: error.message || 'Failed to analyze page' }));
+  return true;
+});
+
+/**
+ * Fetch a page without cookies and run the analyzer on the parsed HTML
+ * @param {string} url - Page URL
+ * @param {string} [focusKeyword] - Keyphrase set for this URL in the popup
+ * @param {string} [origin] - Crawled origin, pages redirected elsewhere are not parsed
+ * @returns {Promise<Object>} - { http: HttpInspector record, retryAfter, skipped, analysis }
+ */
+async function analyzeCrawledPage(url, focusKeyword, origin) {
+  const record = HttpInspector.createRecord('crawl', url);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CRAWL_FETCH_TIMEOUT);
+
+  let response;
+  try {
+    // Without credentials, logout or cart links can't act on the user's session
+    response = await fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal });
+  } catch (error) {
+    throw new Error(error.name === 'AbortError' ? `Timed out after ${CRAWL_FETCH_TIMEOUT / 1000}s` : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  record.status = response.status;
+  record.finalUrl = response.url || url;
+  record.headers = HttpInspector.pickHeaders(Array.from(response.headers.entries()));
+  // fetch() only exposes the final URL, not the individual hops
+  if (response.redirected) {
+    record.redirects.push({ url: url, status: null, location: record.finalUrl });
+  }
+
+  const result = { http: record, retryAfter: parseRetryAfter(response.headers.get('retry-after')), skipped: null, analysis: null };
+  if (origin && new URL(record.finalUrl).origin !== origin) {
+    response.body?.cancel().catch(() => {});
+    result.skipped = 'Redirected off-origin';
+    return result;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+    response.body?.cancel().catch(() => {});
+    result.skipped = `Not an HTML page (${contentType.split(';')[0] || 'no content type'})`;
+    return result;
+  }
+
+  const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+  setBaseUrl(doc, record.finalUrl);
+
+  const analyzer = new EnhancedContentAnalyzer(doc, record.finalUrl);
+  result.analysis = await analyzer.analyzePageContent({ focusKeyword: focusKeyword });
+  return result;
+}
+
+// Parsed documents resolve links against the offscreen page's own URL
+function setBaseUrl(doc, pageUrl) {
+  const base = doc.querySelector('base[href]');
+  if (base) {
+    base.setAttribute('href', new URL(base.getAttribute('href'), pageUrl).href);
+    return;
+  }
+
+  const element = doc.createElement('base');
+  element.setAttribute('href', pageUrl);
+  doc.head.prepend(element);
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
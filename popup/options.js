@@ -0,0 +1,326 @@
+// Options Page Script - English Only Version
+
+class OptionsUI {
+  constructor() {
+    this.elements = this.getUIElements();
+    this.registry = EnhancedSEORules.getDefaultRegistry();
+    this.defaultWeights = EnhancedSEORules.getDefaultWeights();
+    this.settings = SEOSettings.getDefaults();
+    this.initializeEventListeners();
+    this.loadSettings();
+  }
+
+  getUIElements() {
+    return {
+      status: document.getElementById('status'),
+      profileSelect: document.getElementById('profile-select'),
+      robotsUserAgent: document.getElementById('robots-user-agent'),
+      hreflangReturnLinks: document.getElementById('hreflang-return-links'),
+      checkLinks: document.getElementById('check-links'),
+      historyRunsPerUrl: document.getElementById('history-runs-per-url'),
+      historyMaxAgeDays: document.getElementById('history-max-age-days'),
+      duplicateSimilarity: document.getElementById('duplicate-similarity'),
+      categoryWeights: document.getElementById('category-weights'),
+      rulesList: document.getElementById('rules-list'),
+      saveBtn: document.getElementById('save-btn'),
+      resetBtn: document.getElementById('reset-btn')
+    };
+  }
+
+  initializeEventListeners() {
+    if (this.elements.saveBtn) {
+      this.elements.saveBtn.addEventListener('click', () => {
+        this.saveSettings();
+      });
+    }
+
+    if (this.elements.resetBtn) {
+      this.elements.resetBtn.addEventListener('click', () => {
+        this.resetSettings();
+      });
+    }
+
+    // Re-scoring after a save runs in the background worker
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'RESCORE_PROGRESS') {
+        const { status, total, done, rescored } = message.progress;
+        this.showStatus(status === 'completed'
+          ? `Settings saved, ${rescored} stored reports re-scored`
+          : `Settings saved, re-scoring stored pages ${done}/${total}...`, 'success');
+      }
+    });
+  }
+
+  async loadSettings() {
+    this.settings = await SEOSettings.load();
+    this.render();
+  }
+
+  async saveSettings() {
+    try {
+      this.settings = await SEOSettings.save(this.collectSettings());
+
+      // Stored reports keep their raw analysis, so new rule settings apply to them right away
+      const response = await chrome.runtime.sendMessage({ action: 'rescoreReports' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      this.showStatus(response?.total > 0
+        ? `Settings saved, re-scoring ${response.total} stored pages...`
+        : 'Settings saved, they will be used for the next analysis', 'success');
+    } catch (error) {
+      this.showStatus('Failed to save settings: ' + error.message, 'error');
+    }
+  }
+
+  async resetSettings() {
+    try {
+      this.settings = await SEOSettings.reset();
+      this.render();
+      this.showStatus('Settings reset to defaults', 'success');
+    } catch (error) {
+      this.showStatus('Failed to reset settings: ' + error.message, 'error');
+    }
+  }
+
+  render() {
+    this.renderProfileSelect();
+    if (this.elements.robotsUserAgent) {
+      this.elements.robotsUserAgent.value = this.settings.robotsUserAgent || '';
+    }
+    if (this.elements.hreflangReturnLinks) {
+      this.elements.hreflangReturnLinks.checked = this.settings.hreflangReturnLinks;
+    }
+    if (this.elements.checkLinks) {
+      this.elements.checkLinks.checked = this.settings.checkLinks;
+    }
+    if (this.elements.historyRunsPerUrl) {
+      this.elements.historyRunsPerUrl.value = this.settings.historyRunsPerUrl;
+    }
+    if (this.elements.historyMaxAgeDays) {
+      this.elements.historyMaxAgeDays.value = this.settings.historyMaxAgeDays;
+    }
+    if (this.elements.duplicateSimilarity) {
+      this.elements.duplicateSimilarity.value = this.settings.duplicateSimilarity;
+    }
+    this.renderCategoryWeights();
+    this.renderRules();
+  }
+
+  renderProfileSelect() {
+    if (!this.elements.profileSelect) return;
+
+    const options = [
+      { id: SEOProfiles.AUTO, name: 'Auto-detect' },
+      ...SEOProfiles.getProfiles()
+    ];
+    this.elements.profileSelect.innerHTML = options.map(profile => `
+      <option value="${profile.id}" ${profile.id === this.settings.profile ? 'selected' : ''}>${profile.name}</option>
+    `).join('');
+  }
+
+  renderCategoryWeights() {
+    if (!this.elements.categoryWeights) return;
+
+    this.elements.categoryWeights.innerHTML = Object.keys(this.defaultWeights).map(category => {
+      const value = this.settings.categoryWeights[category] ?? this.defaultWeights[category];
+      return `
+        <label class="weight-field">
+          <span class="field-label">${this.getCategoryName(category)}</span>
+          <input type="number" min="0" max="1" step="0.05" data-category="${category}" value="${value}">
+        </label>
+      `;
+    }).join('');
+  }
+
+  renderRules() {
+    if (!this.elements.rulesList) return;
+
+    this.elements.rulesList.innerHTML = '';
+
+    this.registry.getCategories().forEach(category => {
+      const group = document.createElement('div');
+      group.className = 'rule-group';
+      group.innerHTML = `
+        <h3 class="rule-group-title">${this.getCategoryName(category)}</h3>
+        <div class="rule-group-content">
+          ${this.registry.getRules(category).map(rule => this.renderRuleItem(rule)).join('')}
+        </div>
+      `;
+      this.elements.rulesList.appendChild(group);
+    });
+  }
+
+  renderRuleItem(rule) {
+    const override = this.settings.rules[rule.id] || {};
+    const enabled = override.enabled ?? rule.enabled !== false;
+    const severity = override.severity || rule.severity;
+    const weight = override.weight ?? rule.weight;
+    const thresholds = { ...(rule.thresholds || {}), ...(override.thresholds || {}) };
+
+    return `
+      <div class="rule-item" data-rule-id="${rule.id}">
+        <div class="rule-header">
+          <label class="rule-toggle">
+            <input type="checkbox" data-field="enabled" ${enabled ? 'checked' : ''}>
+            <span class="rule-name">${this.escapeHtml(rule.name)}</span>
+          </label>
+          <code class="rule-id">${rule.id}</code>
+        </div>
+        <div class="rule-fields">
+          <label class="rule-field">
+            <span class="field-label">Severity</span>
+            <select data-field="severity">
+              ${SEORuleRegistry.SEVERITIES.map(level => `
+                <option value="${level}" ${level === severity ? 'selected' : ''}>${this.getSeverityText(level)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label class="rule-field">
+            <span class="field-label">Weight</span>
+            <input type="number" min="0" step="1" data-field="weight" value="${weight}">
+          </label>
+          ${Object.keys(thresholds).map(key => `
+          <label class="rule-field">
+            <span class="field-label">${this.getThresholdLabel(key)}</span>
+            <input type="number" min="0" step="any" data-threshold="${key}" value="${thresholds[key]}">
+          </label>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // Only values that differ from the rule defaults are stored as overrides
+  collectSettings() {
+    const settings = SEOSettings.getDefaults();
+
+    if (this.elements.profileSelect) {
+      settings.profile = this.elements.profileSelect.value;
+    }
+
+    if (this.elements.robotsUserAgent) {
+      settings.robotsUserAgent = this.elements.robotsUserAgent.value.trim();
+    }
+
+    if (this.elements.hreflangReturnLinks) {
+      settings.hreflangReturnLinks = this.elements.hreflangReturnLinks.checked;
+    }
+
+    if (this.elements.checkLinks) {
+      settings.checkLinks = this.elements.checkLinks.checked;
+    }
+
+    // 0 or an empty field keeps every run
+    if (this.elements.historyRunsPerUrl) {
+      settings.historyRunsPerUrl = Math.max(0, parseInt(this.elements.historyRunsPerUrl.value, 10) || 0);
+    }
+
+    if (this.elements.historyMaxAgeDays) {
+      settings.historyMaxAgeDays = Math.max(0, parseInt(this.elements.historyMaxAgeDays.value, 10) || 0);
+    }
+
+    // Below 50% unrelated texts start to match
+    if (this.elements.duplicateSimilarity) {
+      const similarity = parseInt(this.elements.duplicateSimilarity.value, 10);
+      settings.duplicateSimilarity = Math.min(100, Math.max(50, Number.isNaN(similarity) ? SEOSettings.getDefaults().duplicateSimilarity : similarity));
+    }
+
+    this.elements.categoryWeights.querySelectorAll('input[data-category]').forEach(input => {
+      const category = input.getAttribute('data-category');
+      const value = parseFloat(input.value);
+      if (!isNaN(value) && value !== this.defaultWeights[category]) {
+        settings.categoryWeights[category] = value;
+      }
+    });
+
+    this.elements.rulesList.querySelectorAll('.rule-item').forEach(item => {
+      const rule = this.registry.get(item.getAttribute('data-rule-id'));
+      if (!rule) return;
+
+      const override = {};
+      const enabled = item.querySelector('[data-field="enabled"]').checked;
+      if (enabled !== (rule.enabled !== false)) {
+        override.enabled = enabled;
+      }
+
+      const severity = item.querySelector('[data-field="severity"]').value;
+      if (severity !== rule.severity) {
+        override.severity = severity;
+      }
+
+      const weight = parseFloat(item.querySelector('[data-field="weight"]').value);
+      if (!isNaN(weight) && weight !== rule.weight) {
+        override.weight = weight;
+      }
+
+      item.querySelectorAll('input[data-threshold]').forEach(input => {
+        const key = input.getAttribute('data-threshold');
+        const value = parseFloat(input.value);
+        if (!isNaN(value) && value !== rule.thresholds?.[key]) {
+          override.thresholds = { ...(override.thresholds || {}), [key]: value };
+        }
+      });
+
+      if (Object.keys(override).length > 0) {
+        settings.rules[rule.id] = override;
+      }
+    });
+
+    return settings;
+  }
+
+  // "minWords" -> "Min Words"
+  getThresholdLabel(key) {
+    return key
+      .replace(/([A-Z])/g, ' $1')
+      .replace(/^./, char => char.toUpperCase());
+  }
+
+  getCategoryName(category) {
+    const categoryNames = {
+      technical: 'Technical SEO',
+      content: 'Content Quality',
+      performance: 'Performance'
+    };
+    return categoryNames[category] || category;
+  }
+
+  getSeverityText(severity) {
+    const severityMap = {
+      'critical': 'Critical',
+      'high': 'High',
+      'medium': 'Medium',
+      'low': 'Low'
+    };
+    return severityMap[severity] || severity;
+  }
+
+  showStatus(message, type) {
+    if (!this.elements.status) return;
+
+    this.elements.status.textContent = message;
+    this.elements.status.className = `status ${type}`;
+
+    // Progress messages replace each other, only the last one starts the countdown
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      this.elements.status.classList.add('hidden');
+    }, 3000);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Initialize the options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.optionsUI = new OptionsUI();
+});
@@ -31,6 +31,9 @@ class SimplePopupUI {
       technicalFill: document.getElementById('technical-fill'),
       contentFill: document.getElementById('content-fill'),
       performanceFill: document.getElementById('performance-fill'),
+      profileSelect: document.getElementById('profile-select'),
+      keyphraseForm: document.getElementById('keyphrase-form'),
+      focusKeywordInput: document.getElementById('focus-keyword'),
 
       criticalIssues: document.getElementById('critical-issues'),
       highIssues: document.getElementById('high-issues'),
@@ -48,10 +51,12 @@ class SimplePopupUI {
       noSuggestions: document.getElementById('no-suggestions'),
 
       refreshBtn: document.getElementById('refresh-btn'),
+      settingsBtn: document.getElementById('settings-btn'),
       retryBtn: document.getElementById('retry-btn'),
       generateSuggestionsBtn: document.getElementById('generate-suggestions'),
       refreshSuggestionsBtn: document.getElementById('refresh-suggestions'),
-      detailedReportBtn: document.getElementById('detailed-report-btn')
+      detailedReportBtn: document.getElementById('detailed-report-btn'),
+      crawlSiteBtn: document.getElementById('crawl-site-btn')
     };
   }
 
@@ -63,6 +68,13 @@ class SimplePopupUI {
       });
     }
 
+    // Settings button
+    if (this.elements.settingsBtn) {
+      this.elements.settingsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
     // Retry button
     if (this.elements.retryBtn) {
       this.elements.retryBtn.addEventListener('click', () => {
@@ -70,6 +82,21 @@ class SimplePopupUI {
       });
     }
 
+    // Scoring profile selector
+    if (this.elements.profileSelect) {
+      this.elements.profileSelect.addEventListener('change', () => {
+        this.changeProfile(this.elements.profileSelect.value);
+      });
+    }
+
+    // Focus keyphrase
+    if (this.elements.keyphraseForm) {
+      this.elements.keyphraseForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.changeFocusKeyword(this.elements.focusKeywordInput.value);
+      });
+    }
+
     // Filter tabs
     this.elements.filterTabs.forEach(tab => {
       tab.addEventListener('click', () => {
@@ -99,6 +126,12 @@ class SimplePopupUI {
         this.openDetailedReport();
       });
     }
+
+    if (this.elements.crawlSiteBtn) {
+      this.elements.crawlSiteBtn.addEventListener('click', () => {
+        this.openCrawlDashboard();
+      });
+    }
   }
 
   initializeMessageListener() {
@@ -162,6 +195,8 @@ class SimplePopupUI {
 
       if (response.report) {
         this.displaySEOScore(response.report.score);
+        this.displayProfile(response.report.profile);
+        this.displayFocusKeyword(response.report.focusKeyword);
         this.showQuickReport({
           score: response.report.score,
           criticalIssues: response.report.issues.filter(i => i.severity === 'critical').length,
@@ -238,6 +273,8 @@ class SimplePopupUI {
           // Show results after brief delay
           setTimeout(() => {
             this.displaySEOScore(response.report.score);
+            this.displayProfile(response.report.profile);
+            this.displayFocusKeyword(response.report.focusKeyword);
             this.showQuickReport({
               score: response.report.score,
               criticalIssues: response.report.issues.filter(i => i.severity === 'critical').length,
@@ -263,6 +300,8 @@ class SimplePopupUI {
               this.updateProgress({ step: 6, message: 'Analysis complete!', progress: 100 });
               setTimeout(() => {
                 this.displaySEOScore(cachedResponse.report.score);
+                this.displayProfile(cachedResponse.report.profile);
+                this.displayFocusKeyword(cachedResponse.report.focusKeyword);
                 this.showQuickReport({
                   score: cachedResponse.report.score,
                   criticalIssues: cachedResponse.report.issues.filter(i => i.severity === 'critical').length,
@@ -368,6 +407,68 @@ class SimplePopupUI {
     this.showMainContent();
   }
 
+  displayProfile(profile) {
+    if (!this.elements.profileSelect) return;
+
+    const detectedName = profile && profile.detected ? profile.name : null;
+    const options = [
+      { id: SEOProfiles.AUTO, name: detectedName ? `Auto (${detectedName})` : 'Auto-detect' },
+      ...SEOProfiles.getProfiles()
+    ];
+    const selected = !profile || profile.detected ? SEOProfiles.AUTO : profile.id;
+
+    this.elements.profileSelect.innerHTML = options.map(option => `
+      <option value="${option.id}" ${option.id === selected ? 'selected' : ''}>${option.name}</option>
+    `).join('');
+  }
+
+  async changeProfile(profileId) {
+    try {
+      const settings = await SEOSettings.load();
+      await SEOSettings.save({ ...settings, profile: profileId });
+
+      // Re-run the analysis so the report is scored with the new profile
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab.id) {
+        throw new Error('Cannot get current tab');
+      }
+      this.showLoading();
+      this.triggerNewAnalysis(tab.id);
+    } catch (error) {
+      this.showError(error instanceof Error ? error.message : 'Failed to change scoring profile');
+    }
+  }
+
+  displayFocusKeyword(keyword) {
+    if (this.elements.focusKeywordInput) {
+      this.elements.focusKeywordInput.value = keyword || '';
+    }
+  }
+
+  async changeFocusKeyword(keyword) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab.id) {
+        throw new Error('Cannot get current tab');
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'setFocusKeyword',
+        tabId: tab.id,
+        keyword: keyword
+      });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      // Re-run the analysis so the keyphrase checks are included in the report
+      this.showLoading();
+      this.triggerNewAnalysis(tab.id);
+    } catch (error) {
+      this.showError(error instanceof Error ? error.message : 'Failed to save focus keyphrase');
+    }
+  }
+
   showQuickReport(report) {
     if (this.elements.criticalIssues) {
       this.elements.criticalIssues.textContent = report.criticalIssues.toString();
@@ -1024,6 +1125,16 @@ class SimplePopupUI {
     }
   }
 
+  // The dashboard starts from the current page, its crawl keeps running after the popup closes
+  async openCrawlDashboard() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.tabs.create({ url: `${chrome.runtime.getURL('popup/crawl.html')}?url=${encodeURIComponent(tab.url)}` });
+    } catch (error) {
+      console.error('Failed to open crawl dashboard:', error);
+    }
+  }
+
   setActiveFilter(filter) {
     this.currentFilter = filter;
     this.elements.filterTabs.forEach(tab => {
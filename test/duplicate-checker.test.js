@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DuplicateChecker = require('../js/duplicate-checker.js');
+
+const report = (id, url, title, extra = {}) => ({
+  id: id,
+  url: url,
+  technicalResults: { metaTags: { title: title }, ...extra }
+});
+
+test('similarity is the Dice coefficient of character bigrams', () => {
+  assert.equal(DuplicateChecker.similarity('night', 'nacht'), 0.25);
+  assert.equal(DuplicateChecker.similarity('same', 'same'), 1);
+  assert.equal(DuplicateChecker.similarity('a', 'ab'), 0);
+});
+
+test('repeated bigrams are counted as a multiset', () => {
+  // "aaa" has aa twice, "aa" once: one shared bigram out of three
+  assert.equal(DuplicateChecker.similarity('aaa', 'aa'), 2 / 3);
+});
+
+test('isSimilar includes the threshold itself', () => {
+  // 9 of 10 bigrams shared on each side: exactly 90 %
+  assert.equal(DuplicateChecker.similarity('abcdefghijk', 'abcdefghijx'), 0.9);
+  assert.equal(DuplicateChecker.isSimilar('abcdefghijk', 'abcdefghijx', 90), true);
+  assert.equal(DuplicateChecker.isSimilar('abcdefghijk', 'abcdefghijx', 91), false);
+});
+
+test('texts of very different length fail without counting bigrams', () => {
+  assert.equal(DuplicateChecker.isSimilar('abc', 'abcdefghijklmnop', 50), false);
+});
+
+test('normalize ignores case, punctuation and spacing', () => {
+  assert.equal(DuplicateChecker.normalize('  Best  Shoes — 2024! '), 'best shoes 2024');
+});
+
+test('findGroups joins pages transitively and lists the largest groups first', () => {
+  const groups = DuplicateChecker.findGroups([
+    report(1, 'https://example.com/a', 'Red running shoes for men'),
+    report(2, 'https://example.com/b', 'Red running shoes for men!'),
+    report(3, 'https://example.com/c', 'red running shoes for men'),
+    report(4, 'https://example.com/d', 'Contact us'),
+    report(5, 'https://example.com/e', 'Contact Us')
+  ], 90);
+
+  assert.deepEqual(groups.title.map(group => group.pages.map(page => page.url)), [
+    ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'],
+    ['https://example.com/d', 'https://example.com/e']
+  ]);
+  assert.deepEqual(groups.description, []);
+});
+
+test('findGroups leaves out canonicalized variants and non-indexable pages', () => {
+  const groups = DuplicateChecker.findGroups([
+    report(1, 'https://example.com/a', 'Pricing'),
+    report(2, 'https://example.com/a?utm_source=mail', 'Pricing', { canonicalUrl: { canonicalUrl: 'https://example.com/a' } }),
+    report(3, 'https://example.com/b', 'Pricing', { robotsTxt: { isIndexable: false } }),
+    report(4, 'https://example.com/c', 'Pricing', { http: { status: 404 } })
+  ], 90);
+
+  assert.deepEqual(groups.title, []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KeyphraseExtractor = require('../js/keyphrase-extractor.js');
+
+// The extractor segments words and sentences through the global segmenter
+global.TextSegmenter = require('../js/text-segmenter.js');
+
+const text = [
+  'Trail running shoes need a grippy sole.',
+  'The best trail running shoes drain water quickly.',
+  'Light trail running shoes help on long races.',
+  'Road shoes are a different story.'
+].join(' ');
+
+test('the most repeated phrase ranks first and absorbs its sub-phrases', () => {
+  const phrases = KeyphraseExtractor.extract({ text: text });
+
+  assert.equal(phrases[0].phrase, 'trail running shoes');
+  assert.equal(phrases[0].count, 3);
+  // "trail running" never occurs without "shoes"
+  assert.equal(phrases.some(entry => entry.phrase === 'trail running'), false);
+  // "shoes" also occurs alone, so it stays
+  assert.equal(phrases.find(entry => entry.phrase === 'shoes').count, 4);
+});
+
+test('phrases do not start or end with stopwords and must repeat', () => {
+  const phrases = KeyphraseExtractor.extract({ text: text });
+
+  phrases.forEach(entry => {
+    const tokens = entry.phrase.split(' ');
+    assert.equal(['a', 'the', 'on', 'are'].includes(tokens[0]), false);
+    assert.equal(['a', 'the', 'on', 'are'].includes(tokens[tokens.length - 1]), false);
+    assert.ok(entry.count >= 2);
+  });
+});
+
+test('title and heading matches are flagged and boosted', () => {
+  const plain = KeyphraseExtractor.extract({ text: text });
+  const boosted = KeyphraseExtractor.extract({ text: text, title: 'Trail Running Shoes Guide', headings: ['Choosing shoes'] });
+  const find = (list, phrase) => list.find(entry => entry.phrase === phrase);
+
+  assert.equal(find(boosted, 'trail running shoes').inTitle, true);
+  assert.equal(find(boosted, 'shoes').inHeadings, true);
+  assert.ok(find(boosted, 'trail running shoes').score > find(plain, 'trail running shoes').score);
+});
+
+test('empty text yields no phrases', () => {
+  assert.deepEqual(KeyphraseExtractor.extract({ text: '' }), []);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReadabilityScorer = require('../js/readability-scorer.js');
+
+// The CJK formula reads character classes from the global segmenter
+global.TextSegmenter = require('../js/text-segmenter.js');
+
+test('countSyllables counts vowel groups and drops a silent final e', () => {
+  assert.equal(ReadabilityScorer.countSyllables('readability', 'en'), 5);
+  assert.equal(ReadabilityScorer.countSyllables('cake', 'en'), 1);
+  assert.equal(ReadabilityScorer.countSyllables('table', 'en'), 2);
+  assert.equal(ReadabilityScorer.countSyllables('rhythm', 'en'), 1);
+  assert.equal(ReadabilityScorer.countSyllables('über', 'de'), 2);
+});
+
+test('short English sentences are clamped to the top of the ease scale', () => {
+  const words = ['the', 'cat', 'sat', 'on', 'the', 'mat'];
+  const result = ReadabilityScorer.score('The cat sat on the mat.', 'en', { words: words, sentences: 1 });
+
+  assert.equal(result.formula, 'Flesch-Kincaid');
+  assert.equal(result.score, 100);
+  assert.equal(result.grade, 0);
+  assert.equal(result.fallback, false);
+});
+
+test('the English formula follows Flesch reading ease', () => {
+  // 4 words, 8 syllables, 1 sentence: 206.835 - 1.015 * 4 - 84.6 * 2
+  const words = ['modern', 'readers', 'enjoy', 'stories'];
+  const result = ReadabilityScorer.score('Modern readers enjoy stories.', 'en', { words: words, sentences: 1 });
+  assert.equal(result.score, Math.round(206.835 - 1.015 * 4 - 84.6 * 2));
+});
+
+test('languages without a formula fall back to English', () => {
+  const result = ReadabilityScorer.score('Il gatto dorme.', 'it', { words: ['il', 'gatto', 'dorme'], sentences: 1 });
+  assert.equal(result.language, 'en');
+  assert.equal(result.fallback, true);
+});
+
+test('empty text has no score', () => {
+  assert.equal(ReadabilityScorer.score('', 'en', { words: [], sentences: 0 }), null);
+});
+
+test('getGradeForEase maps Flesch bands to school grades', () => {
+  assert.equal(ReadabilityScorer.getGradeForEase(95), 5);
+  assert.equal(ReadabilityScorer.getGradeForEase(65), 9);
+  assert.equal(ReadabilityScorer.getGradeForEase(10), 17);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReportDiff = require('../js/report-diff.js');
+
+const heading = (level, text) => ({ level: level, text: text });
+const headingKey = entry => `${entry.level}:${entry.text}`;
+
+test('subtract removes one occurrence per match', () => {
+  const from = [heading(2, 'FAQ'), heading(2, 'FAQ'), heading(2, 'Pricing')];
+  const other = [heading(2, 'FAQ')];
+  assert.deepEqual(ReportDiff.subtract(from, other, headingKey), [heading(2, 'FAQ'), heading(2, 'Pricing')]);
+});
+
+test('subtract keys on the whole key, not the text alone', () => {
+  assert.deepEqual(ReportDiff.subtract([heading(2, 'FAQ')], [heading(3, 'FAQ')], headingKey), [heading(2, 'FAQ')]);
+});
+
+test('compareHeadings reports a repeated heading that lost one copy', () => {
+  const outline = texts => ({ outline: texts.map(text => heading(2, text)) });
+  const diff = ReportDiff.compareHeadings(outline(['FAQ', 'FAQ', 'Pricing']), outline(['FAQ', 'Pricing']));
+
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, [heading(2, 'FAQ')]);
+  assert.deepEqual(diff.counts, [{ level: 2, base: 3, target: 2 }]);
+});
+
+test('compare splits issues into added, resolved and changed', () => {
+  const base = {
+    id: 1,
+    url: 'https://example.com/',
+    score: { overall: 70, technical: 80, content: 60, performance: 70 },
+    issues: [
+      { id: 'meta_title', severity: 'high' },
+      { id: 'image_alt', severity: 'medium' },
+      { id: 'h1_tag', severity: 'low' }
+    ]
+  };
+  const target = {
+    id: 2,
+    url: 'https://example.com/',
+    score: { overall: 75, technical: 80, content: 70, performance: 70 },
+    issues: [
+      { id: 'image_alt', severity: 'high' },
+      { id: 'h1_tag', severity: 'low' },
+      { id: 'canonical_url', severity: 'medium' }
+    ]
+  };
+  const diff = ReportDiff.compare(base, target);
+
+  assert.equal(diff.sameUrl, true);
+  assert.deepEqual(diff.issues.added.map(issue => issue.id), ['canonical_url']);
+  assert.deepEqual(diff.issues.resolved.map(issue => issue.id), ['meta_title']);
+  assert.deepEqual(diff.issues.changed, [{ id: 'image_alt', severity: 'high', previousSeverity: 'medium' }]);
+  assert.equal(diff.issues.unchanged, 1);
+  assert.deepEqual(diff.scores.filter(score => score.delta !== 0).map(score => [score.key, score.delta]), [['overall', 5], ['content', 10]]);
+  assert.equal(ReportDiff.hasChanges(diff), true);
+});
+
+test('identical reports have no changes', () => {
+  const report = { id: 1, url: 'https://example.com/', score: { overall: 90 }, issues: [{ id: 'meta_title', severity: 'high' }] };
+  assert.equal(ReportDiff.hasChanges(ReportDiff.compare(report, { ...report, id: 2 })), false);
+});
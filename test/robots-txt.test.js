@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RobotsTxt = require('../js/robots-txt.js');
+
+const allowed = (text, url, userAgent = 'Googlebot') => RobotsTxt.isAllowed(RobotsTxt.parse(text), userAgent, url).allowed;
+
+test('the longest matching pattern wins, regardless of order', () => {
+  const text = 'User-agent: *\nAllow: /shop/public\nDisallow: /shop';
+  assert.equal(allowed(text, '/shop/cart'), false);
+  assert.equal(allowed(text, '/shop/public/item'), true);
+  assert.equal(allowed(text, '/blog'), true);
+});
+
+test('a longer wildcard Allow beats a shorter Disallow', () => {
+  const text = 'User-agent: *\nDisallow: /docs/\nAllow: /*.html$';
+  assert.equal(allowed(text, '/docs/guide.html'), true);
+  assert.equal(allowed(text, '/docs/guide.pdf'), false);
+});
+
+test('on a tie the Allow rule wins', () => {
+  assert.equal(allowed('User-agent: *\nDisallow: /page\nAllow: /page', '/page'), true);
+});
+
+test('a trailing $ anchors the end of the path, query included', () => {
+  const text = 'User-agent: *\nDisallow: /*.pdf$';
+  assert.equal(allowed(text, '/files/report.pdf'), false);
+  assert.equal(allowed(text, '/files/report.pdf?download=1'), true);
+  assert.equal(allowed(text, '/files/report.pdfx'), true);
+});
+
+test('* matches any sequence inside a pattern', () => {
+  const text = 'User-agent: *\nDisallow: /private*/secret';
+  assert.equal(allowed(text, '/private-area/secret/file'), false);
+  assert.equal(allowed(text, '/private/public'), true);
+});
+
+test('percent-encoded and literal characters match each other', () => {
+  assert.equal(allowed('User-agent: *\nDisallow: /caf%C3%A9', 'https://example.com/café/menu'), false);
+});
+
+test('an empty Disallow and /robots.txt itself are always allowed', () => {
+  assert.equal(allowed('User-agent: *\nDisallow:', '/anything'), true);
+  assert.equal(allowed('User-agent: *\nDisallow: /', '/robots.txt'), true);
+});
+
+test('the most specific user-agent group applies, consecutive agents share a group', () => {
+  const text = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Bingbot',
+    'User-agent: Googlebot',
+    'Disallow: /search'
+  ].join('\n');
+  const parsed = RobotsTxt.parse(text);
+
+  const result = RobotsTxt.isAllowed(parsed, 'Googlebot/2.1 (+http://www.google.com/bot.html)', '/about');
+  assert.equal(result.allowed, true);
+  assert.equal(result.group, 'googlebot');
+  assert.equal(allowed(text, '/search', 'Bingbot'), false);
+  assert.equal(allowed(text, '/about', 'DuckDuckBot'), false);
+});
+
+test('comments are stripped and sitemaps collected outside groups', () => {
+  const parsed = RobotsTxt.parse('Sitemap: https://example.com/sitemap.xml\nUser-agent: * # everyone\nDisallow: /tmp # scratch');
+  assert.deepEqual(parsed.sitemaps, ['https://example.com/sitemap.xml']);
+  assert.deepEqual(parsed.groups[0].rules, [{ type: 'disallow', path: '/tmp', line: 3 }]);
+});
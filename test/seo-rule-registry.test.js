@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SEORuleRegistry = require('../js/seo-rule-registry.js');
+const EnhancedSEORules = require('../js/enhanced-seo-rules.js');
+
+const rule = (id, overrides = {}) => ({
+  id: id,
+  category: 'content',
+  name: id,
+  weight: 10,
+  severity: 'medium',
+  check: () => true,
+  ...overrides
+});
+
+test('register rejects incomplete rules', () => {
+  const registry = new SEORuleRegistry();
+  assert.throws(() => registry.register(rule('', {})), /string id/);
+  assert.throws(() => registry.register(rule('a', { check: undefined })), /check function/);
+  assert.throws(() => registry.register(rule('a', { weight: -1 })), /non-negative weight/);
+  assert.throws(() => registry.register(rule('a', { severity: 'urgent' })), /invalid severity/);
+});
+
+test('packs register and unregister their rules together', () => {
+  const registry = new SEORuleRegistry();
+  registry.registerPack({ id: 'acme', rules: [rule('a'), rule('b', { category: 'technical' })] });
+
+  assert.equal(registry.get('a').pack, 'acme');
+  assert.deepEqual(registry.getCategories(), ['content', 'technical']);
+  assert.deepEqual(registry.getPacks(), [{ id: 'acme', name: 'acme', ruleIds: ['a', 'b'] }]);
+
+  assert.equal(registry.unregisterPack('acme'), true);
+  assert.deepEqual(registry.getAll(), []);
+});
+
+test('resolve calls builders with the analysis and the rule', () => {
+  const registry = new SEORuleRegistry();
+  const built = rule('a', { thresholds: { min: 3 }, description: (analysis, { thresholds }) => `${analysis.count} of ${thresholds.min}` });
+
+  assert.equal(registry.resolve(built, 'description', { count: 1 }), '1 of 3');
+  assert.equal(registry.resolve(built, 'impact', {}, 'none'), 'none');
+});
+
+test('category scores weigh passed rules, skipping rules that do not apply or throw', () => {
+  const registry = new SEORuleRegistry()
+    .register(rule('passes', { weight: 30 }))
+    .register(rule('fails', { weight: 10, check: () => false }))
+    .register(rule('skipped', { weight: 50, check: () => false, applies: () => false }))
+    .register(rule('broken', { weight: 50, check: () => { throw new Error('broken'); } }));
+  const engine = new EnhancedSEORules({}, null, registry);
+
+  assert.equal(engine.calculateCategoryScore({}, 'content'), 75);
+  assert.deepEqual(engine.generateDetailedIssues({}).map(issue => issue.id), ['fails']);
+});
+
+test('findings report one issue per finding', () => {
+  const registry = new SEORuleRegistry().register(rule('images', {
+    check: () => false,
+    findings: analysis => analysis.images.map(src => ({ key: src, currentValue: src }))
+  }));
+  const engine = new EnhancedSEORules({}, null, registry);
+
+  assert.deepEqual(engine.generateDetailedIssues({ images: ['a.png', 'b.png'] }).map(issue => issue.id), ['images:a.png', 'images:b.png']);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SEOSettings = require('../js/seo-settings.js');
+const SEOProfiles = require('../js/seo-profiles.js');
+const EnhancedSEORules = require('../js/enhanced-seo-rules.js');
+
+// SEOProfiles.detect reads the structured data types through the global rules engine
+global.EnhancedSEORules = EnhancedSEORules;
+
+const findRule = (engine, ruleId) => Object.values(engine.rules).flat().find(rule => rule.id === ruleId);
+
+test('normalize fills in defaults and merges the nested maps', () => {
+  const settings = SEOSettings.normalize({
+    duplicateSimilarity: 80,
+    categoryWeights: { content: 0.5 },
+    rules: { content_length: { thresholds: { minWords: 500 } } }
+  });
+
+  assert.equal(settings.duplicateSimilarity, 80);
+  assert.equal(settings.profile, 'auto');
+  assert.equal(settings.historyRunsPerUrl, 50);
+  assert.deepEqual(settings.categoryWeights, { content: 0.5 });
+  assert.deepEqual(settings.rules, { content_length: { thresholds: { minWords: 500 } } });
+});
+
+test('normalize returns the defaults for missing or invalid settings', () => {
+  assert.deepEqual(SEOSettings.normalize(undefined), SEOSettings.getDefaults());
+  assert.deepEqual(SEOSettings.normalize('broken'), SEOSettings.getDefaults());
+});
+
+test('user overrides apply on top of the profile, the profile on top of the rule', () => {
+  const engine = new EnhancedSEORules(
+    { rules: { content_length: { thresholds: { minWords: 400 } } } },
+    SEOProfiles.getProfile('blog')
+  );
+
+  assert.deepEqual(findRule(engine, 'content_length').thresholds, { minWords: 400 });
+  // Untouched rules keep the registered thresholds
+  assert.deepEqual(findRule(new EnhancedSEORules({}, SEOProfiles.getProfile('blog')), 'content_length').thresholds, { minWords: 600 });
+  assert.deepEqual(findRule(new EnhancedSEORules(), 'content_length').thresholds, { minWords: 300 });
+});
+
+test('threshold overrides merge per key', () => {
+  const engine = new EnhancedSEORules(
+    { rules: { external_links: { thresholds: { minLinks: 0 } } } },
+    SEOProfiles.getProfile('docs')
+  );
+
+  assert.deepEqual(findRule(engine, 'external_links').thresholds, { minLinks: 0, maxLinks: 20 });
+});
+
+test('a user can re-enable a rule the profile disables', () => {
+  assert.equal(findRule(new EnhancedSEORules({}, SEOProfiles.getProfile('ecommerce')), 'external_links'), undefined);
+
+  const engine = new EnhancedSEORules({ rules: { external_links: { enabled: true } } }, SEOProfiles.getProfile('ecommerce'));
+  assert.equal(findRule(engine, 'external_links').enabled, true);
+});
+
+test('weight and severity overrides are validated', () => {
+  const engine = new EnhancedSEORules({
+    rules: {
+      content_length: { weight: 5, severity: 'low' },
+      external_links: { weight: -1, severity: 'urgent' }
+    }
+  });
+
+  assert.equal(findRule(engine, 'content_length').weight, 5);
+  assert.equal(findRule(engine, 'content_length').severity, 'low');
+  assert.equal(findRule(engine, 'external_links').weight, 8);
+  assert.equal(findRule(engine, 'external_links').severity, 'medium');
+});
+
+test('category weights merge defaults, profile and user overrides in that order', () => {
+  const engine = new EnhancedSEORules({ categoryWeights: { performance: 0.5 } }, SEOProfiles.getProfile('blog'));
+  assert.deepEqual(engine.weights, { technical: 0.35, content: 0.45, performance: 0.5 });
+});
+
+test('resolve honours an explicit profile and detects one for auto', () => {
+  assert.deepEqual(SEOProfiles.resolve('docs', {}), { id: 'docs', name: 'Documentation', detected: false });
+  assert.deepEqual(SEOProfiles.resolve('auto', { metaTags: { ogTags: { 'og:type': 'article' } } }), { id: 'blog', name: 'Blog Article', detected: true });
+  assert.equal(SEOProfiles.getProfile('unknown').id, 'general');
+});